@@ -0,0 +1,347 @@
+'use strict';
+
+const calculator = require('./calculator');
+
+/** Resolution of the history query - the maximum per slot of a cumulative meter is a reading */
+const HISTORY_STEP_MS = 15 * 60 * 1000;
+
+/**
+ * BackfillManager rebuilds the period counters of a meter from a history instance
+ * (history, influxdb, sql) when the adapter is installed in the middle of a billing year.
+ */
+class BackfillManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Runs a backfill for one meter
+     *
+     * @param {object} options - Backfill options
+     * @param {string} options.type - Utility type (gas, water, electricity, pv)
+     * @param {string} [options.meter] - Meter name ('main' or normalized name of an additional meter)
+     * @param {string} [options.instance] - History instance (default: configured historyInstance)
+     * @param {string} [options.from] - Start date (default: start of the billing year)
+     * @param {string} [options.to] - End date (default: now)
+     * @param {boolean|string} [options.dryRun] - Only report what would be written
+     * @returns {Promise<object>} - Result with the calculated values or {error}
+     */
+    async run(options) {
+        const type = options.type;
+        const meterName = options.meter || 'main';
+        const instance = options.instance || this.adapter.config.historyInstance;
+        const dryRun = options.dryRun === true || options.dryRun === 'true';
+
+        const meter = (this.adapter.multiMeterManager?.getMetersForType(type) || []).find(m => m.name === meterName);
+        if (!meter) {
+            return { error: `Meter ${type}.${meterName} is not configured` };
+        }
+        if (!meter.config.sensorDP) {
+            return { error: `Meter ${type}.${meterName} has no sensor datapoint` };
+        }
+        if (!instance) {
+            return { error: 'No history instance configured' };
+        }
+
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
+        const end = this.parseDate(options.to) || new Date();
+        const start = this.parseDate(options.from) || (await this.getYearStart(basePath));
+        if (!start || start >= end) {
+            return { error: 'Invalid backfill period' };
+        }
+
+        this.adapter.log.info(
+            `Backfill ${basePath} from ${instance}: ${start.toLocaleDateString('de-DE')} - ${end.toLocaleDateString('de-DE')}${dryRun ? ' (dry run)' : ''}`,
+        );
+
+        let history;
+        try {
+            history = await this.adapter.getHistoryAsync(meter.config.sensorDP, {
+                instance,
+                start: start.getTime(),
+                end: end.getTime(),
+                aggregate: 'max',
+                step: HISTORY_STEP_MS,
+                ignoreNull: true,
+            });
+        } catch (error) {
+            return { error: `History query failed: ${error.message}` };
+        }
+
+        const exchanges = (await this.adapter.meterExchangeManager?.getExchanges(basePath)) || [];
+        const readings = this.toReadings(type, meter.config, history?.result || [], exchanges);
+        if (readings.length < 2) {
+            return { error: `Not enough history values for ${meter.config.sensorDP} (${readings.length})` };
+        }
+
+        const values = this.aggregate(type, meter.config, readings, end);
+
+        // Without history for the whole billing year the yearly value from InitialReading is more complete
+        const yearStart = await this.getYearStart(basePath);
+        values.yearlyKept =
+            !!yearStart && readings[0].ts > yearStart.getTime() + HISTORY_STEP_MS && meter.config.initialReading > 0;
+
+        const result = {
+            success: true,
+            dryRun,
+            type,
+            meter: meterName,
+            from: calculator.formatDateString(start),
+            to: calculator.formatDateString(end),
+            readings: readings.length,
+            values,
+        };
+
+        if (!dryRun) {
+            await this.writeValues(type, basePath, meter, values);
+            this.adapter.log.info(`Backfill ${basePath} completed with ${readings.length} readings`);
+        }
+        return result;
+    }
+
+    /**
+     * Parses a German (DD.MM.YYYY) or ISO date
+     *
+     * @param {string|undefined} value - Date string
+     * @returns {Date|null} - Parsed date or null
+     */
+    parseDate(value) {
+        if (!value) {
+            return null;
+        }
+        return calculator.parseGermanDate(value) || calculator.parseDateString(value);
+    }
+
+    /**
+     * Gets the start of the current billing year of a meter
+     *
+     * @param {string} basePath - State path of the meter
+     * @returns {Promise<Date|null>} - Start of the billing year or null
+     */
+    async getYearStart(basePath) {
+        const state = await this.adapter.getStateAsync(`${basePath}.statistics.lastYearStart`);
+        return state?.val ? calculator.parseDateString(state.val) : null;
+    }
+
+    /**
+     * Converts raw history entries to meter readings in billing unit (offset applied, gas in kWh).
+     * Like the live processing, readings continue on one scale across counter rollovers and recorded meter exchanges.
+     * Gas readings are accumulated from the volume deltas, each converted with the Brennwert valid at its time.
+     *
+     * @param {string} type - Utility type
+     * @param {object} config - Meter configuration
+     * @param {Array<{val: any, ts: number}>} entries - History entries
+     * @param {Array<object>} [exchanges] - Recorded exchanges of the meter (see MeterExchangeManager)
+     * @returns {Array<{ts: number, value: number, volume: number}>} - Readings sorted by time
+     */
+    toReadings(type, config, entries, exchanges = []) {
+        const readings = entries
+            .filter(entry => entry && typeof entry.ts === 'number' && entry.val !== null && entry.val !== undefined)
+            .map(entry => ({
+                ts: entry.ts,
+                value: 0,
+                volume: calculator.ensureNumber(entry.val) - (config.offset || 0),
+            }))
+            .filter(reading => reading.volume > 0)
+            .sort((a, b) => a.ts - b.ts);
+
+        const pending = exchanges.filter(exchange => exchange && !exchange.rollover && exchange.applied !== false);
+        let correction = 0;
+        let lastRaw = null;
+        for (const reading of readings) {
+            const raw = reading.volume;
+            if (lastRaw !== null && raw < lastRaw) {
+                if (calculator.getRolloverDelta(lastRaw, raw, config.maxReading) !== null) {
+                    correction += config.maxReading;
+                } else {
+                    const exchange = this.findExchange(pending, readings, reading);
+                    if (exchange) {
+                        pending.splice(pending.indexOf(exchange), 1);
+                        correction += calculator.ensureNumber(exchange.correction);
+                    }
+                }
+            }
+            lastRaw = raw;
+            reading.volume = raw + correction;
+            // Custom utility types may bill in another unit than the meter counts (e.g. kWh → MWh)
+            reading.value = reading.volume * (config.factor ?? 1);
+        }
+
+        if (type === 'gas') {
+            let previous = null;
+            for (const reading of readings) {
+                const { brennwert, zZahl } = this.adapter.tariffManager.getGasFactors(new Date(reading.ts));
+                reading.value = previous
+                    ? previous.value + (reading.volume - previous.volume) * brennwert * zZahl
+                    : calculator.convertGasM3ToKWh(reading.volume, brennwert, zZahl);
+                previous = reading;
+            }
+        }
+        return readings;
+    }
+
+    /**
+     * Finds the recorded exchange of a decreasing reading: an exchange dated between the day of the previous
+     * reading and the day of the decreasing reading
+     *
+     * @param {Array<object>} exchanges - Exchanges not matched yet
+     * @param {Array<{ts: number}>} readings - Readings sorted by time
+     * @param {{ts: number}} reading - Decreasing reading
+     * @returns {object|undefined} - Exchange or undefined
+     */
+    findExchange(exchanges, readings, reading) {
+        const index = readings.indexOf(reading);
+        const startOfDay = ts => new Date(new Date(ts).setHours(0, 0, 0, 0)).getTime();
+        const from = startOfDay(readings[index - 1].ts);
+        const to = startOfDay(reading.ts);
+        return exchanges.find(exchange => {
+            const date = calculator.parseDateString(exchange.date);
+            return !!date && startOfDay(date.getTime()) >= from && startOfDay(date.getTime()) <= to;
+        });
+    }
+
+    /**
+     * Sums the deltas of consecutive readings into daily, monthly and yearly values.
+     * Each delta is assigned to the time of its later reading and priced with the tariff active then.
+     * Decreasing readings without rollover or recorded exchange (meter reset) are skipped, like in the live processing.
+     *
+     * @param {string} type - Utility type
+     * @param {object} config - Meter configuration
+     * @param {Array<{ts: number, value: number, volume: number}>} readings - Readings sorted by time
+     * @param {Date} end - End of the backfill period ("today")
+     * @returns {object} - Consumption, volume, cost and zone values plus statistics
+     */
+    aggregate(type, config, readings, end) {
+        const periods = ['daily', 'monthly', 'yearly'];
+        const empty = () => ({ daily: 0, monthly: 0, yearly: 0 });
+        const values = {
+            consumption: empty(),
+            volume: empty(),
+            costs: empty(),
+            zones: {},
+            lastDay: 0,
+            lastDayVolume: 0,
+            lastMonth: 0,
+            yearlyKept: false,
+        };
+
+        const today = new Date(end.getFullYear(), end.getMonth(), end.getDate()).getTime();
+        const yesterday = today - calculator.DEFAULTS.MILLISECONDS_PER_DAY;
+        const monthStart = new Date(end.getFullYear(), end.getMonth(), 1).getTime();
+        const lastMonthStart = new Date(end.getFullYear(), end.getMonth() - 1, 1).getTime();
+
+        for (let i = 1; i < readings.length; i++) {
+            const delta = readings[i].value - readings[i - 1].value;
+            const deltaVolume = readings[i].volume - readings[i - 1].volume;
+            if (delta <= 0) {
+                continue;
+            }
+
+            const ts = readings[i].ts;
+            const date = new Date(ts);
+            const { price, zone } = this.adapter.tariffManager.getActivePrice(type, config, date);
+            const inPeriod = {
+                daily: ts >= today,
+                monthly: ts >= monthStart,
+                yearly: true,
+            };
+
+            if (zone && !values.zones[zone]) {
+                values.zones[zone] = { consumption: empty(), costs: empty() };
+            }
+
+            for (const period of periods) {
+                if (!inPeriod[period]) {
+                    continue;
+                }
+                values.consumption[period] += delta;
+                values.volume[period] += deltaVolume;
+                values.costs[period] += delta * price;
+                if (zone) {
+                    values.zones[zone].consumption[period] += delta;
+                    values.zones[zone].costs[period] += delta * price;
+                }
+            }
+
+            if (ts >= yesterday && ts < today) {
+                values.lastDay += delta;
+                values.lastDayVolume += deltaVolume;
+            }
+            if (ts >= lastMonthStart && ts < monthStart) {
+                values.lastMonth += delta;
+            }
+        }
+
+        // Consumption in the unit of the meter, costs with the precision of the cost accumulators
+        const round = (obj, decimals) => {
+            for (const period of periods) {
+                obj[period] = calculator.roundToDecimals(obj[period], decimals);
+            }
+        };
+        round(values.consumption, 2);
+        round(values.volume, 2);
+        round(values.costs, 4);
+        for (const zoneValues of Object.values(values.zones)) {
+            round(zoneValues.consumption, 2);
+            round(zoneValues.costs, 4);
+        }
+        values.lastDay = calculator.roundToDecimals(values.lastDay, 2);
+        values.lastDayVolume = calculator.roundToDecimals(values.lastDayVolume, 2);
+        values.lastMonth = calculator.roundToDecimals(values.lastMonth, 2);
+
+        return values;
+    }
+
+    /**
+     * Writes the backfilled values to the meter states and recalculates the costs
+     *
+     * @param {string} type - Utility type
+     * @param {string} basePath - State path of the meter
+     * @param {object} meter - Meter object from multiMeterManager
+     * @param {object} values - Values from aggregate()
+     */
+    async writeValues(type, basePath, meter, values) {
+        const channel = this.adapter.billingManager.getAmountChannel(type);
+        const periods = values.yearlyKept ? ['daily', 'monthly'] : ['daily', 'monthly', 'yearly'];
+
+        for (const period of periods) {
+            await this.adapter.setStateAsync(`${basePath}.consumption.${period}`, values.consumption[period], true);
+            if (type === 'gas') {
+                await this.adapter.setStateAsync(
+                    `${basePath}.consumption.${period}Volume`,
+                    values.volume[period],
+                    true,
+                );
+            }
+            await this.adapter.setStateAsync(`${basePath}.${channel}.${period}`, values.costs[period], true);
+            for (const [zone, zoneValues] of Object.entries(values.zones)) {
+                await this.adapter.setStateAsync(
+                    `${basePath}.consumption.${period}${zone}`,
+                    zoneValues.consumption[period],
+                    true,
+                );
+                await this.adapter.setStateAsync(
+                    `${basePath}.${channel}.${period}${zone}`,
+                    zoneValues.costs[period],
+                    true,
+                );
+            }
+        }
+
+        // Same semantics as the daily/monthly resets: values of the last completed day and month
+        await this.adapter.setStateAsync(`${basePath}.statistics.lastDay`, values.lastDay, true);
+        await this.adapter.setStateAsync(`${basePath}.statistics.averageDaily`, values.lastDay, true);
+        await this.adapter.setStateAsync(`${basePath}.statistics.averageMonthly`, values.lastMonth, true);
+        if (type === 'gas') {
+            await this.adapter.setStateAsync(`${basePath}.statistics.lastDayVolume`, values.lastDayVolume, true);
+        }
+
+        await this.adapter.multiMeterManager.updateCosts(type, meter.name, meter.config);
+        await this.adapter.multiMeterManager.updateTotalCosts(type);
+    }
+}
+
+module.exports = BackfillManager;
@@ -1,6 +1,11 @@
 'use strict';
 
 const calculator = require('./calculator');
+const utilityTypes = require('./utilityTypes');
+
+/** Number of entries kept in the rolling history series (history.days / history.months) */
+const HISTORY_DAYS = 31;
+const HISTORY_MONTHS = 24;
 
 /**
  * BillingManager handles all cost calculations,
@@ -22,160 +27,53 @@ class BillingManager {
     async updateCosts(type) {
         const configType = this.adapter.consumptionManager.getConfigType(type);
 
-        // Get price and basic charge from config
-        const priceKey = `${configType}Preis`;
-        const grundgebuehrKey = `${configType}Grundgebuehr`;
-        const jahresgebuehrKey = `${configType}Jahresgebuehr`;
-        const price = this.adapter.config[priceKey] || 0;
-        const basicChargeMonthly = this.adapter.config[grundgebuehrKey] || 0;
-        const annualFeePerYear = this.adapter.config[jahresgebuehrKey] || 0;
+        // Get the price valid today (dated price table or config)
+        const meterConfig = this.adapter.tariffManager.getMeterConfig(type) || {};
+        const hasPriceHistory = this.adapter.tariffManager.hasPriceHistory(meterConfig);
+        const tariff = this.adapter.tariffManager.getTariff(meterConfig);
+        const price = tariff.preis;
 
         const htNtEnabledKey = `${configType}HtNtEnabled`;
         const htNtEnabled = this.adapter.config[htNtEnabledKey] || false;
 
-        if (price === 0 && !htNtEnabled) {
+        const isDynamic = meterConfig.priceSource && meterConfig.priceSource !== 'fixed';
+        const hasZones = (meterConfig.zones || []).length > 0;
+        if (price === 0 && !htNtEnabled && !hasZones && !hasPriceHistory && !isDynamic) {
             this.adapter.log.debug(`No price configured for ${type} (${configType}) and HT/NT is disabled`);
             return;
         }
 
-        // Get current consumptions
-        const dailyState = await this.adapter.getStateAsync(`${type}.consumption.daily`);
-        const monthlyState = await this.adapter.getStateAsync(`${type}.consumption.monthly`);
-        const yearlyState = await this.adapter.getStateAsync(`${type}.consumption.yearly`);
-
-        const daily = typeof dailyState?.val === 'number' ? dailyState.val : 0;
-        const monthly = typeof monthlyState?.val === 'number' ? monthlyState.val : 0;
-        let yearly = typeof yearlyState?.val === 'number' ? yearlyState.val : 0;
+        // Consumption costs are accumulated per delta with the tariff active at that moment (see addDeltaCost).
+        // PV feed-in is credited in revenue.*, so the PV costs only consist of the fees.
+        const yearlyCostState = type === 'pv' ? null : await this.adapter.getStateAsync(`${type}.costs.yearly`);
+        const yearlyConsumptionCost = typeof yearlyCostState?.val === 'number' ? yearlyCostState.val : 0;
 
-        // Apply manual adjustment
+        // Apply manual adjustment, priced with today's tariff (HT price if HT/NT is enabled)
         const adjustmentState = await this.adapter.getStateAsync(`${type}.adjustment.value`);
         const adjustment = typeof adjustmentState?.val === 'number' ? adjustmentState.val : 0;
+        let adjustmentCost = 0;
         if (adjustment !== 0) {
+            let adjustmentAmount = adjustment;
             if (type === 'gas') {
-                const yearlyVolumeState = await this.adapter.getStateAsync(`${type}.consumption.yearlyVolume`);
-                const yearlyVolume = typeof yearlyVolumeState?.val === 'number' ? yearlyVolumeState.val : 0;
-                const totalM3 = yearlyVolume + adjustment;
-                const brennwert = this.adapter.config.gasBrennwert || 11.5;
-                const zZahl = this.adapter.config.gasZahl || 0.95;
-                yearly = calculator.convertGasM3ToKWh(totalM3, brennwert, zZahl);
-            } else {
-                yearly += adjustment;
+                const { brennwert, zZahl } = this.adapter.tariffManager.getGasFactors();
+                adjustmentAmount = calculator.convertGasM3ToKWh(Math.abs(adjustment), brennwert, zZahl);
+                adjustmentAmount *= Math.sign(adjustment);
             }
+            adjustmentCost = adjustmentAmount * (htNtEnabled ? tariff.htPrice : price);
         }
 
-        // Consumption cost calculation
-        let dailyConsumptionCost, monthlyConsumptionCost, yearlyConsumptionCost;
-
-        if (htNtEnabled) {
-            // HT/NT Calculation
-            const htPrice = this.adapter.config[`${configType}HtPrice`] || 0;
-            const ntPrice = this.adapter.config[`${configType}NtPrice`] || 0;
-
-            const dailyHT = (await this.adapter.getStateAsync(`${type}.consumption.dailyHT`))?.val || 0;
-            const dailyNT = (await this.adapter.getStateAsync(`${type}.consumption.dailyNT`))?.val || 0;
-            const monthlyHT = (await this.adapter.getStateAsync(`${type}.consumption.monthlyHT`))?.val || 0;
-            const monthlyNT = (await this.adapter.getStateAsync(`${type}.consumption.monthlyNT`))?.val || 0;
-
-            let yearlyHT = (await this.adapter.getStateAsync(`${type}.consumption.yearlyHT`))?.val || 0;
-            const yearlyNT = (await this.adapter.getStateAsync(`${type}.consumption.yearlyNT`))?.val || 0;
+        // Fixed fees since the start of the billing year: the Grundgebühr of each month and the prorated
+        // Jahresgebühr of each day with the value valid at that time (same as for the multi-meter costs)
+        const yearStartState = await this.adapter.getStateAsync(`${type}.statistics.lastYearStart`);
+        const yearStart = (yearStartState?.val && calculator.parseDateString(yearStartState.val)) || new Date();
+        const fees = this.adapter.tariffManager.getAccumulatedFees(meterConfig, yearStart);
 
-            if (adjustment !== 0) {
-                if (type === 'gas') {
-                    const brennwert = this.adapter.config.gasBrennwert || 11.5;
-                    const zZahl = this.adapter.config.gasZahl || 0.95;
-                    yearlyHT = Number(yearlyHT) + calculator.convertGasM3ToKWh(adjustment, brennwert, zZahl);
-                } else {
-                    yearlyHT = Number(yearlyHT) + Number(adjustment);
-                }
-            }
-
-            dailyConsumptionCost = Number(dailyHT) * parseFloat(htPrice) + Number(dailyNT) * parseFloat(ntPrice);
-            monthlyConsumptionCost = Number(monthlyHT) * parseFloat(htPrice) + Number(monthlyNT) * parseFloat(ntPrice);
-            yearlyConsumptionCost = Number(yearlyHT) * parseFloat(htPrice) + Number(yearlyNT) * parseFloat(ntPrice);
-
-            // Update HT/NT specific cost states
-            await this.adapter.setStateAsync(
-                `${type}.costs.dailyHT`,
-                calculator.roundToDecimals(Number(dailyHT) * parseFloat(htPrice), 2),
-                true,
-            );
-            await this.adapter.setStateAsync(
-                `${type}.costs.dailyNT`,
-                calculator.roundToDecimals(Number(dailyNT) * calculator.ensureNumber(ntPrice), 2),
-                true,
-            );
-            await this.adapter.setStateAsync(
-                `${type}.costs.monthlyHT`,
-                calculator.roundToDecimals(Number(monthlyHT) * calculator.ensureNumber(htPrice), 2),
-                true,
-            );
-            await this.adapter.setStateAsync(
-                `${type}.costs.monthlyNT`,
-                calculator.roundToDecimals(Number(monthlyNT) * calculator.ensureNumber(ntPrice), 2),
-                true,
-            );
-            await this.adapter.setStateAsync(
-                `${type}.costs.yearlyHT`,
-                calculator.roundToDecimals(Number(yearlyHT) * calculator.ensureNumber(htPrice), 2),
-                true,
-            );
-            await this.adapter.setStateAsync(
-                `${type}.costs.yearlyNT`,
-                calculator.roundToDecimals(Number(yearlyNT) * calculator.ensureNumber(ntPrice), 2),
-                true,
-            );
-        } else {
-            dailyConsumptionCost = calculator.calculateCost(daily, price);
-            monthlyConsumptionCost = calculator.calculateCost(monthly, price);
-            yearlyConsumptionCost = calculator.calculateCost(yearly, price);
-        }
-
-        // Basic charge calculation
-        const contractStartKey = `${configType}ContractStart`;
-        const contractStartDate = this.adapter.config[contractStartKey];
-
-        let monthsSinceContract;
-        if (contractStartDate) {
-            const contractStart = calculator.parseGermanDate(contractStartDate);
-            if (contractStart && !isNaN(contractStart.getTime())) {
-                const now = new Date();
-                const yDiff = now.getFullYear() - contractStart.getFullYear();
-                const mDiff = now.getMonth() - contractStart.getMonth();
-                monthsSinceContract = Math.max(1, yDiff * 12 + mDiff + 1);
-            }
-        }
-
-        if (monthsSinceContract === undefined) {
-            const yearStartState = await this.adapter.getStateAsync(`${type}.statistics.lastYearStart`);
-            const yearStartTime = typeof yearStartState?.val === 'number' ? yearStartState.val : Date.now();
-            const yearStart = new Date(yearStartTime);
-            const now = new Date();
-            const yDiff = now.getFullYear() - yearStart.getFullYear();
-            const mDiff = now.getMonth() - yearStart.getMonth();
-            monthsSinceContract = Math.max(1, yDiff * 12 + mDiff + 1);
-        }
-
-        const basicChargeAccumulated = basicChargeMonthly * monthsSinceContract;
-        const annualFeeAccumulated = (annualFeePerYear / 12) * monthsSinceContract;
+        const basicChargeAccumulated = fees.basicCharge;
+        const annualFeeAccumulated = fees.annualFee;
         const totalFixCostsAccumulated = basicChargeAccumulated + annualFeeAccumulated;
-        const totalYearlyCost = yearlyConsumptionCost + totalFixCostsAccumulated;
+        const totalYearlyCost = yearlyConsumptionCost + adjustmentCost + totalFixCostsAccumulated;
 
         // Update states
-        await this.adapter.setStateAsync(
-            `${type}.costs.daily`,
-            calculator.roundToDecimals(dailyConsumptionCost, 2),
-            true,
-        );
-        await this.adapter.setStateAsync(
-            `${type}.costs.monthly`,
-            calculator.roundToDecimals(monthlyConsumptionCost, 2),
-            true,
-        );
-        await this.adapter.setStateAsync(
-            `${type}.costs.yearly`,
-            calculator.roundToDecimals(yearlyConsumptionCost, 2),
-            true,
-        );
         await this.adapter.setStateAsync(
             `${type}.costs.totalYearly`,
             calculator.roundToDecimals(totalYearlyCost, 2),
@@ -197,7 +95,7 @@ class BillingManager {
         const monthlyAbschlag = this.adapter.config[abschlagKey] || 0;
 
         if (monthlyAbschlag > 0) {
-            const paidTotal = monthlyAbschlag * monthsSinceContract;
+            const paidTotal = monthlyAbschlag * fees.months;
             const balance = totalYearlyCost - paidTotal;
             await this.adapter.setStateAsync(`${type}.costs.paidTotal`, calculator.roundToDecimals(paidTotal, 2), true);
             await this.adapter.setStateAsync(`${type}.costs.balance`, calculator.roundToDecimals(balance, 2), true);
@@ -208,205 +106,86 @@ class BillingManager {
     }
 
     /**
-     * Closes the billing period and archives data
+     * Gets the channel holding the running amount accumulators (daily, monthly, yearly) of a utility type.
+     * PV feed-in is credited as revenue, all other utilities accumulate costs.
      *
      * @param {string} type - Utility type
+     * @returns {string} - 'revenue' for PV, otherwise 'costs'
      */
-    async closeBillingPeriod(type) {
-        this.adapter.log.info(`🔔 Schließe Abrechnungszeitraum für ${type}...`);
-
-        const endReadingState = await this.adapter.getStateAsync(`${type}.billing.endReading`);
-        const endReading = typeof endReadingState?.val === 'number' ? endReadingState.val : null;
+    getAmountChannel(type) {
+        return type === 'pv' ? 'revenue' : 'costs';
+    }
 
-        if (!endReading || endReading <= 0) {
-            this.adapter.log.error(
-                `❌ Kein gültiger Endzählerstand für ${type}. Bitte trage zuerst einen Wert in ${type}.billing.endReading ein!`,
-            );
-            await this.adapter.setStateAsync(`${type}.billing.closePeriod`, false, true);
-            return;
-        }
+    /**
+     * Prices a consumption delta with the tariff active right now and adds it to the
+     * running cost accumulators of the meter (including the HT/NT accumulators)
+     *
+     * @param {string} type - Utility type
+     * @param {string} basePath - State path of the meter (e.g. 'gas' or 'gas.erdgeschoss')
+     * @param {object} config - Meter configuration
+     * @param {number} delta - Consumption delta in billing unit (kWh or m³)
+     */
+    async addDeltaCost(type, basePath, config, delta) {
+        const { price, zone } = this.adapter.tariffManager.getActivePrice(type, config);
+        // Stock-based types (Heizöl, Pellets) are priced with the booked deliveries (FIFO)
+        const stockCost = basePath === type ? await this.adapter.stockManager?.consumeStock(type, delta, price) : null;
+        const cost = stockCost ?? delta * price;
 
-        const configType = this.adapter.consumptionManager.getConfigType(type);
-        const contractStartKey = `${configType}ContractStart`;
-        const contractStart = this.adapter.config[contractStartKey];
+        const channel = this.getAmountChannel(type);
 
-        if (!contractStart) {
-            this.adapter.log.error(`❌ Kein Vertragsbeginn für ${type} konfiguriert. Kann Jahr nicht bestimmen.`);
-            await this.adapter.setStateAsync(`${type}.billing.closePeriod`, false, true);
-            return;
+        await this.addConsumptionCost(basePath, cost, undefined, channel);
+        if (zone) {
+            await this.addConsumptionCost(basePath, cost, [`daily${zone}`, `monthly${zone}`, `yearly${zone}`], channel);
         }
+    }
 
-        const startDate = calculator.parseGermanDate(contractStart);
-        if (!startDate) {
-            this.adapter.log.error(`❌ Ungültiges Datum-Format für Vertragsbeginn: ${contractStart}`);
-            await this.adapter.setStateAsync(`${type}.billing.closePeriod`, false, true);
+    /**
+     * Adds the cost of a priced consumption delta to the running cost states of a meter
+     *
+     * @param {string} basePath - State path of the meter (e.g. 'gas' or 'gas.erdgeschoss')
+     * @param {number} cost - Cost of the delta in €
+     * @param {Array<string>} periods - Cost periods to add to (default: daily, monthly, yearly)
+     * @param {string} channel - Channel of the accumulators ('costs' or 'revenue', see getAmountChannel)
+     */
+    async addConsumptionCost(basePath, cost, periods = ['daily', 'monthly', 'yearly'], channel = 'costs') {
+        if (!cost) {
             return;
         }
-
-        const year = startDate.getFullYear();
-
-        // Check if this is a multi-meter setup
-        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
-        const isMultiMeter = meters.length > 1;
-
-        // Archives - use totals for multi-meter, main meter for single meter
-        let yearlyState, totalYearlyState, balanceState;
-
-        if (isMultiMeter) {
-            // Multi-meter: use totals
-            yearlyState = await this.adapter.getStateAsync(`${type}.totals.consumption.yearly`);
-            totalYearlyState = await this.adapter.getStateAsync(`${type}.totals.costs.totalYearly`);
-            // Balance is not available in totals, use main meter's balance as representative
-            balanceState = await this.adapter.getStateAsync(`${type}.costs.balance`);
-            this.adapter.log.info(`Archiving multi-meter totals for ${type} (${meters.length} meters)`);
-        } else {
-            // Single meter: use main meter values
-            yearlyState = await this.adapter.getStateAsync(`${type}.consumption.yearly`);
-            totalYearlyState = await this.adapter.getStateAsync(`${type}.costs.totalYearly`);
-            balanceState = await this.adapter.getStateAsync(`${type}.costs.balance`);
+        for (const period of periods) {
+            const state = await this.adapter.getStateAsync(`${basePath}.${channel}.${period}`);
+            const current = typeof state?.val === 'number' ? state.val : 0;
+            await this.adapter.setStateAsync(
+                `${basePath}.${channel}.${period}`,
+                calculator.roundToDecimals(current + cost, 4),
+                true,
+            );
         }
+    }
 
-        const yearly = yearlyState?.val || 0;
-        const totalYearly = totalYearlyState?.val || 0;
-        const balance = balanceState?.val || 0;
-
-        const htNtEnabledKey = `${configType}HtNtEnabled`;
-        const htNtEnabled = this.adapter.config[htNtEnabledKey] || false;
-
-        // ... truncated history creation for brevity, assuming standard implementation ...
-        // In reality, I should copy the full logic from main.js but adapt 'this' to 'this.adapter'
-        // I will do that now.
-
-        this.adapter.log.info(`📦 Archiviere Daten für ${type} Jahr ${year}...`);
-
-        await this.adapter.setObjectNotExistsAsync(`${type}.history`, {
-            type: 'channel',
-            common: { name: 'Historie' },
-            native: {},
-        });
-        await this.adapter.setObjectNotExistsAsync(`${type}.history.${year}`, {
-            type: 'channel',
-            common: { name: `Jahr ${year}` },
-            native: {},
-        });
-
-        const consumptionUnit = type === 'gas' ? 'kWh' : type === 'water' ? 'm³' : 'kWh';
+    /**
+     * Closes the billing period of a meter and archives the multi-meter totals of that year
+     *
+     * @param {string} type - Utility type
+     * @param {string} [meterName] - Name of the meter ('main' or an additional meter)
+     */
+    async closeBillingPeriod(type, meterName = 'main') {
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        const meter = meters.find(m => m.name === meterName);
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
 
-        await this.adapter.setObjectNotExistsAsync(`${type}.history.${year}.yearly`, {
-            type: 'state',
-            common: {
-                name: `Jahresverbrauch ${year}`,
-                type: 'number',
-                role: 'value',
-                read: true,
-                write: false,
-                unit: consumptionUnit,
-            },
-            native: {},
-        });
-        await this.adapter.setStateAsync(`${type}.history.${year}.yearly`, yearly, true);
-
-        if (htNtEnabled) {
-            const htNtStates = [
-                { id: 'yearlyHT', name: 'Haupttarif (HT)' },
-                { id: 'yearlyNT', name: 'Nebentarif (NT)' },
-            ];
-            for (const htn of htNtStates) {
-                await this.adapter.setObjectNotExistsAsync(`${type}.history.${year}.${htn.id}`, {
-                    type: 'state',
-                    common: {
-                        name: `Jahresverbrauch ${year} ${htn.name}`,
-                        type: 'number',
-                        role: 'value',
-                        read: true,
-                        write: false,
-                        unit: consumptionUnit,
-                    },
-                    native: {},
-                });
-            }
-            const yHT = (await this.adapter.getStateAsync(`${type}.consumption.yearlyHT`))?.val || 0;
-            const yNT = (await this.adapter.getStateAsync(`${type}.consumption.yearlyNT`))?.val || 0;
-            await this.adapter.setStateAsync(`${type}.history.${year}.yearlyHT`, yHT, true);
-            await this.adapter.setStateAsync(`${type}.history.${year}.yearlyNT`, yNT, true);
+        if (!meter) {
+            this.adapter.log.error(`❌ Zähler "${meterName}" für ${type} nicht gefunden.`);
+            await this.adapter.setStateAsync(`${basePath}.billing.closePeriod`, false, true);
+            return;
         }
 
-        if (type === 'gas' || type === 'water') {
-            const yearlyVolume = (await this.adapter.getStateAsync(`${type}.consumption.yearlyVolume`))?.val || 0;
-            await this.adapter.setObjectNotExistsAsync(`${type}.history.${year}.yearlyVolume`, {
-                type: 'state',
-                common: {
-                    name: `Jahresverbrauch ${year} (m³)`,
-                    type: 'number',
-                    role: 'value',
-                    read: true,
-                    write: false,
-                    unit: 'm³',
-                },
-                native: {},
-            });
-            await this.adapter.setStateAsync(`${type}.history.${year}.yearlyVolume`, yearlyVolume, true);
-        }
+        const year = await this.closeBillingPeriodForMeter(type, meter);
 
-        await this.adapter.setObjectNotExistsAsync(`${type}.history.${year}.totalYearly`, {
-            type: 'state',
-            common: {
-                name: `Gesamtkosten ${year}`,
-                type: 'number',
-                role: 'value.money',
-                read: true,
-                write: false,
-                unit: '€',
-            },
-            native: {},
-        });
-        await this.adapter.setStateAsync(`${type}.history.${year}.totalYearly`, totalYearly, true);
-
-        await this.adapter.setObjectNotExistsAsync(`${type}.history.${year}.balance`, {
-            type: 'state',
-            common: {
-                name: `Bilanz ${year}`,
-                type: 'number',
-                role: 'value.money',
-                read: true,
-                write: false,
-                unit: '€',
-            },
-            native: {},
-        });
-        await this.adapter.setStateAsync(`${type}.history.${year}.balance`, balance, true);
-
-        // Reset and Info
-        await this.adapter.setStateAsync(`${type}.billing.newInitialReading`, endReading, true);
-        await this.adapter.setStateAsync(`${type}.consumption.yearly`, 0, true);
-        if (htNtEnabled) {
-            await this.adapter.setStateAsync(`${type}.consumption.yearlyHT`, 0, true);
-            await this.adapter.setStateAsync(`${type}.consumption.yearlyNT`, 0, true);
-        }
-        if (type === 'gas') {
-            await this.adapter.setStateAsync(`${type}.consumption.yearlyVolume`, 0, true);
+        // The totals are the sum of all meters archived for that year so far
+        if (year !== null && meters.length > 1) {
+            await this.archiveTotals(type, year, meters);
+            await this.adapter.multiMeterManager.updateTotalCosts(type);
         }
-        await this.adapter.setStateAsync(`${type}.costs.yearly`, 0, true);
-        await this.adapter.setStateAsync(`${type}.costs.totalYearly`, 0, true);
-        // NOTE: basicCharge and annualFee are NOT reset - they stay from config!
-        // User is responsible for updating config if tariff changes
-        await this.adapter.setStateAsync(`${type}.costs.balance`, 0, true);
-        await this.adapter.setStateAsync(`${type}.costs.paidTotal`, 0, true);
-        await this.adapter.setStateAsync(`${type}.billing.closePeriod`, false, true);
-        await this.adapter.setStateAsync(`${type}.billing.notificationSent`, false, true);
-        await this.adapter.setStateAsync(`${type}.billing.notificationChangeSent`, false, true);
-
-        // Update lastYearStart to the contract anniversary date (NOT Date.now()!)
-        // This ensures the next automatic reset happens on the contract date,
-        // even if the user closes the period early (e.g. 2 days before)
-        const thisYearAnniversary = new Date(startDate);
-        thisYearAnniversary.setFullYear(new Date().getFullYear());
-        await this.adapter.setStateAsync(`${type}.statistics.lastYearStart`, thisYearAnniversary.getTime(), true);
-
-        this.adapter.log.info(`✅ Abrechnungszeitraum ${year} für ${type} erfolgreich abgeschlossen!`);
-        this.adapter.log.info(
-            `💡 Tipp: Prüfe deine Adapter-Konfiguration! Hat sich dein Tarif, Abschlag oder die Grundgebühr geändert?`,
-        );
     }
 
     /**
@@ -414,6 +193,7 @@ class BillingManager {
      *
      * @param {string} type - Utility type
      * @param {object} meter - Meter object from multiMeterManager
+     * @returns {Promise<number|null>} - Archived year, null if the period could not be closed
      */
     async closeBillingPeriodForMeter(type, meter) {
         const basePath = meter.name === 'main' ? type : `${type}.${meter.name}`;
@@ -426,68 +206,303 @@ class BillingManager {
 
         if (!endReading || endReading <= 0) {
             this.adapter.log.error(
-                `❌ Kein gültiger Endzählerstand für ${basePath}. Bitte trage zuerst einen Wert ein!`,
+                `❌ Kein gültiger Endzählerstand für ${basePath}. Bitte trage zuerst einen Wert in ${basePath}.billing.endReading ein!`,
             );
             await this.adapter.setStateAsync(`${basePath}.billing.closePeriod`, false, true);
-            return;
-        }
-
-        // Get contract date for THIS meter
-        let contractStartDate;
-        if (meter.name === 'main') {
-            const configType = this.adapter.consumptionManager.getConfigType(type);
-            contractStartDate = this.adapter.config[`${configType}ContractStart`];
-        } else {
-            contractStartDate = meter.config?.vertragsbeginn;
+            return null;
         }
 
+        const contractStartDate = meter.config?.contractStart;
         if (!contractStartDate) {
-            this.adapter.log.error(`❌ Kein Vertragsbeginn für ${basePath} konfiguriert.`);
+            this.adapter.log.error(`❌ Kein Vertragsbeginn für ${basePath} konfiguriert. Kann Jahr nicht bestimmen.`);
             await this.adapter.setStateAsync(`${basePath}.billing.closePeriod`, false, true);
-            return;
+            return null;
         }
 
         const startDate = calculator.parseGermanDate(contractStartDate);
         if (!startDate) {
             this.adapter.log.error(`❌ Ungültiges Datum-Format für Vertragsbeginn: ${contractStartDate}`);
             await this.adapter.setStateAsync(`${basePath}.billing.closePeriod`, false, true);
-            return;
+            return null;
         }
 
-        const year = startDate.getFullYear();
+        const periodStart = await this.getPeriodStart(basePath, startDate);
+        const year = periodStart.getFullYear();
 
         // Archive data for this meter
-        // TODO: Implement full history archiving for individual meters
-        // For now, just reset the meter
+        this.adapter.log.info(`📦 Archiviere Daten für ${basePath} Jahr ${year}...`);
+
+        const archive = {
+            yearly: (await this.adapter.getStateAsync(`${basePath}.consumption.yearly`))?.val || 0,
+            totalYearly: (await this.adapter.getStateAsync(`${basePath}.costs.totalYearly`))?.val || 0,
+            balance: (await this.adapter.getStateAsync(`${basePath}.costs.balance`))?.val || 0,
+            startReading: await this.getPeriodStartReading(basePath, meter.config),
+            endReading,
+        };
+
+        if (type === 'pv' || meter.config?.exportSensorDP) {
+            archive.revenue = (await this.adapter.getStateAsync(`${basePath}.revenue.yearly`))?.val || 0;
+        }
+        if (meter.config?.exportSensorDP) {
+            archive.exportYearly = (await this.adapter.getStateAsync(`${basePath}.export.yearly`))?.val || 0;
+        }
+
+        for (const zone of this.adapter.tariffManager.getZoneNames(meter.config)) {
+            archive[`yearly${zone}`] =
+                (await this.adapter.getStateAsync(`${basePath}.consumption.yearly${zone}`))?.val || 0;
+        }
+
+        if (type === 'gas') {
+            archive.yearlyVolume = (await this.adapter.getStateAsync(`${basePath}.consumption.yearlyVolume`))?.val || 0;
+            Object.assign(archive, this.getGasFactorArchive(archive.yearly, archive.yearlyVolume, periodStart));
+            if (meter.name === 'main') {
+                Object.assign(archive, await this.adapter.weatherManager?.getArchiveValues(archive.yearly));
+            }
+        } else if (type === 'water') {
+            archive.yearlyVolume = archive.yearly;
+            if (meter.config?.abwasserPreis) {
+                archive.wastewaterVolume =
+                    (await this.adapter.getStateAsync(`${basePath}.consumption.wastewaterYearly`))?.val || 0;
+                archive.wastewaterCosts =
+                    (await this.adapter.getStateAsync(`${basePath}.costs.wastewaterYearly`))?.val || 0;
+            }
+        }
+
+        // After a meter exchange the readings of the new meter are continued on the scale of the old one
+        const exchangeCorrection = this.adapter.meterExchangeManager?.getCorrection(basePath) || 0;
+        if (exchangeCorrection) {
+            archive.exchangeCorrection = exchangeCorrection;
+        }
+
+        await this.archiveBillingPeriod(type, basePath, year, archive);
 
         // Reset consumption and costs for this meter
+        await this.adapter.setStateAsync(
+            `${basePath}.billing.newInitialReading`,
+            endReading + exchangeCorrection,
+            true,
+        );
         await this.adapter.setStateAsync(`${basePath}.consumption.yearly`, 0, true);
+        await this.resetZoneCounters(type, basePath, 'yearly', meter.config);
+        await this.resetExportCounters(basePath, 'yearly', meter.config);
         if (type === 'gas') {
             await this.adapter.setStateAsync(`${basePath}.consumption.yearlyVolume`, 0, true);
         }
-        await this.adapter.setStateAsync(`${basePath}.costs.yearly`, 0, true);
+        await this.adapter.setStateAsync(`${basePath}.${this.getAmountChannel(type)}.yearly`, 0, true);
         await this.adapter.setStateAsync(`${basePath}.costs.totalYearly`, 0, true);
+        // NOTE: basicCharge and annualFee are NOT reset - they stay from config!
         await this.adapter.setStateAsync(`${basePath}.costs.balance`, 0, true);
         await this.adapter.setStateAsync(`${basePath}.costs.paidTotal`, 0, true);
         await this.adapter.setStateAsync(`${basePath}.billing.closePeriod`, false, true);
         await this.adapter.setStateAsync(`${basePath}.billing.notificationSent`, false, true);
         await this.adapter.setStateAsync(`${basePath}.billing.notificationChangeSent`, false, true);
 
-        // Update lastYearStart to contract anniversary
+        // Update lastYearStart to the contract anniversary date (NOT Date.now()!)
+        // This ensures the next automatic reset happens on the contract date,
+        // even if the user closes the period early (e.g. 2 days before)
         const thisYearAnniversary = new Date(startDate);
         thisYearAnniversary.setFullYear(new Date().getFullYear());
         await this.adapter.setStateAsync(`${basePath}.statistics.lastYearStart`, thisYearAnniversary.getTime(), true);
 
-        // Update totals if multiple meters exist
-        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
-        if (meters.length > 1) {
-            await this.adapter.multiMeterManager.updateTotalCosts(type);
+        if (meter.name === 'main') {
+            await this.adapter.pvManager?.handlePeriodReset(type, 'yearly');
+            await this.adapter.weatherManager?.handlePeriodReset(type, 'yearly');
+            await this.adapter.stockManager?.handlePeriodReset(type, 'yearly');
         }
 
         this.adapter.log.info(`✅ Abrechnungszeitraum ${year} für ${basePath} erfolgreich abgeschlossen!`);
         this.adapter.log.info(
             `💡 Tipp: Prüfe deine Adapter-Konfiguration! Hat sich dein Tarif, Abschlag oder die Grundgebühr geändert?`,
         );
+        return year;
+    }
+
+    /**
+     * Gets the meter reading a billing period started from: the new start value written by the previous close,
+     * the configured initial reading only as long as no period was closed yet
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {object} config - Meter configuration
+     * @returns {Promise<number>} - Reading at the start of the period
+     */
+    async getPeriodStartReading(basePath, config) {
+        const state = await this.adapter.getStateAsync(`${basePath}.billing.newInitialReading`);
+        if (typeof state?.val === 'number' && state.val > 0) {
+            return state.val;
+        }
+        return config?.initialReading || 0;
+    }
+
+    /**
+     * Writes the archive of a closed billing period to <basePath>.history.<year>
+     *
+     * @param {string} type - Utility type
+     * @param {string} basePath - State path of the meter (e.g. 'gas' or 'gas.erdgeschoss') or totals
+     * @param {number} year - Year of the billing period
+     * @param {object} values - Archived values (yearly, yearlyVolume, yearly<Zone>, totalYearly, balance, revenue, exportYearly, wastewaterVolume, wastewaterCosts, degreeDays, normalizedYearly, brennwert, zZahl, conversionFactor, startReading, endReading, exchangeCorrection)
+     */
+    async archiveBillingPeriod(type, basePath, year, values) {
+        const utility = utilityTypes.getUtilityType(this.adapter.config, type);
+        const consumptionUnit = utility?.unit || 'kWh';
+        const readingUnit = utility?.readingUnit || 'kWh';
+
+        const definitions = {
+            yearly: { name: `Jahresverbrauch ${year}`, role: 'value', unit: consumptionUnit },
+            yearlyVolume: { name: `Jahresverbrauch ${year} (m³)`, role: 'value', unit: 'm³' },
+            totalYearly: { name: `Gesamtkosten ${year}`, role: 'value.money', unit: '€' },
+            balance: { name: `Bilanz ${year}`, role: 'value.money', unit: '€' },
+            revenue: { name: `Einspeisevergütung ${year}`, role: 'value.money', unit: '€' },
+            exportYearly: { name: `Jahreseinspeisung ${year}`, role: 'value', unit: 'kWh' },
+            wastewaterVolume: { name: `Abwassermenge ${year}`, role: 'value', unit: 'm³' },
+            wastewaterCosts: { name: `Abwasserkosten ${year}`, role: 'value.money', unit: '€' },
+            degreeDays: { name: `Gradtagzahl ${year}`, role: 'value', unit: 'Kd' },
+            normalizedYearly: { name: `Witterungsbereinigter Jahresverbrauch ${year}`, role: 'value', unit: 'kWh' },
+            brennwert: { name: `Brennwert ${year}`, role: 'value', unit: 'kWh/m³' },
+            zZahl: { name: `Z-Zahl ${year}`, role: 'value', unit: '', decimals: 4 },
+            conversionFactor: {
+                name: `Umrechnungsfaktor ${year} (tatsächlich verwendet)`,
+                role: 'value',
+                unit: 'kWh/m³',
+                decimals: 4,
+            },
+            startReading: { name: `Zählerstand Beginn ${year}`, role: 'value', unit: readingUnit },
+            endReading: { name: `Zählerstand Ende ${year}`, role: 'value', unit: readingUnit },
+            exchangeCorrection: { name: `Korrektur durch Zählerwechsel ${year}`, role: 'value', unit: readingUnit },
+        };
+
+        // Yearly consumption per tariff zone (yearlyHT, yearlyNT, ...)
+        for (const key of Object.keys(values)) {
+            const zoneMatch = key.match(/^yearly([A-Z0-9]+)$/);
+            if (zoneMatch) {
+                definitions[key] = {
+                    name: `Jahresverbrauch ${year} ${calculator.getZoneLabel(zoneMatch[1])}`,
+                    role: 'value',
+                    unit: consumptionUnit,
+                };
+            }
+        }
+
+        await this.adapter.setObjectNotExistsAsync(`${basePath}.history`, {
+            type: 'channel',
+            common: { name: 'Historie' },
+            native: {},
+        });
+        await this.adapter.setObjectNotExistsAsync(`${basePath}.history.${year}`, {
+            type: 'channel',
+            common: { name: `Jahr ${year}` },
+            native: {},
+        });
+
+        for (const [id, def] of Object.entries(definitions)) {
+            if (typeof values[id] !== 'number') {
+                continue;
+            }
+            await this.adapter.setObjectNotExistsAsync(`${basePath}.history.${year}.${id}`, {
+                type: 'state',
+                common: {
+                    name: def.name,
+                    type: 'number',
+                    role: def.role,
+                    read: true,
+                    write: false,
+                    unit: def.unit,
+                },
+                native: {},
+            });
+            await this.adapter.setStateAsync(
+                `${basePath}.history.${year}.${id}`,
+                calculator.roundToDecimals(values[id], def.decimals ?? 3),
+                true,
+            );
+        }
+    }
+
+    /**
+     * Gets the gas conversion factors archived with a billing period: Brennwert and Z-Zahl valid at its start
+     * (on the closing day the factors of the next period may already apply) and the effective factor
+     * the yearly consumption was converted with (differs if the Brennwert changed during the period)
+     *
+     * @param {number} yearly - Yearly consumption in kWh
+     * @param {number} yearlyVolume - Yearly consumption in m³
+     * @param {Date} periodStart - Start of the billing period
+     * @returns {{brennwert: number, zZahl: number, conversionFactor: number}} - Archived conversion factors
+     */
+    getGasFactorArchive(yearly, yearlyVolume, periodStart) {
+        const { brennwert, zZahl } = this.adapter.tariffManager.getGasFactors(periodStart);
+        return {
+            brennwert,
+            zZahl,
+            conversionFactor: yearlyVolume > 0 ? yearly / yearlyVolume : brennwert * zZahl,
+        };
+    }
+
+    /**
+     * Archives the multi-meter totals for a year as sum of all archived meters of that year
+     *
+     * @param {string} type - Utility type
+     * @param {number} year - Year of the billing period
+     * @param {Array} meters - Meters from multiMeterManager
+     */
+    async archiveTotals(type, year, meters) {
+        const keys = [
+            'yearly',
+            'yearlyVolume',
+            'totalYearly',
+            'balance',
+            'revenue',
+            'exportYearly',
+            'wastewaterVolume',
+            'wastewaterCosts',
+        ];
+        for (const meter of meters) {
+            for (const zone of this.adapter.tariffManager.getZoneNames(meter.config)) {
+                if (!keys.includes(`yearly${zone}`)) {
+                    keys.push(`yearly${zone}`);
+                }
+            }
+        }
+        const totals = {};
+
+        for (const meter of meters) {
+            const basePath = meter.name === 'main' ? type : `${type}.${meter.name}`;
+            for (const key of keys) {
+                const state = await this.adapter.getStateAsync(`${basePath}.history.${year}.${key}`);
+                if (typeof state?.val === 'number') {
+                    totals[key] = (totals[key] || 0) + state.val;
+                }
+            }
+        }
+
+        if (Object.keys(totals).length === 0) {
+            return;
+        }
+
+        this.adapter.log.info(`Archiving multi-meter totals for ${type} ${year} (${meters.length} meters)`);
+        await this.archiveBillingPeriod(type, `${type}.totals`, year, totals);
+    }
+
+    /**
+     * Gets the start of the billing period being closed (its year is the year the period is archived under).
+     * Falls back to the last contract anniversary if the period start is unknown.
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {Date} startDate - Contract start
+     * @returns {Promise<Date>} - Start of the closed period
+     */
+    async getPeriodStart(basePath, startDate) {
+        const yearStartState = await this.adapter.getStateAsync(`${basePath}.statistics.lastYearStart`);
+        const periodStart = calculator.parseDateString(yearStartState?.val);
+        if (periodStart) {
+            return periodStart;
+        }
+
+        const today = new Date();
+        const lastAnniversary = new Date(startDate);
+        lastAnniversary.setFullYear(today.getFullYear());
+        if (lastAnniversary > today) {
+            lastAnniversary.setFullYear(today.getFullYear() - 1);
+        }
+        return lastAnniversary;
     }
 
     /**
@@ -538,7 +553,7 @@ class BillingManager {
         }
 
         const now = new Date();
-        const types = ['gas', 'water', 'electricity', 'pv'];
+        const types = utilityTypes.getUtilityTypes(this.adapter.config).map(utility => utility.id);
 
         for (const type of types) {
             const configType = this.adapter.consumptionManager.getConfigType(type);
@@ -550,6 +565,11 @@ class BillingManager {
             if (this.adapter.consumptionManager) {
                 await this.adapter.consumptionManager.updateCurrentPrice(type);
             }
+            for (const meter of this.adapter.multiMeterManager?.getMetersForType(type) || []) {
+                if (meter.name !== 'main') {
+                    await this.adapter.multiMeterManager.updateCurrentPrice(type, meter.name, meter.config);
+                }
+            }
 
             const nowDate = new Date(now);
 
@@ -587,7 +607,7 @@ class BillingManager {
                         contractStartDate = this.adapter.config[`${configType}ContractStart`];
                     } else {
                         // Additional meter: use meter's individual config
-                        contractStartDate = meter.config?.vertragsbeginn;
+                        contractStartDate = meter.config?.contractStart;
                     }
 
                     if (contractStartDate) {
@@ -652,6 +672,8 @@ class BillingManager {
             const dailyState = await this.adapter.getStateAsync(`${basePath}.consumption.daily`);
             const dailyValue = dailyState?.val || 0;
 
+            await this.appendHistoryEntry(type, basePath, meter, 'daily');
+
             // Save last day consumption
             await this.adapter.setStateAsync(`${basePath}.statistics.lastDay`, dailyValue, true);
 
@@ -665,7 +687,10 @@ class BillingManager {
                 await this.adapter.setStateAsync(`${basePath}.consumption.dailyVolume`, 0, true);
             }
 
-            await this.adapter.setStateAsync(`${basePath}.costs.daily`, 0, true);
+            await this.adapter.setStateAsync(`${basePath}.${this.getAmountChannel(type)}.daily`, 0, true);
+
+            await this.resetZoneCounters(type, basePath, 'daily', meter.config);
+            await this.resetExportCounters(basePath, 'daily', meter.config);
 
             // Update lastDayStart timestamp
             await this.adapter.setStateAsync(`${basePath}.statistics.lastDayStart`, Date.now(), true);
@@ -681,6 +706,10 @@ class BillingManager {
         if (meters.length > 1) {
             await this.adapter.multiMeterManager.updateTotalCosts(type);
         }
+
+        await this.adapter.pvManager?.handlePeriodReset(type, 'daily');
+        await this.adapter.weatherManager?.handlePeriodReset(type, 'daily');
+        await this.adapter.stockManager?.handlePeriodReset(type, 'daily');
     }
 
     /**
@@ -709,13 +738,18 @@ class BillingManager {
             const monthlyState = await this.adapter.getStateAsync(`${basePath}.consumption.monthly`);
             const monthlyValue = monthlyState?.val || 0;
 
+            await this.appendHistoryEntry(type, basePath, meter, 'monthly');
+
             await this.adapter.setStateAsync(`${basePath}.consumption.monthly`, 0, true);
 
             if (type === 'gas') {
                 await this.adapter.setStateAsync(`${basePath}.consumption.monthlyVolume`, 0, true);
             }
 
-            await this.adapter.setStateAsync(`${basePath}.costs.monthly`, 0, true);
+            await this.adapter.setStateAsync(`${basePath}.${this.getAmountChannel(type)}.monthly`, 0, true);
+
+            await this.resetZoneCounters(type, basePath, 'monthly', meter.config);
+            await this.resetExportCounters(basePath, 'monthly', meter.config);
 
             // Update lastMonthStart timestamp
             await this.adapter.setStateAsync(`${basePath}.statistics.lastMonthStart`, Date.now(), true);
@@ -731,6 +765,10 @@ class BillingManager {
         if (meters.length > 1) {
             await this.adapter.multiMeterManager.updateTotalCosts(type);
         }
+
+        await this.adapter.pvManager?.handlePeriodReset(type, 'monthly');
+        await this.adapter.weatherManager?.handlePeriodReset(type, 'monthly');
+        await this.adapter.stockManager?.handlePeriodReset(type, 'monthly');
     }
 
     /**
@@ -762,7 +800,9 @@ class BillingManager {
                 await this.adapter.setStateAsync(`${basePath}.consumption.yearlyVolume`, 0, true);
             }
 
-            await this.adapter.setStateAsync(`${basePath}.costs.yearly`, 0, true);
+            await this.adapter.setStateAsync(`${basePath}.${this.getAmountChannel(type)}.yearly`, 0, true);
+            await this.resetZoneCounters(type, basePath, 'yearly', meter.config);
+            await this.resetExportCounters(basePath, 'yearly', meter.config);
             await this.adapter.setStateAsync(`${basePath}.billing.notificationSent`, false, true);
             await this.adapter.setStateAsync(`${basePath}.billing.notificationChangeSent`, false, true);
 
@@ -774,6 +814,120 @@ class BillingManager {
         if (meters.length > 1) {
             await this.adapter.multiMeterManager.updateTotalCosts(type);
         }
+
+        await this.adapter.pvManager?.handlePeriodReset(type, 'yearly');
+        await this.adapter.weatherManager?.handlePeriodReset(type, 'yearly');
+        await this.adapter.stockManager?.handlePeriodReset(type, 'yearly');
+    }
+
+    /**
+     * Appends the values of the finished day or month to the rolling history series
+     * (history.days: last 31 days, history.months: last 24 months) before the counters are reset
+     *
+     * @param {string} type - Utility type
+     * @param {string} basePath - State path of the meter
+     * @param {object} meter - Meter object from multiMeterManager
+     * @param {string} period - 'daily' or 'monthly'
+     */
+    async appendHistoryEntry(type, basePath, meter, period) {
+        const isDaily = period === 'daily';
+        const seriesId = `${basePath}.history.${isDaily ? 'days' : 'months'}`;
+        const channel = this.getAmountChannel(type);
+
+        // The counters belong to the period that started at lastDayStart/lastMonthStart
+        const startState = await this.adapter.getStateAsync(
+            `${basePath}.statistics.${isDaily ? 'lastDayStart' : 'lastMonthStart'}`,
+        );
+        const periodStart =
+            (startState?.val && calculator.parseDateString(startState.val)) ||
+            new Date(Date.now() - calculator.DEFAULTS.MILLISECONDS_PER_DAY);
+        const date = String(calculator.formatDateString(periodStart)).substring(0, isDaily ? 10 : 7);
+
+        const read = async id => {
+            const state = await this.adapter.getStateAsync(`${basePath}.${id}`);
+            return typeof state?.val === 'number' ? calculator.roundToDecimals(state.val, 2) : 0;
+        };
+
+        const entry = { date, consumption: await read(`consumption.${period}`) };
+        if (type === 'gas') {
+            entry.volume = await read(`consumption.${period}Volume`);
+        }
+        entry[channel] = await read(`${channel}.${period}`);
+        for (const zone of this.adapter.tariffManager.getZoneNames(meter.config)) {
+            entry[`consumption${zone}`] = await read(`consumption.${period}${zone}`);
+            entry[`${channel}${zone}`] = await read(`${channel}.${period}${zone}`);
+        }
+        if (meter.config?.exportSensorDP) {
+            entry.export = await read(`export.${period}`);
+            entry.revenue = await read(`revenue.${period}`);
+        }
+
+        await this.adapter.setObjectNotExistsAsync(`${basePath}.history`, {
+            type: 'channel',
+            common: { name: 'Historie' },
+            native: {},
+        });
+        await this.adapter.setObjectNotExistsAsync(seriesId, {
+            type: 'state',
+            common: {
+                name: isDaily
+                    ? `Verlauf letzte ${HISTORY_DAYS} Tage (JSON)`
+                    : `Verlauf letzte ${HISTORY_MONTHS} Monate (JSON)`,
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+                def: '[]',
+            },
+            native: {},
+        });
+
+        let series = [];
+        try {
+            const seriesState = await this.adapter.getStateAsync(seriesId);
+            const parsed = JSON.parse(String(seriesState?.val || '[]'));
+            series = Array.isArray(parsed) ? parsed : [];
+        } catch {
+            this.adapter.log.warn(`${seriesId} contains invalid JSON, starting a new series`);
+        }
+
+        // A restart on the same day must not create a duplicate entry
+        series = series.filter(item => item && item.date !== date);
+        series.push(entry);
+        series = series.slice(-(isDaily ? HISTORY_DAYS : HISTORY_MONTHS));
+
+        await this.adapter.setStateAsync(seriesId, JSON.stringify(series), true);
+    }
+
+    /**
+     * Resets the consumption and cost (revenue for pv) counters of all tariff zones (e.g. HT/NT) of a period
+     *
+     * @param {string} type - Utility type
+     * @param {string} basePath - State path of the meter
+     * @param {string} period - 'daily', 'monthly' or 'yearly'
+     * @param {object} config - Meter configuration
+     */
+    async resetZoneCounters(type, basePath, period, config) {
+        const amountChannel = this.getAmountChannel(type);
+        for (const zone of this.adapter.tariffManager.getZoneNames(config)) {
+            await this.adapter.setStateAsync(`${basePath}.consumption.${period}${zone}`, 0, true);
+            await this.adapter.setStateAsync(`${basePath}.${amountChannel}.${period}${zone}`, 0, true);
+        }
+    }
+
+    /**
+     * Resets the export and revenue counters of a period for a bidirectional meter
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {string} period - 'daily', 'monthly' or 'yearly'
+     * @param {object} config - Meter configuration
+     */
+    async resetExportCounters(basePath, period, config) {
+        if (!config?.exportSensorDP) {
+            return;
+        }
+        await this.adapter.setStateAsync(`${basePath}.export.${period}`, 0, true);
+        await this.adapter.setStateAsync(`${basePath}.revenue.${period}`, 0, true);
     }
 
     /**
@@ -794,12 +948,20 @@ class BillingManager {
             await this.adapter.setStateAsync(`${basePath}.consumption.yearlyVolume`, 0, true);
         }
 
-        await this.adapter.setStateAsync(`${basePath}.costs.yearly`, 0, true);
+        await this.adapter.setStateAsync(`${basePath}.${this.getAmountChannel(type)}.yearly`, 0, true);
+        await this.resetZoneCounters(type, basePath, 'yearly', meter.config);
+        await this.resetExportCounters(basePath, 'yearly', meter.config);
         await this.adapter.setStateAsync(`${basePath}.billing.notificationSent`, false, true);
         await this.adapter.setStateAsync(`${basePath}.billing.notificationChangeSent`, false, true);
 
         // Update lastYearStart timestamp
         await this.adapter.setStateAsync(`${basePath}.statistics.lastYearStart`, Date.now(), true);
+
+        if (meter.name === 'main') {
+            await this.adapter.pvManager?.handlePeriodReset(type, 'yearly');
+            await this.adapter.weatherManager?.handlePeriodReset(type, 'yearly');
+            await this.adapter.stockManager?.handlePeriodReset(type, 'yearly');
+        }
     }
 }
 
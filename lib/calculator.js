@@ -115,47 +115,352 @@ function parseGermanDate(dateStr) {
 }
 
 /**
- * Checks if the current time is within the High Tariff (HT) period
+ * Resolves the tariff valid at a given date from a dated price table.
+ * Entries must be sorted by validFrom (ascending); each entry only overrides
+ * the fields it defines, all other fields are inherited from older entries or the base tariff.
  *
- * @param {object} config - Adapter configuration
- * @param {string} type - Utility type: 'gas' or 'strom'
- * @returns {boolean} True if current time is HT, false if NT
+ * @param {object} baseTariff - Tariff from the regular price fields (valid without table entry)
+ * @param {Array|undefined} priceHistory - Sorted price table entries {validFrom: Date, ...fields}
+ * @param {Date} date - Point in time to resolve the tariff for
+ * @returns {object} Resolved tariff with additional validFrom (Date or null for the base tariff)
  */
-function isHTTime(config, type) {
-    if (!config || !type) {
-        return true;
+function getTariffForDate(baseTariff, priceHistory, date = new Date()) {
+    const tariff = { ...baseTariff, validFrom: null };
+    if (!Array.isArray(priceHistory)) {
+        return tariff;
     }
 
-    const enabled = config[`${type}HtNtEnabled`];
-    if (!enabled) {
-        return true;
+    const time = date.getTime();
+    for (const entry of priceHistory) {
+        if (!entry || !(entry.validFrom instanceof Date) || entry.validFrom.getTime() > time) {
+            break;
+        }
+        for (const key of Object.keys(baseTariff)) {
+            if (typeof entry[key] === 'number') {
+                tariff[key] = entry[key];
+            }
+        }
+        tariff.validFrom = entry.validFrom;
     }
 
-    const startTimeStr = config[`${type}HtStart`];
-    const endTimeStr = config[`${type}HtEnd`];
+    return tariff;
+}
+
+/**
+ * Parses a dynamic price curve into sorted time slots.
+ * Supported formats:
+ * - Tibber: [{startsAt, total}] or {today: [...], tomorrow: [...]}
+ * - aWATTar: {data: [{start_timestamp, end_timestamp, marketprice}]} (marketprice in €/MWh)
+ * - Generic: [{start, end, price}] (end is optional)
+ * Slots without end last until the next slot starts (or for the usual slot length at the end of the curve).
+ *
+ * @param {any} raw - Curve as JSON string, array or object
+ * @returns {Array<{start: number, end: number, price: number}>} Sorted slots (prices in €/kWh)
+ */
+function parsePriceCurve(raw) {
+    let data = raw;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch {
+            return [];
+        }
+    }
+    if (!data) {
+        return [];
+    }
+
+    let entries = [];
+    if (Array.isArray(data)) {
+        entries = data;
+    } else if (Array.isArray(data.data)) {
+        entries = data.data;
+    } else if (Array.isArray(data.today) || Array.isArray(data.tomorrow)) {
+        entries = [...(data.today || []), ...(data.tomorrow || [])];
+    }
+
+    const toTime = value => {
+        if (value === undefined || value === null || value === '') {
+            return NaN;
+        }
+        return typeof value === 'number' ? value : new Date(value).getTime();
+    };
 
-    if (!startTimeStr || !endTimeStr) {
+    const slots = [];
+    for (const entry of entries) {
+        if (!entry || typeof entry !== 'object') {
+            continue;
+        }
+        const start = toTime(entry.start ?? entry.startsAt ?? entry.start_timestamp);
+        let price = Number(entry.price ?? entry.total);
+        if (entry.marketprice !== undefined) {
+            const unit = String(entry.unit || 'Eur/MWh').toLowerCase();
+            price = unit.includes('mwh') ? Number(entry.marketprice) / 1000 : Number(entry.marketprice);
+        }
+        if (isNaN(start) || isNaN(price)) {
+            continue;
+        }
+        slots.push({ start, end: toTime(entry.end ?? entry.endsAt ?? entry.end_timestamp), price });
+    }
+
+    slots.sort((a, b) => a.start - b.start);
+
+    // Usual slot length (hourly or 15 minutes) for slots without end
+    let slotLength = 3600000;
+    for (let i = 1; i < slots.length; i++) {
+        const diff = slots[i].start - slots[i - 1].start;
+        if (diff > 0 && diff < slotLength) {
+            slotLength = diff;
+        }
+    }
+
+    for (let i = 0; i < slots.length; i++) {
+        if (isNaN(slots[i].end)) {
+            slots[i].end = i + 1 < slots.length ? slots[i + 1].start : slots[i].start + slotLength;
+        }
+    }
+
+    return slots;
+}
+
+/**
+ * Gets the slot of a price curve the given date falls into
+ *
+ * @param {Array<{start: number, end: number, price: number}>} curve - Parsed price curve
+ * @param {Date} date - Point in time
+ * @returns {{start: number, end: number, price: number}|null} Matching slot or null
+ */
+function getPriceSlot(curve, date = new Date()) {
+    const time = date.getTime();
+    return (curve || []).find(slot => slot.start <= time && time < slot.end) || null;
+}
+
+/**
+ * Calculates Easter Sunday of a year (Gregorian calendar, anonymous algorithm)
+ *
+ * @param {number} year - Year
+ * @returns {Date} Easter Sunday (local time, 00:00)
+ */
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Checks if a date is a nationwide public holiday in Germany
+ *
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the date is a nationwide holiday
+ */
+function isGermanHoliday(date) {
+    const month = date.getMonth() + 1;
+    const day = date.getDate();
+    const fixed = ['1.1', '1.5', '3.10', '25.12', '26.12'];
+    if (fixed.includes(`${day}.${month}`)) {
         return true;
     }
 
-    const now = new Date();
-    const currentHours = now.getHours();
-    const currentMinutes = now.getMinutes();
-    const currentTimeMinutes = currentHours * 60 + currentMinutes;
+    // Movable holidays relative to Easter Sunday: Good Friday, Easter Monday, Ascension Day, Whit Monday
+    const easter = getEasterSunday(date.getFullYear());
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), day);
+    const offset = Math.round((dayStart.getTime() - easter.getTime()) / DEFAULTS.MILLISECONDS_PER_DAY);
+    return [-2, 1, 39, 50].includes(offset);
+}
 
-    const [startH, startM] = startTimeStr.split(':').map(val => parseInt(val, 10));
-    const [endH, endM] = endTimeStr.split(':').map(val => parseInt(val, 10));
+/**
+ * Parses a weekday list like "Mo-Fr", "Sa,So" or "Mon-Fri" (German or English abbreviations)
+ *
+ * @param {string} value - Weekday list, empty means every day
+ * @returns {Array<number>} Weekdays (0 = Sunday ... 6 = Saturday)
+ */
+function parseWeekdays(value) {
+    const allDays = [0, 1, 2, 3, 4, 5, 6];
+    if (!value || typeof value !== 'string' || !value.trim()) {
+        return allDays;
+    }
 
-    const startTimeMinutes = startH * 60 + (startM || 0);
-    const endTimeMinutes = endH * 60 + (endM || 0);
+    const names = { so: 0, su: 0, mo: 1, di: 2, tu: 2, mi: 3, we: 3, do: 4, th: 4, fr: 5, sa: 6 };
+    const toDay = token => names[token.trim().toLowerCase().substring(0, 2)];
+    const days = new Set();
 
-    if (startTimeMinutes <= endTimeMinutes) {
-        // HT period during the day (e.g. 06:00 - 22:00)
-        return currentTimeMinutes >= startTimeMinutes && currentTimeMinutes < endTimeMinutes;
+    for (const part of value.replace(/\s*-\s*/g, '-').split(/[,;\s]+/)) {
+        if (!part) {
+            continue;
+        }
+        const [from, to] = part.split('-');
+        const start = toDay(from);
+        const end = to !== undefined ? toDay(to) : start;
+        if (start === undefined || end === undefined) {
+            continue;
+        }
+        for (let day = start; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === end) {
+                break;
+            }
+        }
     }
 
-    // HT period over midnight (e.g. 22:00 - 06:00)
-    return currentTimeMinutes >= startTimeMinutes || currentTimeMinutes < endTimeMinutes;
+    return days.size > 0 ? [...days].sort() : allDays;
+}
+
+/**
+ * Parses a time of day "HH:MM" into minutes since midnight
+ *
+ * @param {string} value - Time of day (e.g. "06:00", "24:00")
+ * @returns {number|null} Minutes since midnight or null if empty/invalid
+ */
+function parseTimeOfDay(value) {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+    const [hours, minutes] = value
+        .trim()
+        .split(':')
+        .map(part => parseInt(part, 10));
+    if (isNaN(hours)) {
+        return null;
+    }
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Finds the tariff zone that is active at a given date.
+ * Entries are checked in order, the first entry matching weekday and time window wins.
+ * Entries without time window match the whole day, windows may span midnight (e.g. 22:00 - 06:00).
+ *
+ * @param {Array<{zone: string, days: Array<number>, from: number|null, to: number|null}>} schedule - Zone schedule
+ * @param {Date} date - Point in time
+ * @param {boolean} holidaysAsSunday - Treat German public holidays like Sundays
+ * @returns {object|null} Matching schedule entry or null
+ */
+function getActiveZone(schedule, date = new Date(), holidaysAsSunday = false) {
+    if (!Array.isArray(schedule) || schedule.length === 0) {
+        return null;
+    }
+
+    const weekday = holidaysAsSunday && isGermanHoliday(date) ? 0 : date.getDay();
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    for (const entry of schedule) {
+        if (Array.isArray(entry.days) && !entry.days.includes(weekday)) {
+            continue;
+        }
+        const from = entry.from ?? 0;
+        const to = entry.to ?? 24 * 60;
+        const matches = from === to || (from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to);
+        if (matches) {
+            return entry;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Gets the display name of a tariff zone
+ *
+ * @param {string} zone - Zone ID (e.g. 'HT', 'ST', 'NT')
+ * @returns {string} Display name
+ */
+function getZoneLabel(zone) {
+    const labels = { HT: 'Haupttarif (HT)', ST: 'Standardtarif (ST)', NT: 'Nebentarif (NT)' };
+    return labels[zone] || `Tarifzone ${zone}`;
+}
+
+/**
+ * Calculates the PV self-consumption and the derived ratios of a period.
+ * Self-consumption is the part of the production that was not fed into the grid,
+ * autarky is the share of the total demand (self-consumption + grid purchase) covered by PV.
+ *
+ * @param {number} production - PV production in kWh
+ * @param {number} feedIn - Grid feed-in in kWh
+ * @param {number} gridConsumption - Grid purchase in kWh
+ * @returns {{selfConsumption: number, selfConsumptionRate: number, autarky: number}} Self-consumption in kWh, rates in %
+ */
+function calculatePvBalance(production, feedIn, gridConsumption) {
+    const selfConsumption = Math.max(0, (production || 0) - (feedIn || 0));
+    const demand = selfConsumption + Math.max(0, gridConsumption || 0);
+
+    return {
+        selfConsumption: roundToDecimals(selfConsumption, 2),
+        selfConsumptionRate:
+            production > 0 ? roundToDecimals(Math.min(100, (selfConsumption / production) * 100), 1) : 0,
+        autarky: demand > 0 ? roundToDecimals((selfConsumption / demand) * 100, 1) : 0,
+    };
+}
+
+/**
+ * Calculates the heating degree days (Gradtagzahl) of a day.
+ * Days with a mean temperature below the heating limit count with the difference to the room temperature.
+ *
+ * @param {number} meanTemperature - Daily mean outdoor temperature in °C
+ * @param {number} roomTemperature - Room temperature in °C (default: 20)
+ * @param {number} heatingLimit - Heating limit in °C (default: 15)
+ * @returns {number} Degree days in Kd
+ */
+function calculateDegreeDays(meanTemperature, roomTemperature = 20, heatingLimit = 15) {
+    if (typeof meanTemperature !== 'number' || isNaN(meanTemperature) || meanTemperature >= heatingLimit) {
+        return 0;
+    }
+    return roundToDecimals(roomTemperature - meanTemperature, 2);
+}
+
+/**
+ * Calculates the weighted share of a time span, each calendar month counting with its weight.
+ * Partial months count proportionally to the covered time.
+ *
+ * @param {Array<number>} monthlyWeights - Weights for January to December (relative, need not sum to 1)
+ * @param {Date} start - Start of the span
+ * @param {Date} end - End of the span
+ * @returns {number} Sum of the (partial) month weights within the span
+ */
+function getSeasonalShare(monthlyWeights, start, end) {
+    let share = 0;
+    let cursor = new Date(start);
+
+    while (cursor < end) {
+        const monthStart = new Date(cursor.getFullYear(), cursor.getMonth(), 1);
+        const nextMonth = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+        const sliceEnd = nextMonth < end ? nextMonth : end;
+        const fraction = (sliceEnd.getTime() - cursor.getTime()) / (nextMonth.getTime() - monthStart.getTime());
+
+        share += (monthlyWeights[cursor.getMonth()] || 0) * fraction;
+        cursor = nextMonth;
+    }
+
+    return share;
+}
+
+/**
+ * Calculates the consumption across a counter rollover (meter with limited digits starting again at 0).
+ * Only a decrease from close below the maximum to a small value counts as rollover - the resulting
+ * consumption must not exceed ROLLOVER_MAX_SHARE of the counter range.
+ *
+ * @param {number} lastReading - Last reading before the decrease
+ * @param {number} reading - New reading
+ * @param {number} maxReading - Reading at which the meter starts again at 0 (e.g. 100000), 0 = no rollover
+ * @returns {number|null} Consumption across the rollover or null if the decrease is no rollover
+ */
+function getRolloverDelta(lastReading, reading, maxReading) {
+    if (!(maxReading > 0) || reading >= lastReading) {
+        return null;
+    }
+    const delta = reading + maxReading - lastReading;
+    return delta > 0 && delta <= maxReading * DEFAULTS.ROLLOVER_MAX_SHARE ? delta : null;
 }
 
 /**
@@ -178,6 +483,9 @@ const DEFAULTS = {
     MIN_PRICE: 0,
     MAX_PRICE: 9999,
     MIN_CONSUMPTION: 0,
+
+    // Counter rollover: largest consumption between two readings, as share of the counter range
+    ROLLOVER_MAX_SHARE: 0.1,
 };
 
 /**
@@ -245,7 +553,19 @@ module.exports = {
     ensureNumber,
     roundToDecimals,
     parseGermanDate,
-    isHTTime,
+    getTariffForDate,
+    parsePriceCurve,
+    getPriceSlot,
+    getEasterSunday,
+    isGermanHoliday,
+    parseWeekdays,
+    parseTimeOfDay,
+    getActiveZone,
+    getZoneLabel,
+    calculatePvBalance,
+    getSeasonalShare,
+    getRolloverDelta,
+    calculateDegreeDays,
     formatDateString,
     parseDateString,
     isLeapYear,
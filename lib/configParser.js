@@ -1,5 +1,7 @@
 'use strict';
 
+const calculator = require('./calculator');
+
 /**
  * Parst einen Config-Wert sicher zu einer Zahl
  *
@@ -84,9 +86,160 @@ function parseConfigPrice(value, defaultValue = 0) {
     return parsed < 0 ? defaultValue : parsed;
 }
 
+/**
+ * Parses a dated price table from the admin config.
+ * Rows without a valid date are skipped, empty price cells stay null (inherit previous value).
+ *
+ * @param {any} rows - Table rows from the admin config
+ * @returns {Array} - Entries sorted by validFrom {validFrom, preis, grundgebuehr, jahresgebuehr, htPrice, ntPrice}
+ */
+function parsePriceHistory(rows) {
+    if (!Array.isArray(rows)) {
+        return [];
+    }
+
+    const optionalPrice = value =>
+        value === null || value === undefined || value === '' ? null : parseConfigPrice(value);
+    const entries = [];
+
+    for (const row of rows) {
+        const dateStr = parseConfigDate(row?.validFrom);
+        const validFrom = calculator.parseGermanDate(dateStr) || calculator.parseDateString(dateStr);
+        if (!validFrom) {
+            continue;
+        }
+        // A tariff is valid from the beginning of its day
+        validFrom.setHours(0, 0, 0, 0);
+
+        entries.push({
+            validFrom,
+            preis: optionalPrice(row.preis),
+            grundgebuehr: optionalPrice(row.grundgebuehr),
+            jahresgebuehr: optionalPrice(row.jahresgebuehr),
+            htPrice: optionalPrice(row.htPrice),
+            ntPrice: optionalPrice(row.ntPrice),
+        });
+    }
+
+    return entries.sort((a, b) => a.validFrom.getTime() - b.validFrom.getTime());
+}
+
+/**
+ * Parses the dated Brennwert/Z-Zahl table of gas from the admin config.
+ * Rows without a valid date are skipped, empty cells stay null (inherit previous value).
+ *
+ * @param {any} rows - Table rows from the admin config
+ * @returns {Array} - Entries sorted by validFrom {validFrom, brennwert, zZahl}
+ */
+function parseGasFactorHistory(rows) {
+    if (!Array.isArray(rows)) {
+        return [];
+    }
+
+    const optionalFactor = value => {
+        const parsed = parseConfigNumber(value, 0);
+        return parsed > 0 ? parsed : null;
+    };
+    const entries = [];
+
+    for (const row of rows) {
+        const dateStr = parseConfigDate(row?.validFrom);
+        const validFrom = calculator.parseGermanDate(dateStr) || calculator.parseDateString(dateStr);
+        if (!validFrom) {
+            continue;
+        }
+        validFrom.setHours(0, 0, 0, 0);
+
+        entries.push({
+            validFrom,
+            brennwert: optionalFactor(row.brennwert),
+            zZahl: optionalFactor(row.zZahl),
+        });
+    }
+
+    return entries.sort((a, b) => a.validFrom.getTime() - b.validFrom.getTime());
+}
+
+/**
+ * Normalizes a tariff zone name to a state ID suffix (e.g. "ht" -> "HT", "Zone 2" -> "ZONE2")
+ *
+ * @param {any} name - Zone name from the admin config
+ * @returns {string} - Normalized zone ID (empty if invalid)
+ */
+function normalizeZoneName(name) {
+    return String(name ?? '')
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Parses the tariff zone schedule table from the admin config.
+ * Several rows may belong to the same zone (e.g. different windows on weekdays and weekends),
+ * the price of a zone is taken from its first row with a price.
+ *
+ * @param {any} rows - Table rows {zone, price, days, from, to}
+ * @returns {Array} - Schedule entries in table order {zone, price, days, from, to}
+ */
+function parseTariffZones(rows) {
+    if (!Array.isArray(rows)) {
+        return [];
+    }
+
+    const entries = [];
+    const zonePrices = {};
+
+    for (const row of rows) {
+        const zone = normalizeZoneName(row?.zone);
+        if (!zone) {
+            continue;
+        }
+        if (row.price !== undefined && row.price !== null && row.price !== '' && !(zone in zonePrices)) {
+            zonePrices[zone] = parseConfigPrice(row.price);
+        }
+        entries.push({
+            zone,
+            days: calculator.parseWeekdays(row.days),
+            from: calculator.parseTimeOfDay(row.from),
+            to: calculator.parseTimeOfDay(row.to),
+        });
+    }
+
+    return entries.map(entry => ({ ...entry, price: zonePrices[entry.zone] ?? 0 }));
+}
+
+/**
+ * Builds the zone schedule of a classic HT/NT tariff: HT inside the HT window, NT otherwise.
+ * Prices are resolved from the (dated) tariff via priceKey.
+ *
+ * @param {string} htStart - Start of the HT window (HH:MM)
+ * @param {string} htEnd - End of the HT window (HH:MM)
+ * @returns {Array} - Schedule entries {zone, priceKey, days, from, to}
+ */
+function buildHtNtZones(htStart, htEnd) {
+    const from = calculator.parseTimeOfDay(htStart);
+    const to = calculator.parseTimeOfDay(htEnd);
+    const allDays = [0, 1, 2, 3, 4, 5, 6];
+    return [
+        // Without a complete HT window the whole day is HT
+        {
+            zone: 'HT',
+            priceKey: 'htPrice',
+            days: allDays,
+            from: to === null ? null : from,
+            to: from === null ? null : to,
+        },
+        { zone: 'NT', priceKey: 'ntPrice', days: allDays, from: null, to: null },
+    ];
+}
+
 module.exports = {
     parseConfigNumber,
     isValidSensorDP,
     parseConfigDate,
     parseConfigPrice,
+    parsePriceHistory,
+    parseGasFactorHistory,
+    normalizeZoneName,
+    parseTariffZones,
+    buildHtNtZones,
 };
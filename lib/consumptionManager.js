@@ -2,6 +2,8 @@
 
 const calculator = require('./calculator');
 const stateManager = require('./stateManager');
+const utilityTypes = require('./utilityTypes');
+const { parseConfigNumber } = require('./configParser');
 
 /**
  * ConsumptionManager handles all sensor-related logic,
@@ -19,16 +21,11 @@ class ConsumptionManager {
     /**
      * Maps internal utility type to config/state name
      *
-     * @param {string} type - gas, water, or electricity
-     * @returns {string} - gas, wasser, or strom
+     * @param {string} type - gas, water, electricity, pv or the ID of a custom utility type
+     * @returns {string} - gas, wasser, strom, pv or the ID of the custom utility type
      */
     getConfigType(type) {
-        const mapping = {
-            electricity: 'strom',
-            water: 'wasser',
-            gas: 'gas',
-        };
-        return mapping[type] || type;
+        return utilityTypes.getConfigType(this.adapter.config, type);
     }
 
     /**
@@ -55,8 +52,14 @@ class ConsumptionManager {
         const sensorDP = this.adapter.config[sensorDPKey];
 
         if (!sensorDP) {
-            this.adapter.log.warn(`${type} is active but no sensor datapoint configured!`);
+            // Meter is read by hand - counters and costs are calculated from the readings (see ManualReadingManager)
             await this.adapter.setStateAsync(`${type}.info.sensorActive`, false, true);
+            if (this.adapter.multiMeterManager) {
+                await this.adapter.multiMeterManager.initializeType(type);
+            }
+            if (typeof this.adapter.updateBillingCountdown === 'function') {
+                await this.adapter.updateBillingCountdown(type);
+            }
             return;
         }
 
@@ -79,21 +82,27 @@ class ConsumptionManager {
             await this.adapter.multiMeterManager.initializeType(type);
         }
 
-        // Restore last sensor value from persistent state to prevent delta loss
-        const lastReading = await this.adapter.getStateAsync(`${type}.info.meterReading`);
-        if (lastReading && typeof lastReading.val === 'number') {
-            this.lastSensorValues[sensorDP] = lastReading.val;
-            this.adapter.log.debug(`${type}: Restored last sensor value: ${lastReading.val}`);
-        }
+        // Without MultiMeterManager the main meter is read here. Otherwise initializeType already restored it and
+        // processed the current value - a second pass would confirm a value the plausibility filter held back.
+        if (!this.adapter.multiMeterManager) {
+            // Restore last sensor value from persistent state to prevent delta loss (gas deltas are calculated in m³)
+            const lastReading = await this.adapter.getStateAsync(
+                `${type}.info.${type === 'gas' ? 'meterReadingVolume' : 'meterReading'}`,
+            );
+            if (lastReading && typeof lastReading.val === 'number') {
+                this.lastSensorValues[sensorDP] = lastReading.val;
+                this.adapter.log.debug(`${type}: Restored last sensor value: ${lastReading.val}`);
+            }
 
-        // Initialize with current sensor value
-        try {
-            const sensorState = await this.adapter.getForeignStateAsync(sensorDP);
-            if (sensorState && sensorState.val !== null && typeof sensorState.val === 'number') {
-                await this.handleSensorUpdate(type, sensorDP, sensorState.val);
+            // Initialize with current sensor value
+            try {
+                const sensorState = await this.adapter.getForeignStateAsync(sensorDP);
+                if (sensorState && sensorState.val !== null && typeof sensorState.val === 'number') {
+                    await this.handleSensorUpdate(type, sensorDP, sensorState.val);
+                }
+            } catch (error) {
+                this.adapter.log.warn(`Could not read initial value from ${sensorDP}: ${error.message}`);
             }
-        } catch (error) {
-            this.adapter.log.warn(`Could not read initial value from ${sensorDP}: ${error.message}`);
         }
 
         // Initialize period start timestamps if not set
@@ -154,32 +163,22 @@ class ConsumptionManager {
         const initialReading = this.adapter.config[initialReadingKey] || 0;
 
         if (initialReading > 0) {
-            const sensorState = await this.adapter.getForeignStateAsync(sensorDP);
-            if (sensorState && typeof sensorState.val === 'number') {
-                let currentRaw = sensorState.val;
-
-                // Apply offset if configured (in original unit)
-                const offsetKey = `${configType}Offset`;
-                const offset = this.adapter.config[offsetKey] || 0;
-                if (offset !== 0) {
-                    currentRaw = currentRaw - offset;
-                    this.adapter.log.debug(`Applied offset for ${type}: -${offset}, new value: ${currentRaw}`);
-                }
-                let yearlyConsumption = Math.max(0, currentRaw - initialReading);
+            const currentReading = await this.getCurrentReading(type, sensorDP);
+            if (currentReading !== null) {
+                let yearlyConsumption = Math.max(0, currentReading - initialReading);
 
                 // For gas: convert m³ to kWh AFTER calculating the difference
                 if (type === 'gas') {
-                    const brennwert = this.adapter.config.gasBrennwert || 11.5;
-                    const zZahl = this.adapter.config.gasZahl || 0.95;
                     const yearlyVolume = yearlyConsumption;
-                    yearlyConsumption = calculator.convertGasM3ToKWh(yearlyConsumption, brennwert, zZahl);
+                    yearlyConsumption = await this.adapter.tariffManager.convertYearlyVolume(type, yearlyVolume);
                     await this.adapter.setStateAsync(`${type}.consumption.yearlyVolume`, yearlyVolume, true);
                     this.adapter.log.info(
-                        `Init yearly ${type}: ${yearlyConsumption.toFixed(2)} kWh = ${(currentRaw - initialReading).toFixed(2)} m³ (current: ${currentRaw.toFixed(2)} m³, initial: ${initialReading} m³)`,
+                        `Init yearly ${type}: ${yearlyConsumption.toFixed(2)} kWh = ${yearlyVolume.toFixed(2)} m³ (current: ${currentReading.toFixed(2)} m³, initial: ${initialReading} m³)`,
                     );
                 } else {
+                    yearlyConsumption *= parseConfigNumber(this.adapter.config[`${configType}Factor`], 1);
                     this.adapter.log.info(
-                        `Init yearly ${type}: ${yearlyConsumption.toFixed(2)} (current: ${currentRaw.toFixed(2)}, initial: ${initialReading})`,
+                        `Init yearly ${type}: ${yearlyConsumption.toFixed(2)} (current: ${currentReading.toFixed(2)}, initial: ${initialReading})`,
                     );
                 }
 
@@ -198,6 +197,29 @@ class ConsumptionManager {
         this.adapter.log.debug(`Initial cost calculation completed for ${type}`);
     }
 
+    /**
+     * Gets the current reading of the main meter for the initialization of the yearly consumption
+     *
+     * @param {string} type - Utility type
+     * @param {string} sensorDP - Sensor datapoint ID
+     * @returns {Promise<number|null>} - Reading with offset and exchange correction (gas in m³), null if unknown
+     */
+    async getCurrentReading(type, sensorDP) {
+        // Reading accepted by MultiMeterManager - a value held back by the plausibility filter is not counted
+        const accepted = this.adapter.multiMeterManager?.lastSensorValues[sensorDP];
+        if (typeof accepted === 'number') {
+            return accepted;
+        }
+
+        const sensorState = await this.adapter.getForeignStateAsync(sensorDP);
+        if (!sensorState || typeof sensorState.val !== 'number') {
+            return null;
+        }
+        // Apply offset if configured (in original unit)
+        const offset = this.adapter.config[`${this.getConfigType(type)}Offset`] || 0;
+        return sensorState.val - offset + (this.adapter.meterExchangeManager?.getCorrection(type) || 0);
+    }
+
     /**
      * Handles sensor value updates
      *
@@ -206,6 +228,12 @@ class ConsumptionManager {
      * @param {number} value - New sensor value
      */
     async handleSensorUpdate(type, sensorDP, value) {
+        // The main meter is one of the meters of MultiMeterManager - a single path for plausibility filter,
+        // meter exchange and rollover
+        if (this.adapter.multiMeterManager) {
+            return this.adapter.multiMeterManager.handleSensorUpdate(type, 'main', sensorDP, value);
+        }
+
         if (typeof value !== 'number' || value < 0) {
             this.adapter.log.warn(`Invalid sensor value for ${type}: ${value}`);
             return;
@@ -227,27 +255,30 @@ class ConsumptionManager {
             this.adapter.log.debug(`Applied offset for ${type}: -${offset}, new value: ${consumption}`);
         }
 
-        // For gas, convert m³ to kWh
-        if (type === 'gas') {
-            const brennwert = this.adapter.config.gasBrennwert || 11.5;
-            const zZahl = this.adapter.config.gasZahl || 0.95;
+        // Custom utility types may bill in another unit than the meter counts (e.g. kWh → MWh)
+        const factor = parseConfigNumber(this.adapter.config[`${configType}Factor`], 1);
+
+        // For gas, convert m³ to kWh (the reading is only displayed, deltas are converted individually)
+        const gasFactors = type === 'gas' ? this.adapter.tariffManager.getGasFactors() : null;
+        if (gasFactors) {
             consumptionM3 = consumption;
             await this.adapter.setStateAsync(`${type}.info.meterReadingVolume`, consumption, true);
-            consumption = calculator.convertGasM3ToKWh(consumption, brennwert, zZahl);
+            consumption = calculator.convertGasM3ToKWh(consumption, gasFactors.brennwert, gasFactors.zZahl);
             consumption = calculator.roundToDecimals(consumption, 2);
         }
 
         // Update meter reading
         await this.adapter.setStateAsync(`${type}.info.meterReading`, consumption, true);
 
-        // Calculate deltas
+        // Calculate deltas - gas in m³, so a new Brennwert does not change consumption already counted
+        const reading = consumptionM3 ?? consumption;
         const lastValue = this.lastSensorValues[sensorDP];
-        this.lastSensorValues[sensorDP] = consumption;
+        this.lastSensorValues[sensorDP] = reading;
 
-        if (lastValue === undefined || consumption <= lastValue) {
-            if (lastValue !== undefined && consumption < lastValue) {
+        if (lastValue === undefined || reading <= lastValue) {
+            if (lastValue !== undefined && reading < lastValue) {
                 this.adapter.log.warn(
-                    `${type}: Sensor value decreased (${lastValue} -> ${consumption}). Assuming meter reset or replacement.`,
+                    `${type}: Sensor value decreased (${lastValue} -> ${reading}). Assuming meter reset or replacement.`,
                 );
             }
             if (typeof this.adapter.updateCosts === 'function') {
@@ -256,15 +287,14 @@ class ConsumptionManager {
             return;
         }
 
-        const delta = consumption - lastValue;
+        const deltaVolume = reading - lastValue;
+        const delta = gasFactors
+            ? calculator.convertGasM3ToKWh(deltaVolume, gasFactors.brennwert, gasFactors.zZahl)
+            : deltaVolume * factor;
         this.adapter.log.debug(`${type} delta: ${delta}`);
 
         // Track volume for gas
         if (type === 'gas') {
-            const brennwert = this.adapter.config.gasBrennwert || 11.5;
-            const zZahl = this.adapter.config.gasZahl || 0.95;
-            const deltaVolume = delta / (brennwert * zZahl);
-
             const dailyVolume = await this.adapter.getStateAsync(`${type}.consumption.dailyVolume`);
             const monthlyVolume = await this.adapter.getStateAsync(`${type}.consumption.monthlyVolume`);
             const yearlyVolume = await this.adapter.getStateAsync(`${type}.consumption.yearlyVolume`);
@@ -301,53 +331,40 @@ class ConsumptionManager {
             true,
         );
 
-        // HT/NT tracking
-        const htNtEnabledKey = `${configType}HtNtEnabled`;
-        if (this.adapter.config[htNtEnabledKey]) {
-            const isHT = calculator.isHTTime(this.adapter.config, configType);
-            const suffix = isHT ? 'HT' : 'NT';
+        // Tariff zone tracking (HT/NT or zone schedule)
+        const zoneConfig = this.adapter.tariffManager.getMeterConfig(type);
+        const { zone } = this.adapter.tariffManager.getActivePrice(type, zoneConfig);
+        if (zone) {
+            for (const period of ['daily', 'monthly', 'yearly']) {
+                const zoneState = await this.adapter.getStateAsync(`${type}.consumption.${period}${zone}`);
+                await this.adapter.setStateAsync(
+                    `${type}.consumption.${period}${zone}`,
+                    calculator.roundToDecimals((zoneState?.val || 0) + delta, 2),
+                    true,
+                );
+            }
+        }
 
-            const dHTNT = await this.adapter.getStateAsync(`${type}.consumption.daily${suffix}`);
-            await this.adapter.setStateAsync(
-                `${type}.consumption.daily${suffix}`,
-                calculator.roundToDecimals((dHTNT?.val || 0) + delta, 2),
-                true,
-            );
+        // Yearly consumption
+        const initialReadingKey = `${configType}InitialReading`;
+        const initialReading = this.adapter.config[initialReadingKey] || 0;
 
-            const mHTNT = await this.adapter.getStateAsync(`${type}.consumption.monthly${suffix}`);
+        if (initialReading > 0 && type === 'gas') {
+            // The volume follows the meter, the energy keeps the factors each delta was converted with
+            const yearlyM3 = Math.max(0, reading - initialReading);
             await this.adapter.setStateAsync(
-                `${type}.consumption.monthly${suffix}`,
-                calculator.roundToDecimals((mHTNT?.val || 0) + delta, 2),
+                `${type}.consumption.yearlyVolume`,
+                calculator.roundToDecimals(yearlyM3, 2),
                 true,
             );
-
-            const yHTNT = await this.adapter.getStateAsync(`${type}.consumption.yearly${suffix}`);
+            const yState = await this.adapter.getStateAsync(`${type}.consumption.yearly`);
             await this.adapter.setStateAsync(
-                `${type}.consumption.yearly${suffix}`,
-                calculator.roundToDecimals((yHTNT?.val || 0) + delta, 2),
+                `${type}.consumption.yearly`,
+                calculator.roundToDecimals((yState?.val || 0) + delta, 2),
                 true,
             );
-        }
-
-        // Yearly consumption
-        const initialReadingKey = `${configType}InitialReading`;
-        const initialReading = this.adapter.config[initialReadingKey] || 0;
-
-        if (initialReading > 0) {
-            let yearlyAmount;
-            if (type === 'gas') {
-                const yearlyM3 = Math.max(0, (consumptionM3 || 0) - initialReading);
-                await this.adapter.setStateAsync(
-                    `${type}.consumption.yearlyVolume`,
-                    calculator.roundToDecimals(yearlyM3, 2),
-                    true,
-                );
-                const brennwert = this.adapter.config.gasBrennwert || 11.5;
-                const zZahl = this.adapter.config.gasZahl || 0.95;
-                yearlyAmount = calculator.convertGasM3ToKWh(yearlyM3, brennwert, zZahl);
-            } else {
-                yearlyAmount = Math.max(0, consumption - initialReading);
-            }
+        } else if (initialReading > 0) {
+            const yearlyAmount = Math.max(0, reading - initialReading) * factor;
             await this.adapter.setStateAsync(
                 `${type}.consumption.yearly`,
                 calculator.roundToDecimals(yearlyAmount, 2),
@@ -362,6 +379,11 @@ class ConsumptionManager {
             );
         }
 
+        // Price the delta with the tariff active right now (time-of-use cost accumulation)
+        if (zoneConfig) {
+            await this.adapter.billingManager.addDeltaCost(type, type, zoneConfig, delta);
+        }
+
         if (typeof this.adapter.updateCosts === 'function') {
             await this.adapter.updateCosts(type);
         }
@@ -376,29 +398,13 @@ class ConsumptionManager {
      * @param {string} type - Utility type
      */
     async updateCurrentPrice(type) {
-        const configType = this.getConfigType(type);
-
-        // Check for HT/NT
-        const htNtEnabledKey = `${configType}HtNtEnabled`;
-        const htNtEnabled = this.adapter.config[htNtEnabledKey] || false;
-
-        let tariffName = 'Standard';
-        let activePrice = 0;
-
-        if (htNtEnabled) {
-            const isHT = calculator.isHTTime(this.adapter.config, configType);
-            if (isHT) {
-                activePrice = this.adapter.config[`${configType}HtPrice`] || 0;
-                tariffName = 'Haupttarif (HT)';
-            } else {
-                activePrice = this.adapter.config[`${configType}NtPrice`] || 0;
-                tariffName = 'Nebentarif (NT)';
-            }
-        } else {
-            const priceKey = `${configType}Preis`;
-            activePrice = this.adapter.config[priceKey] || 0;
+        const config = this.adapter.tariffManager.getMeterConfig(type);
+        if (!config) {
+            return;
         }
 
+        const { price: activePrice, name: tariffName } = this.adapter.tariffManager.getActivePrice(type, config);
+
         await this.adapter.setStateAsync(`${type}.info.currentPrice`, calculator.roundToDecimals(activePrice, 4), true);
         await this.adapter.setStateAsync(`${type}.info.currentTariff`, tariffName, true);
     }
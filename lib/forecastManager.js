@@ -0,0 +1,205 @@
+'use strict';
+
+const calculator = require('./calculator');
+const utilityTypes = require('./utilityTypes');
+
+/**
+ * Typical share of the yearly consumption per calendar month (January to December),
+ * used until history.months covers a full year (profile of the utility type, see utilityTypes)
+ */
+const SEASONAL_PROFILES = {
+    heating: [0.17, 0.15, 0.12, 0.08, 0.04, 0.02, 0.02, 0.02, 0.04, 0.08, 0.12, 0.14],
+    electricity: [0.095, 0.087, 0.085, 0.08, 0.078, 0.074, 0.075, 0.076, 0.078, 0.085, 0.09, 0.097],
+    flat: new Array(12).fill(1 / 12),
+};
+
+/**
+ * ForecastManager projects consumption, costs and balance of a meter to the end of its billing period
+ * (Hochrechnung) and recommends a new Abschlag.
+ */
+class ForecastManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Updates the forecast states of a meter
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     */
+    async updateForecast(type, meterName, config) {
+        if (!this.getSeasonalProfile(type)) {
+            return;
+        }
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
+
+        const yearStartState = await this.adapter.getStateAsync(`${basePath}.statistics.lastYearStart`);
+        const yearStart = yearStartState?.val ? calculator.parseDateString(yearStartState.val) : null;
+        if (!yearStart || isNaN(yearStart.getTime())) {
+            return;
+        }
+
+        const now = new Date();
+        const periodEnd = await this.getPeriodEnd(basePath, yearStart, now);
+        const { weights, method } = await this.getMonthlyWeights(type, basePath);
+
+        const consumption = await this.getValue(`${basePath}.consumption.yearly`);
+        // Water: the wastewater is priced per m³ as well
+        const consumptionCost =
+            (await this.getValue(`${basePath}.costs.yearly`)) +
+            (await this.getValue(`${basePath}.costs.wastewaterYearly`));
+
+        // Gas: extrapolate the consumption a normal winter would have caused so far (degree days)
+        const weatherFactor = type === 'gas' ? (await this.adapter.weatherManager?.getNormalizationFactor()) || 1 : 1;
+
+        // Extrapolate the consumption so far with the seasonal weight of the remaining period
+        const elapsedShare = calculator.getSeasonalShare(weights, yearStart, now);
+        const remainingShare = calculator.getSeasonalShare(weights, now, periodEnd);
+        const remainingConsumption =
+            elapsedShare > 0 ? ((consumption * weatherFactor) / elapsedShare) * remainingShare : 0;
+
+        // Remaining consumption is priced with the average price so far
+        const averagePrice =
+            consumption > 0
+                ? consumptionCost / consumption
+                : this.adapter.tariffManager.getActivePrice(type, config, now).price +
+                  (config.gartenwasser ? 0 : config.abwasserPreis || 0);
+
+        // Fees of the complete period: Grundgebühr of all started months, Jahresgebühr up to the period end
+        const lastDay = new Date(periodEnd.getTime() - 1);
+        const basicCharge = this.adapter.tariffManager.getAccumulatedFees(config, yearStart, lastDay).basicCharge;
+        const annualFee = this.adapter.tariffManager.getAccumulatedFees(config, yearStart, periodEnd).annualFee;
+        const months = calculator.getMonthsDifference(yearStart, lastDay) + 1;
+
+        const totalYearly = consumptionCost + remainingConsumption * averagePrice + basicCharge + annualFee;
+        const paidTotal = (config.abschlag || 0) * months;
+
+        await this.writeForecast(basePath, {
+            consumption: consumption + remainingConsumption,
+            totalYearly,
+            // Same sign as costs.balance: positive is a credit, negative a back payment
+            balance: paidTotal - totalYearly,
+            abschlag: Math.ceil(totalYearly / months),
+        });
+        await this.adapter.setStateAsync(`${basePath}.forecast.method`, method, true);
+    }
+
+    /**
+     * Updates the forecast of the totals as sum of all meters
+     *
+     * @param {string} type - Utility type
+     */
+    async updateTotalForecast(type) {
+        if (!this.getSeasonalProfile(type)) {
+            return;
+        }
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        if (meters.length <= 1) {
+            return;
+        }
+
+        const totals = { consumption: 0, totalYearly: 0, balance: 0, abschlag: 0 };
+        for (const meter of meters) {
+            const basePath = meter.name === 'main' ? type : `${type}.${meter.name}`;
+            for (const key of Object.keys(totals)) {
+                totals[key] += await this.getValue(`${basePath}.forecast.${key}`);
+            }
+        }
+
+        await this.writeForecast(`${type}.totals`, totals);
+    }
+
+    /**
+     * Gets the end of the current billing period of a meter
+     * (from billing.daysRemaining of the billing countdown, otherwise one year after the period start)
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {Date} yearStart - Start of the billing period
+     * @param {Date} now - Current time
+     * @returns {Promise<Date>} - End of the billing period (exclusive)
+     */
+    async getPeriodEnd(basePath, yearStart, now) {
+        const daysRemainingState = await this.adapter.getStateAsync(`${basePath}.billing.daysRemaining`);
+        if (typeof daysRemainingState?.val === 'number' && daysRemainingState.val > 0) {
+            return new Date(now.getFullYear(), now.getMonth(), now.getDate() + daysRemainingState.val);
+        }
+
+        const periodEnd = new Date(yearStart);
+        periodEnd.setFullYear(yearStart.getFullYear() + 1);
+        return periodEnd < now ? now : periodEnd;
+    }
+
+    /**
+     * Gets the monthly weights for the projection: the consumption of the last 12 months
+     * from history.months if available, otherwise the seasonal profile of the utility type
+     *
+     * @param {string} type - Utility type
+     * @param {string} basePath - State path of the meter
+     * @returns {Promise<{weights: Array<number>, method: string}>} - Weights for January to December and their source
+     */
+    async getMonthlyWeights(type, basePath) {
+        const state = await this.adapter.getStateAsync(`${basePath}.history.months`);
+        let series = [];
+        try {
+            series = JSON.parse(String(state?.val || '[]'));
+        } catch {
+            series = [];
+        }
+
+        // The series is sorted by date - later entries overwrite the same month of the year before
+        const weights = new Array(12).fill(null);
+        for (const entry of Array.isArray(series) ? series.slice(-12) : []) {
+            const month = parseInt(String(entry?.date).substring(5, 7), 10);
+            if (month >= 1 && month <= 12 && typeof entry.consumption === 'number') {
+                weights[month - 1] = entry.consumption;
+            }
+        }
+
+        const total = weights.reduce((sum, value) => sum + (value || 0), 0);
+        if (weights.every(value => value !== null) && total > 0) {
+            return { weights, method: 'history' };
+        }
+        return { weights: this.getSeasonalProfile(type) || SEASONAL_PROFILES.flat, method: 'profile' };
+    }
+
+    /**
+     * Gets the seasonal profile of a utility type
+     *
+     * @param {string} type - Utility type
+     * @returns {Array<number>|null} - Monthly shares or null if the type has no forecast (PV)
+     */
+    getSeasonalProfile(type) {
+        const profile = utilityTypes.getUtilityType(this.adapter.config, type)?.profile;
+        return (profile && SEASONAL_PROFILES[profile]) || null;
+    }
+
+    /**
+     * Writes the forecast values of a meter or the totals
+     *
+     * @param {string} basePath - State path of the meter or totals
+     * @param {{consumption: number, totalYearly: number, balance: number, abschlag: number}} values - Forecast values
+     */
+    async writeForecast(basePath, values) {
+        for (const [key, value] of Object.entries(values)) {
+            await this.adapter.setStateAsync(`${basePath}.forecast.${key}`, calculator.roundToDecimals(value, 2), true);
+        }
+    }
+
+    /**
+     * Reads a numeric state
+     *
+     * @param {string} id - State ID
+     * @returns {Promise<number>} - State value or 0
+     */
+    async getValue(id) {
+        const state = await this.adapter.getStateAsync(id);
+        return typeof state?.val === 'number' ? state.val : 0;
+    }
+}
+
+module.exports = ForecastManager;
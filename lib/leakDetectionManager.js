@@ -0,0 +1,181 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+const { parseConfigNumber } = require('./configParser');
+
+/** Length of the window for the hourly flow */
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * LeakDetectionManager watches the consumption of the main water meter for leaks:
+ * - Continuous flow: the consumption never paused for the idle time (e.g. 30 minutes) within the window (e.g. 24 h)
+ * - High flow: the consumption of the last hour exceeds the configured maximum
+ * The alarms are exposed in water.alarm.* and cleared automatically when the flow returns to normal.
+ */
+class LeakDetectionManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.enabled = false;
+        this.lastFlow = 0; // Timestamp of the last consumption
+        this.lastIdle = null; // Timestamp at which the last idle period was detected
+        this.flows = []; // Consumption of the last hour: [{ts, volume}]
+        this.alarms = { continuousFlow: false, highFlow: false };
+    }
+
+    /**
+     * Gets the leak detection settings from the configuration
+     *
+     * @returns {{idleMs: number, windowMs: number, maxHourly: number}} - Idle time, window and maximum hourly flow
+     */
+    getSettings() {
+        const config = this.adapter.config;
+        return {
+            idleMs: parseConfigNumber(config.wasserLeakIdleMinutes, 30) * 60 * 1000,
+            windowMs: parseConfigNumber(config.wasserLeakWindowHours, 24) * HOUR_MS,
+            maxHourly: parseConfigNumber(config.wasserLeakMaxHourly, 0),
+        };
+    }
+
+    /**
+     * Creates the alarm states and restores the detection state
+     */
+    async initialize() {
+        this.enabled = !!(this.adapter.config.wasserAktiv && this.adapter.config.wasserLeakEnabled);
+        if (!this.enabled) {
+            return;
+        }
+        await stateManager.createLeakAlarmStructure(this.adapter);
+
+        const now = Date.now();
+        // Consumption while the adapter was stopped is unknown - a longer downtime counts as idle period
+        const lastIdleState = await this.adapter.getStateAsync('water.alarm.lastIdle');
+        const lastCheck = await this.adapter.getStateAsync('water.alarm.hourlyFlow');
+        const downtime = now - (lastCheck?.ts || 0);
+        this.lastIdle =
+            typeof lastIdleState?.val === 'number' && downtime < this.getSettings().idleMs ? lastIdleState.val : now;
+        this.lastFlow = now;
+        for (const alarm of Object.keys(this.alarms)) {
+            const state = await this.adapter.getStateAsync(`water.alarm.${alarm}`);
+            this.alarms[alarm] = state?.val === true;
+        }
+        this.adapter.log.info('Leak detection for water active');
+    }
+
+    /**
+     * Registers consumption of the main water meter
+     *
+     * @param {number} volume - Consumption since the last reading (m³)
+     * @param {number} [now] - Timestamp of the reading
+     */
+    async handleConsumption(volume, now = Date.now()) {
+        if (!this.enabled || !(volume > 0)) {
+            return;
+        }
+        const { idleMs } = this.getSettings();
+
+        // The consumption paused long enough since the last flow
+        if (now - this.lastFlow >= idleMs) {
+            await this.setLastIdle(now);
+        }
+        this.lastFlow = now;
+
+        this.flows.push({ ts: now, volume });
+        await this.check(now);
+    }
+
+    /**
+     * Evaluates both alarms (called on consumption and every minute)
+     *
+     * @param {number} [now] - Current timestamp
+     */
+    async check(now = Date.now()) {
+        if (!this.enabled) {
+            return;
+        }
+        const { idleMs, windowMs, maxHourly } = this.getSettings();
+
+        // No consumption for the idle time - the current pause counts as idle period
+        if (now - this.lastFlow >= idleMs) {
+            await this.setLastIdle(now);
+        }
+
+        this.flows = this.flows.filter(flow => now - flow.ts < HOUR_MS);
+        const hourlyFlow = calculator.roundToDecimals(
+            this.flows.reduce((sum, flow) => sum + flow.volume, 0),
+            3,
+        );
+        await this.adapter.setStateAsync('water.alarm.hourlyFlow', hourlyFlow, true);
+
+        await this.setAlarm(
+            'continuousFlow',
+            now - this.lastIdle > windowMs,
+            `Seit ${calculator.roundToDecimals(windowMs / HOUR_MS, 1)} Stunden gab es keine Pause von ${Math.round(idleMs / 60000)} Minuten ohne Wasserverbrauch`,
+        );
+        await this.setAlarm(
+            'highFlow',
+            maxHourly > 0 && hourlyFlow > maxHourly,
+            `${hourlyFlow} m³ in der letzten Stunde (Grenze ${maxHourly} m³)`,
+        );
+    }
+
+    /**
+     * Stores the time of the last idle period
+     *
+     * @param {number} ts - Timestamp
+     */
+    async setLastIdle(ts) {
+        this.lastIdle = ts;
+        await this.adapter.setStateAsync('water.alarm.lastIdle', ts, true);
+    }
+
+    /**
+     * Raises or clears an alarm and notifies on changes
+     *
+     * @param {'continuousFlow'|'highFlow'} alarm - Alarm
+     * @param {boolean} active - Alarm condition
+     * @param {string} reason - Description of the alarm condition
+     */
+    async setAlarm(alarm, active, reason) {
+        if (this.alarms[alarm] === active) {
+            return;
+        }
+        this.alarms[alarm] = active;
+        await this.adapter.setStateAsync(`water.alarm.${alarm}`, active, true);
+        await this.adapter.setStateAsync('water.alarm.leak', this.alarms.continuousFlow || this.alarms.highFlow, true);
+
+        if (active) {
+            this.adapter.log.warn(`Water leak alarm (${alarm}): ${reason}`);
+            await this.adapter.setStateAsync('water.alarm.reason', reason, true);
+            await this.notify(
+                `🚨 *Nebenkosten-Monitor: Wasser-Alarm*\n\n${reason}.\n\nBitte prüfe, ob irgendwo Wasser austritt!`,
+            );
+        } else {
+            this.adapter.log.info(`Water leak alarm (${alarm}) cleared`);
+            if (!this.alarms.continuousFlow && !this.alarms.highFlow) {
+                await this.adapter.setStateAsync('water.alarm.reason', '', true);
+                await this.notify(
+                    `✅ *Nebenkosten-Monitor: Wasser-Alarm aufgehoben*\n\nDer Verbrauch ist wieder normal.`,
+                );
+            }
+        }
+    }
+
+    /**
+     * Sends a leak notification if enabled
+     *
+     * @param {string} message - Message text
+     */
+    async notify(message) {
+        const config = this.adapter.config;
+        if (!config.notificationEnabled || !config.notificationLeakEnabled) {
+            return;
+        }
+        await this.adapter.messagingHandler?.sendNotification('water', message, 'leak');
+    }
+}
+
+module.exports = LeakDetectionManager;
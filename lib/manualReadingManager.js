@@ -0,0 +1,274 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+const utilityTypes = require('./utilityTypes');
+
+/** Resolution of the interpolation between two readings (hourly, so tariff zones are priced correctly) */
+const INTERPOLATION_STEP_MS = 60 * 60 * 1000;
+
+/** Maximum number of readings kept in info.manualReadings */
+const MAX_READINGS = 400;
+
+/**
+ * ManualReadingManager handles meters without a sensor datapoint that are read by hand.
+ * Each reading is stored with its timestamp. The consumption between two readings is interpolated linearly
+ * and the period counters and costs of the billing year are recalculated from all readings (like a backfill).
+ */
+class ManualReadingManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Creates the manual reading states of a meter without sensor and subscribes them
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {string} label - Display name of the meter
+     */
+    async initializeMeter(type, meterName, label) {
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
+        const utility = utilityTypes.getUtilityType(this.adapter.config, type);
+
+        await stateManager.createManualReadingStructure(this.adapter, basePath, utility?.readingUnit || '');
+        this.adapter.subscribeStates(`${basePath}.info.manualReading`);
+        this.adapter.log.info(`${type} meter "${label}" has no sensor - using manual readings (info.manualReading)`);
+    }
+
+    /**
+     * Parses the meter of an info.manualReading state ID
+     *
+     * @param {string} id - Full state ID
+     * @returns {{type: string, meter: string}|null} - Utility type and meter name or null
+     */
+    parseReadingStateId(id) {
+        const parts = id.replace(`${this.adapter.namespace}.`, '').split('.');
+        if (parts.length === 3) {
+            return { type: parts[0], meter: 'main' };
+        }
+        if (parts.length === 4) {
+            return { type: parts[0], meter: parts[1] };
+        }
+        return null;
+    }
+
+    /**
+     * Handles a reading entered in info.manualReading
+     *
+     * @param {string} id - Full state ID
+     * @param {any} value - Meter reading
+     */
+    async handleReadingState(id, value) {
+        const meter = this.parseReadingStateId(id);
+        if (!meter) {
+            return;
+        }
+        const result = await this.addReading({ ...meter, value });
+        if (result.error) {
+            this.adapter.log.warn(`${id}: ${result.error}`);
+        }
+    }
+
+    /**
+     * Adds a manual meter reading and recalculates the period counters of the meter
+     *
+     * @param {object} options - Reading
+     * @param {string} options.type - Utility type
+     * @param {string} [options.meter] - Meter name ('main' or normalized name of an additional meter)
+     * @param {any} options.value - Meter reading in the unit of the meter
+     * @param {string} [options.date] - Date of the reading (TT.MM.JJJJ [HH:MM] or ISO, default now)
+     * @returns {Promise<{result?: string, error?: string}>} - Result message or error
+     */
+    async addReading(options) {
+        const type = options?.type;
+        const meterName = options?.meter || 'main';
+        const meter = (this.adapter.multiMeterManager?.getMetersForType(type) || []).find(m => m.name === meterName);
+        if (!meter) {
+            return { error: `Zähler ${type}.${meterName} ist nicht konfiguriert` };
+        }
+        if (meter.config.sensorDP) {
+            return { error: `Zähler ${type}.${meterName} hat einen Sensor - manuelle Ablesungen nicht möglich` };
+        }
+
+        const value = calculator.ensureNumber(options.value);
+        if (!(value > 0)) {
+            return { error: `Ungültiger Zählerstand: ${options.value}` };
+        }
+        const date = this.parseDate(options.date) || new Date();
+        if (date.getTime() > Date.now() + 60 * 1000) {
+            return { error: 'Das Ablesedatum liegt in der Zukunft' };
+        }
+
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
+        const readings = await this.getReadings(basePath);
+        const ts = date.getTime();
+        // Readings are stored on the scale of the first meter (see MeterExchangeManager)
+        const correction = this.adapter.meterExchangeManager?.getCorrection(basePath) || 0;
+        const storedValue = value + correction;
+
+        // The meter only counts upwards - a reading must fit between its neighbours
+        const before = readings.filter(reading => reading.ts < ts).pop();
+        const after = readings.find(reading => reading.ts > ts);
+        if ((before && storedValue < before.value) || (after && storedValue > after.value)) {
+            return { error: `Zählerstand ${value} passt nicht zu den Ablesungen davor und danach` };
+        }
+
+        const updated = readings.filter(reading => reading.ts !== ts);
+        updated.push({ ts, value: storedValue });
+        updated.sort((a, b) => a.ts - b.ts);
+        await this.saveReadings(basePath, updated.slice(-MAX_READINGS));
+
+        await this.recalculate(type, meter);
+        this.adapter.log.info(`${basePath}: Manual reading ${value} on ${date.toLocaleString('de-DE')}`);
+        return { result: `Ablesung ${value} vom ${date.toLocaleDateString('de-DE')} gespeichert` };
+    }
+
+    /**
+     * Recalculates consumption, costs and statistics of the current billing year from the manual readings
+     *
+     * @param {string} type - Utility type
+     * @param {object} meter - Meter object from multiMeterManager
+     */
+    async recalculate(type, meter) {
+        const basePath = meter.name === 'main' ? type : `${type}.${meter.name}`;
+        const readings = await this.getReadings(basePath);
+        if (readings.length === 0) {
+            return;
+        }
+
+        const now = new Date();
+        const yearStartState = await this.adapter.getStateAsync(`${basePath}.statistics.lastYearStart`);
+        const yearStart = yearStartState?.val ? calculator.parseDateString(yearStartState.val) : null;
+
+        // Anfangszählerstand = reading at the start of the billing year, unless a reading before exists
+        if (yearStart && meter.config.initialReading > 0 && readings[0].ts > yearStart.getTime()) {
+            readings.unshift({ ts: yearStart.getTime(), value: meter.config.initialReading });
+        }
+
+        const points = this.interpolate(readings, yearStart ? yearStart.getTime() : readings[0].ts);
+        const backfill = this.adapter.backfillManager;
+        const series = backfill.toReadings(
+            type,
+            meter.config,
+            points.map(point => ({ ts: point.ts, val: point.value })),
+        );
+        const values = backfill.aggregate(type, meter.config, series, now);
+        await backfill.writeValues(type, basePath, meter, values);
+
+        // Meter reading of the current meter at the last reading (offset applied, gas in kWh)
+        const last = series[series.length - 1];
+        if (last) {
+            const volume = last.volume - (this.adapter.meterExchangeManager?.getCorrection(basePath) || 0);
+            let meterReading = volume;
+            if (type === 'gas') {
+                const { brennwert, zZahl } = this.adapter.tariffManager.getGasFactors();
+                meterReading = calculator.convertGasM3ToKWh(volume, brennwert, zZahl);
+                await this.adapter.setStateAsync(
+                    `${basePath}.info.meterReadingVolume`,
+                    calculator.roundToDecimals(volume, 3),
+                    true,
+                );
+            }
+            await this.adapter.setStateAsync(
+                `${basePath}.info.meterReading`,
+                calculator.roundToDecimals(meterReading, 2),
+                true,
+            );
+        }
+        await this.adapter.setStateAsync(`${basePath}.consumption.lastUpdate`, now.getTime(), true);
+        await this.adapter.setStateAsync(`${basePath}.info.lastSync`, now.getTime(), true);
+    }
+
+    /**
+     * Interpolates the readings linearly to one point per hour, starting at the given time
+     * (each point lies just before the full hour, so its delta belongs to the hour that ends there)
+     *
+     * @param {Array<{ts: number, value: number}>} readings - Readings sorted by time
+     * @param {number} start - Start of the series (e.g. start of the billing year)
+     * @returns {Array<{ts: number, value: number}>} - Interpolated series
+     */
+    interpolate(readings, start) {
+        const valueAt = (a, b, ts) => a.value + ((b.value - a.value) * (ts - a.ts)) / (b.ts - a.ts);
+        const points = [];
+
+        for (let i = 0; i < readings.length; i++) {
+            const reading = readings[i];
+            const previous = readings[i - 1];
+            if (previous && reading.ts > start) {
+                // Readings before the start only contribute the interpolated value at the start
+                if (previous.ts < start) {
+                    points.push({ ts: start, value: valueAt(previous, reading, start) });
+                }
+                const from = Math.max(previous.ts, start);
+                let ts = Math.floor(from / INTERPOLATION_STEP_MS) * INTERPOLATION_STEP_MS + INTERPOLATION_STEP_MS - 1;
+                for (; ts < reading.ts; ts += INTERPOLATION_STEP_MS) {
+                    if (ts > from) {
+                        points.push({ ts, value: valueAt(previous, reading, ts) });
+                    }
+                }
+            }
+            if (reading.ts >= start) {
+                points.push(reading);
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Parses a German (DD.MM.YYYY [HH:MM]) or ISO date
+     *
+     * @param {string|undefined} value - Date string
+     * @returns {Date|null} - Parsed date or null
+     */
+    parseDate(value) {
+        if (!value || typeof value !== 'string') {
+            return null;
+        }
+        const [datePart, timePart] = value.trim().split(/\s+/);
+        const date = calculator.parseGermanDate(datePart);
+        if (!date) {
+            return calculator.parseDateString(value);
+        }
+        // Readings without time are taken at noon
+        const time = calculator.parseTimeOfDay(timePart);
+        date.setHours(time === null ? 12 : Math.floor(time / 60), time === null ? 0 : time % 60, 0, 0);
+        return date;
+    }
+
+    /**
+     * Reads the manual readings of a meter
+     *
+     * @param {string} basePath - State path of the meter
+     * @returns {Promise<Array<{ts: number, value: number}>>} - Readings sorted by time
+     */
+    async getReadings(basePath) {
+        try {
+            const state = await this.adapter.getStateAsync(`${basePath}.info.manualReadings`);
+            const parsed = JSON.parse(String(state?.val || '[]'));
+            return Array.isArray(parsed)
+                ? parsed
+                      .filter(entry => typeof entry?.ts === 'number' && typeof entry.value === 'number')
+                      .sort((a, b) => a.ts - b.ts)
+                : [];
+        } catch {
+            this.adapter.log.warn(`${basePath}.info.manualReadings contains invalid JSON`);
+            return [];
+        }
+    }
+
+    /**
+     * Writes the manual readings of a meter
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {Array<{ts: number, value: number}>} readings - Readings sorted by time
+     */
+    async saveReadings(basePath, readings) {
+        await this.adapter.setStateAsync(`${basePath}.info.manualReadings`, JSON.stringify(readings), true);
+    }
+}
+
+module.exports = ManualReadingManager;
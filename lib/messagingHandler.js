@@ -1,5 +1,78 @@
 'use strict';
 
+const calculator = require('./calculator');
+const utilityTypes = require('./utilityTypes');
+const { parseConfigNumber } = require('./configParser');
+
+/**
+ * Metrics of the threshold alerts: state (relative to the meter or totals), sign of the compared value (default 1),
+ * unit (null = consumption unit), period of "once per period" and default template
+ */
+const ALERT_METRICS = {
+    dailyConsumption: {
+        state: 'consumption.daily',
+        unit: null,
+        period: 'day',
+        template: '⚠️ *{icon} {utility}:* Tagesverbrauch {value} {unit} liegt über {threshold} {unit}',
+    },
+    monthlyCosts: {
+        state: 'costs.monthly',
+        unit: '€',
+        period: 'month',
+        template: '💸 *{icon} {utility}:* Monatskosten {value} € überschreiten das Budget von {threshold} €',
+    },
+    balance: {
+        state: 'forecast.balance',
+        // A back payment is a negative balance
+        sign: -1,
+        unit: '€',
+        period: 'year',
+        template: '📈 *{icon} {utility}:* Hochgerechnete Nachzahlung {value} € liegt über {threshold} €',
+    },
+    dailyVsAverage: {
+        state: 'consumption.daily',
+        unit: null,
+        period: 'day',
+        template:
+            '📊 *{icon} {utility}:* Tagesverbrauch {value} {unit} = {percent} % des Durchschnitts ({average} {unit}/Tag)',
+    },
+};
+
+/** An alert in hysteresis mode is armed again when the value falls this share below the threshold */
+const ALERT_HYSTERESIS = 0.1;
+
+/** Message format per messaging adapter - notifications are written in Markdown, other adapters get plain text */
+const INSTANCE_FORMATS = {
+    telegram: 'markdown',
+    discord: 'markdown',
+    whatsapp: 'markdown',
+    'whatsapp-cmb': 'markdown',
+    email: 'html',
+};
+
+/** Title of notifications for adapters with a subject or title (email, Pushover) */
+const NOTIFICATION_TITLE = 'Nebenkosten-Monitor';
+
+/** Category of the notification targets that receives each reminder type */
+const NOTIFICATION_CATEGORIES = {
+    billing: 'billing',
+    change: 'billing',
+    report: 'reports',
+    alert: 'alarms',
+    leak: 'alarms',
+    watchdog: 'alarms',
+};
+
+/** Recipient attribute per messaging adapter (Telegram uses chatId for numeric IDs) */
+const RECIPIENT_KEYS = {
+    telegram: 'user',
+    email: 'to',
+    pushover: 'device',
+    discord: 'userId',
+    'whatsapp-cmb': 'phone',
+    'signal-cmb': 'phone',
+};
+
 /**
  * MessagingHandler handles all incoming adapter messages
  * and outgoing notifications.
@@ -57,15 +130,22 @@ class MessagingHandler {
         } else if (obj.command === 'testNotification') {
             this.adapter.log.info(`[testNotification] Message data: ${JSON.stringify(obj.message)}`);
             try {
-                let instance = obj.message?.instance;
-
-                // Handle cases where Admin UI doesn't resolve the placeholder ${data.notificationInstance}
-                if (!instance || instance.includes('${data.') || instance === 'none' || instance === 'kein') {
-                    this.adapter.log.info('[testNotification] Using instance from saved configuration as fallback');
-                    instance = this.adapter.config.notificationInstance;
+                let targets;
+                if (obj.message?.targets) {
+                    // Test button of the notification targets: all saved targets
+                    targets = this.getTargets();
+                } else {
+                    let instance = obj.message?.instance;
+
+                    // Handle cases where Admin UI doesn't resolve the placeholder ${data.notificationInstance}
+                    if (!instance || instance.includes('${data.') || instance === 'none' || instance === 'kein') {
+                        this.adapter.log.info('[testNotification] Using instance from saved configuration as fallback');
+                        instance = this.adapter.config.notificationInstance;
+                    }
+                    targets = instance && instance !== 'none' && instance !== 'kein' ? [{ instance }] : [];
                 }
 
-                if (!instance || instance === 'none' || instance === 'kein') {
+                if (targets.length === 0) {
                     this.adapter.sendTo(
                         obj.from,
                         obj.command,
@@ -75,51 +155,23 @@ class MessagingHandler {
                     return;
                 }
 
-                this.adapter.log.info(`Sending test notification via ${instance}...`);
-
                 const testMsg =
                     '🔔 *Nebenkosten-Monitor Test*\n\nDiese Nachricht bestätigt, dass deine Benachrichtigungseinstellungen korrekt sind! 🚀';
 
-                // We wrap sendTo in a promise to capture success/error for the popup
-                const sendResult = await new Promise(resolve => {
-                    const timeout = setTimeout(() => {
-                        resolve({
-                            error: `Timeout: ${instance} hat nicht rechtzeitig geantwortet. Ist der Adapter aktiv?`,
-                        });
-                    }, 10000);
-
-                    this.adapter.sendTo(
-                        instance,
-                        'send',
-                        {
-                            text: testMsg,
-                            message: testMsg,
-                            parse_mode: 'Markdown',
-                        },
-                        res => {
-                            clearTimeout(timeout);
-                            this.adapter.log.info(
-                                `[testNotification] Response from ${instance}: ${JSON.stringify(res)}`,
-                            );
-
-                            if (res && (res.error || res.err)) {
-                                resolve({ error: `Fehler von ${instance}: ${res.error || res.err}` });
-                            } else if (
-                                res &&
-                                (res.sent ||
-                                    res.result === 'OK' ||
-                                    typeof res === 'string' ||
-                                    (res.response && res.response.includes('250')))
-                            ) {
-                                // Specific handling for email (res.response contains SMTP code) and others
-                                resolve({ result: `Erfolgreich! Antwort von ${instance}: ${JSON.stringify(res)}` });
-                            } else {
-                                // Fallback success if response is there but format unknown
-                                resolve({ result: `Test-Nachricht an ${instance} übergeben.` });
-                            }
-                        },
-                    );
-                });
+                const results = [];
+                for (const target of targets) {
+                    this.adapter.log.info(`Sending test notification via ${target.instance}...`);
+                    results.push(await this.sendTestMessage(target, testMsg));
+                }
+                // One line per target, reported as error if any target failed
+                const sendResult =
+                    results.length === 1
+                        ? results[0]
+                        : {
+                              [results.some(result => result.error) ? 'error' : 'result']: results
+                                  .map(result => result.error || result.result)
+                                  .join('\n'),
+                          };
 
                 // Respond to Admin UI - this triggers the popup
                 if (obj.callback) {
@@ -136,6 +188,74 @@ class MessagingHandler {
                     );
                 }
             }
+        } else if (obj.command === 'backfill') {
+            let response;
+            try {
+                const result = await this.adapter.backfillManager.run(obj.message || {});
+                if (result.error) {
+                    this.adapter.log.warn(`[backfill] ${result.error}`);
+                    response = result;
+                } else {
+                    const { consumption } = result.values;
+                    const summary =
+                        `${result.type}.${result.meter}: ${result.readings} Werte, ` +
+                        `Jahr ${consumption.yearly}${result.values.yearlyKept ? ' (nicht übernommen)' : ''}, ` +
+                        `Monat ${consumption.monthly}, Tag ${consumption.daily}`;
+                    response = {
+                        ...result,
+                        result: result.dryRun ? `Testlauf - nichts geschrieben. ${summary}` : `Übernommen. ${summary}`,
+                    };
+                }
+            } catch (error) {
+                this.adapter.log.error(`[backfill] Failed: ${error.message}`);
+                response = { error: `Interner Fehler: ${error.message}` };
+            }
+            if (obj.callback) {
+                this.adapter.sendTo(obj.from, obj.command, response, obj.callback);
+            }
+        } else if (obj.command === 'addReading') {
+            let response;
+            try {
+                response = await this.adapter.manualReadingManager.addReading(obj.message || {});
+                if (response.error) {
+                    this.adapter.log.warn(`[addReading] ${response.error}`);
+                }
+            } catch (error) {
+                this.adapter.log.error(`[addReading] Failed: ${error.message}`);
+                response = { error: `Interner Fehler: ${error.message}` };
+            }
+            if (obj.callback) {
+                this.adapter.sendTo(obj.from, obj.command, response, obj.callback);
+            }
+        } else if (obj.command === 'exchangeMeter') {
+            let response;
+            try {
+                response = await this.adapter.meterExchangeManager.exchangeMeter(obj.message || {});
+                if (response.error) {
+                    this.adapter.log.warn(`[exchangeMeter] ${response.error}`);
+                }
+            } catch (error) {
+                this.adapter.log.error(`[exchangeMeter] Failed: ${error.message}`);
+                response = { error: `Interner Fehler: ${error.message}` };
+            }
+            if (obj.callback) {
+                this.adapter.sendTo(obj.from, obj.command, response, obj.callback);
+            }
+        } else if (obj.command === 'delivery') {
+            let response;
+            try {
+                const { type, ...delivery } = obj.message || {};
+                response = await this.adapter.stockManager.bookDelivery(type, delivery);
+                if (response.error) {
+                    this.adapter.log.warn(`[delivery] ${response.error}`);
+                }
+            } catch (error) {
+                this.adapter.log.error(`[delivery] Failed: ${error.message}`);
+                response = { error: `Interner Fehler: ${error.message}` };
+            }
+            if (obj.callback) {
+                this.adapter.sendTo(obj.from, obj.command, response, obj.callback);
+            }
         } else {
             this.adapter.log.warn(`[onMessage] Unknown command: ${obj.command}`);
             if (obj.callback) {
@@ -144,18 +264,56 @@ class MessagingHandler {
         }
     }
 
+    /**
+     * Sends the test message to a notification target and evaluates the response for the Admin UI popup
+     *
+     * @param {{instance: string, recipient?: string, format?: string}} target - Notification target
+     * @param {string} message - Test message
+     * @returns {Promise<{result?: string, error?: string}>} - Result for the popup
+     */
+    sendTestMessage(target, message) {
+        const instance = target.instance;
+        // We wrap sendTo in a promise to capture success/error for the popup
+        return new Promise(resolve => {
+            const timeout = setTimeout(() => {
+                resolve({
+                    error: `Timeout: ${instance} hat nicht rechtzeitig geantwortet. Ist der Adapter aktiv?`,
+                });
+            }, 10000);
+
+            this.adapter.sendTo(instance, 'send', this.buildPayload(instance, message, target), res => {
+                clearTimeout(timeout);
+                this.adapter.log.info(`[testNotification] Response from ${instance}: ${JSON.stringify(res)}`);
+
+                if (res && (res.error || res.err)) {
+                    resolve({ error: `Fehler von ${instance}: ${res.error || res.err}` });
+                } else if (
+                    res &&
+                    (res.sent ||
+                        res.result === 'OK' ||
+                        typeof res === 'string' ||
+                        (res.response && res.response.includes('250')))
+                ) {
+                    // Specific handling for email (res.response contains SMTP code) and others
+                    resolve({ result: `Erfolgreich! Antwort von ${instance}: ${JSON.stringify(res)}` });
+                } else {
+                    // Fallback success if response is there but format unknown
+                    resolve({ result: `Test-Nachricht an ${instance} übergeben.` });
+                }
+            });
+        });
+    }
+
     /**
      * Checks if any notifications need to be sent (reminders for billing period end or contract change)
      */
     async checkNotifications() {
-        if (!this.adapter.config.notificationEnabled || !this.adapter.config.notificationInstance) {
+        if (!this.adapter.config.notificationEnabled || this.getTargets().length === 0) {
             return;
         }
 
-        const types = ['gas', 'water', 'electricity', 'pv'];
-        const typesDe = { gas: 'Gas', water: 'Wasser', electricity: 'Strom', pv: 'PV' };
-
-        for (const type of types) {
+        for (const utility of utilityTypes.getUtilityTypes(this.adapter.config)) {
+            const type = utility.id;
             const configType = this.adapter.consumptionManager.getConfigType(type);
             const enabledKey = `notification${configType.charAt(0).toUpperCase() + configType.slice(1)}Enabled`;
 
@@ -177,7 +335,7 @@ class MessagingHandler {
                 if (billingSent?.val !== true && daysRemaining <= billingDaysThreshold) {
                     const message =
                         `🔔 *Nebenkosten-Monitor: Zählerstand ablesen*\n\n` +
-                        `Dein Abrechnungszeitraum für *${typesDe[type]}* endet in ${daysRemaining} Tagen!\n\n` +
+                        `Dein Abrechnungszeitraum für *${utility.name}* endet in ${daysRemaining} Tagen!\n\n` +
                         `📅 Datum: ${periodEnd}\n\n` +
                         `Bitte trage den Zählerstand rechtzeitig ein:\n` +
                         `1️⃣ Datenpunkt: ${type}.billing.endReading\n` +
@@ -195,7 +353,7 @@ class MessagingHandler {
                 if (changeSent?.val !== true && daysRemaining <= changeDaysThreshold) {
                     const message =
                         `💡 *Nebenkosten-Monitor: Tarif-Check*\n\n` +
-                        `Dein Vertrag für *${typesDe[type]}* endet am ${periodEnd}.\n\n` +
+                        `Dein Vertrag für *${utility.name}* endet am ${periodEnd}.\n\n` +
                         `⏰ Noch ${daysRemaining} Tage bis zum Ende des Zeitraums.\n\n` +
                         `Jetzt ist ein guter Zeitpunkt, um Preise zu vergleichen oder die Kündigungsfrist zu prüfen! 💸`;
 
@@ -205,13 +363,22 @@ class MessagingHandler {
         }
 
         await this.checkMonthlyReport();
+        await this.checkAlerts();
+        await this.adapter.reportManager?.checkReports();
     }
 
     /**
-     * Checks and sends monthly status report
+     * Checks and sends monthly status report (replaced by a monthly report of the report table, see ReportManager)
      */
     async checkMonthlyReport() {
-        if (!this.adapter.config.notificationMonthlyEnabled || !this.adapter.config.notificationInstance) {
+        if (!this.adapter.config.notificationMonthlyEnabled || this.getTargets('report').length === 0) {
+            return;
+        }
+
+        const reports = Array.isArray(this.adapter.config.notificationReports)
+            ? this.adapter.config.notificationReports
+            : [];
+        if (reports.some(report => report && report.enabled !== false && report.schedule === 'monthly')) {
             return;
         }
 
@@ -231,21 +398,36 @@ class MessagingHandler {
             return;
         }
 
-        // Generate Report
-        let message = `📊 *Monats-Report* (${today.toLocaleDateString('de-DE')})\n\n`;
-        const types = ['electricity', 'gas', 'water', 'pv'];
-        const typesDe = { electricity: '⚡ Strom', gas: '🔥 Gas', water: '💧 Wasser', pv: '☀️ PV' };
-        let hasData = false;
+        const summary = await this.buildSummary();
+        if (summary) {
+            const message = `📊 *Monats-Report* (${today.toLocaleDateString('de-DE')})\n\n${summary}`;
+            await this.sendNotification('system', message, 'report');
+            // Update state to prevent resending
+            await this.adapter.setStateAsync('info.lastMonthlyReport', todayStr, true);
+        }
+    }
+
+    /**
+     * Builds the status summary of all active utility types (yearly consumption, costs and balance)
+     *
+     * @returns {Promise<string>} - Summary in Markdown or empty string if no utility type is active
+     */
+    async buildSummary() {
+        let message = '';
 
-        for (const type of types) {
-            const configType = this.adapter.consumptionManager.getConfigType(type); // strom, gas, wasser, pv
+        // Electricity first, then the other utility types in registry order
+        const utilities = utilityTypes.getUtilityTypes(this.adapter.config);
+        utilities.sort((a, b) => Number(b.id === 'electricity') - Number(a.id === 'electricity'));
+
+        for (const utility of utilities) {
+            const type = utility.id;
+            const configType = this.adapter.consumptionManager.getConfigType(type); // strom, gas, wasser, pv, ...
 
             if (!this.adapter.config[`${configType}Aktiv`]) {
                 continue;
             }
 
-            hasData = true;
-            message += `*${typesDe[type]}*\\n`;
+            message += `*${utility.icon} ${utility.name}*\n`;
 
             // Check if this is a multi-meter setup
             const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
@@ -261,7 +443,7 @@ class MessagingHandler {
                 // Balance/paidTotal not available in totals, use main meter as representative
                 paidTotalState = await this.adapter.getStateAsync(`${type}.costs.paidTotal`);
                 balanceState = await this.adapter.getStateAsync(`${type}.costs.balance`);
-                message += `(${meters.length} Zähler gesamt)\\n`;
+                message += `(${meters.length} Zähler gesamt)\n`;
             } else {
                 // Single meter: use main meter values
                 yearlyState = await this.adapter.getStateAsync(`${type}.consumption.yearly`);
@@ -274,17 +456,11 @@ class MessagingHandler {
             // Round
             val = Math.round(val * 100) / 100;
 
-            // Get unit
-            let displayUnit = 'kWh';
-            if (type === 'water') {
-                displayUnit = 'm³';
-            }
-
-            message += `Verbrauch (Jahr): ${val} ${displayUnit}\\n`;
+            message += `Verbrauch (Jahr): ${val} ${utility.unit}\n`;
 
             // Costs
             const cost = (totalYearlyState?.val || 0).toFixed(2);
-            message += `Verbrauchs-Kosten: ${cost} €\\n`;
+            message += `Verbrauchs-Kosten: ${cost} €\n`;
 
             // Only show balance if Abschlag is configured (paidTotal > 0)
             const paid = paidTotalState?.val || 0;
@@ -293,46 +469,294 @@ class MessagingHandler {
                 const balanceStr = balance.toFixed(2);
                 const status = balance > 0 ? '❌ Nachzahlung' : '✅ Guthaben';
 
-                message += `Bezahlt: ${paid.toFixed(2)} €\\n`;
-                message += `Saldo: *${balanceStr} €* (${status})\\n`;
+                message += `Bezahlt: ${paid.toFixed(2)} €\n`;
+                message += `Saldo: *${balanceStr} €* (${status})\n`;
             }
 
-            message += `\\n`;
+            message += `\n`;
         }
 
-        if (hasData) {
-            await this.sendNotification('system', message, 'report');
-            // Update state to prevent resending
-            await this.adapter.setStateAsync('info.lastMonthlyReport', todayStr, true);
+        return message.trim();
+    }
+
+    /**
+     * Checks the configured threshold alerts (consumption, costs, projected balance) and sends their messages
+     */
+    async checkAlerts() {
+        const alerts = Array.isArray(this.adapter.config.notificationAlerts)
+            ? this.adapter.config.notificationAlerts.filter(alert => alert && alert.enabled !== false)
+            : [];
+        if (alerts.length === 0) {
+            return;
         }
+
+        const alertStates = await this.getAlertStates();
+        const utilities = utilityTypes.getUtilityTypes(this.adapter.config);
+        for (const alert of alerts) {
+            const metric = ALERT_METRICS[alert.metric];
+            const utility = utilities.find(u => u.id === alert.utility || u.configType === alert.utility);
+            const threshold = parseConfigNumber(alert.threshold, 0);
+            if (!metric || !utility || !this.adapter.config[`${utility.configType}Aktiv`] || !(threshold > 0)) {
+                continue;
+            }
+
+            const values = await this.getAlertValues(utility.id, alert.metric);
+            if (!values) {
+                continue;
+            }
+            const key = `${utility.id}.${alert.metric}.${threshold}`;
+            const state = alertStates[key] || { active: false, period: '' };
+            const exceeded = values.compared > threshold;
+
+            let send = false;
+            if (alert.mode === 'hysteresis') {
+                // Again after the value fell clearly below the threshold
+                if (exceeded && !state.active) {
+                    send = true;
+                }
+                if (exceeded || values.compared <= threshold * (1 - ALERT_HYSTERESIS)) {
+                    state.active = exceeded;
+                }
+            } else {
+                // Once per day, month or billing year
+                const period = await this.getAlertPeriod(utility.id, metric.period);
+                if (exceeded && state.period !== period) {
+                    state.period = period;
+                    send = true;
+                }
+            }
+            alertStates[key] = state;
+
+            if (send) {
+                const message = this.renderTemplate(alert.template || metric.template, {
+                    utility: utility.name,
+                    icon: utility.icon,
+                    unit: metric.unit || utility.unit,
+                    threshold,
+                    ...values,
+                });
+                await this.sendNotification(utility.id, message, 'alert');
+            }
+        }
+
+        await this.adapter.setStateAsync('info.alertStates', JSON.stringify(alertStates), true);
+    }
+
+    /**
+     * Reads the values of an alert metric (totals for multiple meters)
+     *
+     * @param {string} type - Utility type
+     * @param {string} metricId - Alert metric
+     * @returns {Promise<{value: number, compared: number, average?: number, percent?: number}|null>} - Values or null
+     */
+    async getAlertValues(type, metricId) {
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        const basePath = meters.length > 1 ? `${type}.totals` : type;
+        const state = await this.adapter.getStateAsync(`${basePath}.${ALERT_METRICS[metricId].state}`);
+        if (typeof state?.val !== 'number') {
+            return null;
+        }
+        const value = calculator.roundToDecimals(state.val * (ALERT_METRICS[metricId].sign ?? 1), 2);
+        if (metricId !== 'dailyVsAverage') {
+            return { value, compared: value };
+        }
+
+        // The average of the main meter is the reference (totals have no statistics)
+        const averageState = await this.adapter.getStateAsync(`${type}.statistics.averageDaily`);
+        const average = typeof averageState?.val === 'number' ? averageState.val : 0;
+        if (average <= 0) {
+            return null;
+        }
+        const percent = Math.round((state.val / average) * 100);
+        return { value, compared: percent, average: calculator.roundToDecimals(average, 2), percent };
+    }
+
+    /**
+     * Gets the current period of an alert sent once per period
+     *
+     * @param {string} type - Utility type
+     * @param {string} period - day, month or year (billing year)
+     * @returns {Promise<string>} - Period key
+     */
+    async getAlertPeriod(type, period) {
+        if (period === 'year') {
+            const yearStart = await this.adapter.getStateAsync(`${type}.statistics.lastYearStart`);
+            return String(yearStart?.val || new Date().getFullYear());
+        }
+        const today = String(calculator.formatDateString(new Date()));
+        return period === 'month' ? today.slice(0, 7) : today.slice(0, 10);
+    }
+
+    /**
+     * Replaces the {placeholders} of a message template
+     *
+     * @param {string} template - Template
+     * @param {Record<string, any>} values - Placeholder values
+     * @returns {string} - Message
+     */
+    renderTemplate(template, values) {
+        return String(template)
+            .replace(/\\n/g, '\n')
+            .replace(/\{([\w.]+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+    }
+
+    /**
+     * Reads the state of the alerts (active flag and last period per alert)
+     *
+     * @returns {Promise<Record<string, {active: boolean, period: string}>>} - Alert states
+     */
+    async getAlertStates() {
+        try {
+            const state = await this.adapter.getStateAsync('info.alertStates');
+            const parsed = JSON.parse(String(state?.val || '{}'));
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch {
+            this.adapter.log.warn('info.alertStates contains invalid JSON');
+            return {};
+        }
+    }
+
+    /**
+     * Gets the message format of a messaging instance (configured or by adapter)
+     *
+     * @param {string} instance - Messaging instance (e.g. telegram.0)
+     * @param {string} [format] - Format of the notification target (auto = global setting)
+     * @returns {'markdown'|'html'|'plain'} - Message format
+     */
+    getInstanceFormat(instance, format) {
+        const configured = format && format !== 'auto' ? format : this.adapter.config.notificationFormat;
+        if (configured === 'markdown' || configured === 'html' || configured === 'plain') {
+            return configured;
+        }
+        return INSTANCE_FORMATS[String(instance).split('.')[0]] || 'plain';
     }
 
     /**
-     * Helper to send notification and mark as sent
+     * Converts a Markdown message (*bold*, _italic_) into the given format
+     *
+     * @param {string} message - Message in Markdown
+     * @param {'markdown'|'html'|'plain'} format - Target format
+     * @returns {string} - Formatted message
+     */
+    formatMessage(message, format) {
+        if (format === 'markdown') {
+            return message;
+        }
+        if (format === 'html') {
+            return message
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/\*([^*\n]+)\*/g, '<b>$1</b>')
+                .replace(/(^|\s)_([^_\n]+)_/g, '$1<i>$2</i>')
+                .replace(/\n/g, '<br>\n');
+        }
+        return message.replace(/\*([^*\n]+)\*/g, '$1').replace(/(^|\s)_([^_\n]+)_/g, '$1$2');
+    }
+
+    /**
+     * Builds the sendTo payload of a message for a messaging instance
+     *
+     * @param {string} instance - Messaging instance
+     * @param {string} message - Message in Markdown
+     * @param {{recipient?: string, format?: string}} [target] - Notification target with optional recipient and format
+     * @returns {Record<string, string>} - Payload (text/message for all adapters, parse_mode, html or title per format)
+     */
+    buildPayload(instance, message, target = {}) {
+        const format = this.getInstanceFormat(instance, target.format);
+        const plain = this.formatMessage(message, 'plain');
+        let payload;
+        if (format === 'markdown') {
+            payload = { text: message, message, parse_mode: 'Markdown' };
+        } else if (format === 'html') {
+            payload = {
+                text: plain,
+                message: plain,
+                html: this.formatMessage(message, 'html'),
+                subject: NOTIFICATION_TITLE,
+            };
+        } else {
+            payload = { text: plain, message: plain, title: NOTIFICATION_TITLE };
+        }
+
+        const recipient = String(target.recipient ?? '').trim();
+        if (recipient) {
+            const adapterName = String(instance).split('.')[0];
+            const key =
+                adapterName === 'telegram' && /^-?\d+$/.test(recipient) ? 'chatId' : RECIPIENT_KEYS[adapterName];
+            payload[key || 'to'] = recipient;
+        }
+        return payload;
+    }
+
+    /**
+     * Gets the notification targets that receive a reminder type. Without configured targets all messages
+     * go to the notification instance.
+     *
+     * @param {string} [reminderType] - billing, change, report, alert, leak or watchdog (omitted = all targets)
+     * @returns {Array<{instance: string, recipient?: string, format?: string}>} - Matching targets
+     */
+    getTargets(reminderType) {
+        const config = this.adapter.config;
+        const targets = Array.isArray(config.notificationTargets)
+            ? config.notificationTargets.filter(
+                  target => target && target.enabled !== false && target.instance && target.instance !== 'none',
+              )
+            : [];
+        if (targets.length === 0) {
+            return config.notificationInstance ? [{ instance: config.notificationInstance }] : [];
+        }
+
+        const category = NOTIFICATION_CATEGORIES[reminderType];
+        return category ? targets.filter(target => target[category] !== false) : targets;
+    }
+
+    /**
+     * Helper to send notification to all matching targets and mark as sent
      *
      * @param {string} type - gas, water, electricity
      * @param {string} message - Message text
-     * @param {string} reminderType - billing, change, or report
+     * @param {string} reminderType - billing, change, report, alert, leak or watchdog
+     * @returns {Promise<Array<{instance: string, sent: boolean, error?: string}>>} - Result per target
      */
     async sendNotification(type, message, reminderType) {
-        try {
-            const instance = this.adapter.config.notificationInstance;
-            this.adapter.log.info(`Sending ${reminderType} notification for ${type} via ${instance}`);
+        const targets = this.getTargets(reminderType);
+        if (targets.length === 0) {
+            this.adapter.log.debug(`No notification target for ${reminderType} notifications`);
+            return [];
+        }
 
-            await this.adapter.sendToAsync(instance, 'send', {
-                text: message,
-                message: message,
-                parse_mode: 'Markdown',
-            });
+        const results = [];
+        for (const target of targets) {
+            try {
+                this.adapter.log.info(`Sending ${reminderType} notification for ${type} via ${target.instance}`);
+                const response = await this.adapter.sendToAsync(
+                    target.instance,
+                    'send',
+                    this.buildPayload(target.instance, message, target),
+                );
+                if (response && (response.error || response.err)) {
+                    throw new Error(String(response.error || response.err));
+                }
+                results.push({ instance: target.instance, sent: true });
+            } catch (error) {
+                this.adapter.log.error(
+                    `Failed to send ${reminderType} notification for ${type} via ${target.instance}: ${error.message}`,
+                );
+                results.push({ instance: target.instance, sent: false, error: error.message });
+            }
+        }
 
-            // Mark as sent (only for billing/change)
-            if (reminderType !== 'report') {
+        // Mark as sent (only for billing/change) if at least one target received it
+        if ((reminderType === 'billing' || reminderType === 'change') && results.some(result => result.sent)) {
+            try {
                 const stateKey = reminderType === 'change' ? 'notificationChangeSent' : 'notificationSent';
                 await this.adapter.setStateAsync(`${type}.billing.${stateKey}`, true, true);
+            } catch (error) {
+                this.adapter.log.error(`Failed to mark ${reminderType} notification for ${type}: ${error.message}`);
             }
-        } catch (error) {
-            this.adapter.log.error(`Failed to send ${reminderType} notification for ${type}: ${error.message}`);
         }
+        return results;
     }
 }
 
@@ -0,0 +1,284 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+const utilityTypes = require('./utilityTypes');
+
+/**
+ * MeterExchangeManager handles the replacement of a meter (Zählerwechsel) and counter rollovers (Zählerüberlauf).
+ * The adapter keeps counting on the scale of the first meter: info.exchangeCorrection is the sum of
+ * (final reading of the old meter - start reading of the new meter) of all exchanges and rollovers
+ * and is added to every reading.
+ * Configured offset and initial reading therefore stay valid after an exchange.
+ */
+class MeterExchangeManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.corrections = {}; // Maps basePath → exchange correction
+        this.pending = {}; // Maps basePath → exchange waiting for the sensor of the new meter
+        this.drops = {}; // Maps basePath → {before, after} of the last unexplained reading drop
+    }
+
+    /**
+     * Creates the exchange states of a meter and restores correction and pending exchange
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     */
+    async initializeMeter(type, meterName) {
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
+        const utility = utilityTypes.getUtilityType(this.adapter.config, type);
+
+        await stateManager.createExchangeStructure(this.adapter, basePath, utility?.readingUnit || '');
+        this.adapter.subscribeStates(`${basePath}.info.exchange`);
+
+        const correctionState = await this.adapter.getStateAsync(`${basePath}.info.exchangeCorrection`);
+        this.corrections[basePath] = typeof correctionState?.val === 'number' ? correctionState.val : 0;
+
+        const pending = (await this.getExchanges(basePath)).find(exchange => exchange.applied === false);
+        if (pending) {
+            this.pending[basePath] = pending;
+            this.adapter.log.info(`${basePath}: Meter exchange of ${pending.date} waits for the new meter reading`);
+        }
+    }
+
+    /**
+     * Gets the exchange correction of a meter
+     *
+     * @param {string} basePath - State path of the meter
+     * @returns {number} - Correction added to the readings of the current meter
+     */
+    getCorrection(basePath) {
+        return this.corrections[basePath] || 0;
+    }
+
+    /**
+     * Handles an exchange written to info.exchange as JSON ({"oldReading": 12345.6, "newReading": 0, "date": "15.10.2025"})
+     *
+     * @param {string} id - Full state ID
+     * @param {any} value - State value
+     */
+    async handleExchangeState(id, value) {
+        const parts = id.replace(`${this.adapter.namespace}.`, '').split('.');
+        const meter = parts.length === 4 ? { type: parts[0], meter: parts[1] } : { type: parts[0], meter: 'main' };
+
+        let exchange;
+        try {
+            exchange = JSON.parse(String(value));
+        } catch {
+            this.adapter.log.warn(`${id}: Invalid JSON: ${value}`);
+            return;
+        }
+
+        const result = await this.exchangeMeter({ ...exchange, ...meter });
+        if (result.error) {
+            this.adapter.log.warn(`${id}: ${result.error}`);
+        }
+        await this.adapter.setStateAsync(id, '', true);
+    }
+
+    /**
+     * Records a meter exchange. If the sensor already delivers the new meter, the consumption lost at the
+     * reading drop is booked now, otherwise the exchange is applied when the reading drops.
+     *
+     * @param {object} options - Exchange
+     * @param {string} options.type - Utility type
+     * @param {string} [options.meter] - Meter name ('main' or normalized name of an additional meter)
+     * @param {any} options.oldReading - Final reading of the old meter
+     * @param {any} [options.newReading] - Start reading of the new meter (default 0)
+     * @param {string} [options.date] - Exchange date (TT.MM.JJJJ, default today)
+     * @returns {Promise<{result?: string, error?: string}>} - Result message or error
+     */
+    async exchangeMeter(options) {
+        const type = options?.type;
+        const meterName = options?.meter || 'main';
+        const meter = (this.adapter.multiMeterManager?.getMetersForType(type) || []).find(m => m.name === meterName);
+        if (!meter) {
+            return { error: `Zähler ${type}.${meterName} ist nicht konfiguriert` };
+        }
+
+        const oldReading = calculator.ensureNumber(options.oldReading);
+        const newReading = calculator.ensureNumber(options.newReading);
+        if (oldReading <= 0 || newReading < 0) {
+            return { error: 'Endstand des alten Zählers fehlt oder Anfangsstand des neuen Zählers ist ungültig' };
+        }
+        const date = options.date ? calculator.parseGermanDate(options.date) : new Date();
+        if (!date) {
+            return { error: `Ungültiges Datum: ${options.date}` };
+        }
+
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
+        const exchange = {
+            date: calculator.formatDateString(date),
+            oldReading,
+            newReading,
+            correction: calculator.roundToDecimals(oldReading - newReading, 3),
+            applied: true,
+        };
+
+        if (!meter.config.sensorDP) {
+            // Manual readings: the final reading closes the old meter, later readings continue on its scale
+            const result = await this.adapter.manualReadingManager.addReading({
+                type,
+                meter: meterName,
+                value: oldReading,
+                date: options.date,
+            });
+            if (result.error) {
+                return result;
+            }
+            await this.applyCorrection(basePath, exchange);
+        } else if (this.drops[basePath] || this.isNewMeterReading(meter.config, basePath, oldReading, newReading)) {
+            await this.applyCorrection(basePath, exchange);
+            await this.bookLostConsumption(type, meterName, meter.config, basePath, exchange);
+        } else {
+            exchange.applied = false;
+            this.pending[basePath] = exchange;
+            this.adapter.log.info(`${basePath}: Meter exchange recorded, applied when the new meter reports`);
+        }
+
+        await this.saveExchange(basePath, exchange);
+        return {
+            result: `Zählerwechsel ${basePath} gespeichert: ${oldReading} → ${newReading}${exchange.applied ? '' : ' (wird beim ersten Wert des neuen Zählers übernommen)'}`,
+        };
+    }
+
+    /**
+     * Handles a decreasing reading of a meter with sensor. With a pending exchange the reading is continued
+     * on the scale of the old meter, otherwise the drop is remembered for an exchange entered later.
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {number} lastReading - Last reading (correction applied)
+     * @param {number} reading - New reading (correction applied)
+     * @returns {Promise<number|null>} - Reading with the new correction or null if no exchange is pending
+     */
+    async handleReadingDrop(basePath, lastReading, reading) {
+        const correction = this.getCorrection(basePath);
+        const exchange = this.pending[basePath];
+        if (!exchange) {
+            this.drops[basePath] = { before: lastReading - correction, after: reading - correction };
+            return null;
+        }
+
+        delete this.pending[basePath];
+        exchange.applied = true;
+        await this.applyCorrection(basePath, exchange);
+        await this.saveExchange(basePath, exchange);
+        this.adapter.log.info(`${basePath}: Meter exchange of ${exchange.date} applied`);
+        return reading - correction + this.getCorrection(basePath);
+    }
+
+    /**
+     * Records a counter rollover of a meter with limited digits: the readings continue above the maximum
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {number} maxReading - Reading at which the meter started again at 0
+     */
+    async applyRollover(basePath, maxReading) {
+        const rollover = {
+            date: calculator.formatDateString(new Date()),
+            oldReading: maxReading,
+            newReading: 0,
+            correction: maxReading,
+            applied: true,
+            rollover: true,
+        };
+        await this.applyCorrection(basePath, rollover);
+        await this.saveExchange(basePath, rollover);
+    }
+
+    /**
+     * Books the consumption lost when the reading dropped before the exchange was entered:
+     * the rest of the old meter after its last reading and the new meter up to its first reading
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     * @param {string} basePath - State path of the meter
+     * @param {object} exchange - Applied exchange
+     */
+    async bookLostConsumption(type, meterName, config, basePath, exchange) {
+        const multiMeterManager = this.adapter.multiMeterManager;
+        const lastReading = multiMeterManager.lastSensorValues[config.sensorDP];
+        const drop = this.drops[basePath];
+        delete this.drops[basePath];
+        if (lastReading === undefined) {
+            return;
+        }
+
+        // Current reading of the new meter without correction
+        const current = lastReading - (this.getCorrection(basePath) - exchange.correction);
+        const lost = drop
+            ? Math.max(0, exchange.oldReading - drop.before) + Math.max(0, drop.after - exchange.newReading)
+            : 0;
+
+        multiMeterManager.lastSensorValues[config.sensorDP] = current + this.getCorrection(basePath) - lost;
+        await multiMeterManager.handleSensorUpdate(type, meterName, config.sensorDP, current + (config.offset || 0));
+    }
+
+    /**
+     * Checks if the sensor already delivers the new meter (last reading closer to its start reading)
+     *
+     * @param {object} config - Meter configuration
+     * @param {string} basePath - State path of the meter
+     * @param {number} oldReading - Final reading of the old meter
+     * @param {number} newReading - Start reading of the new meter
+     * @returns {boolean} - True if the last reading belongs to the new meter
+     */
+    isNewMeterReading(config, basePath, oldReading, newReading) {
+        const lastReading = this.adapter.multiMeterManager.lastSensorValues[config.sensorDP];
+        if (lastReading === undefined) {
+            return false;
+        }
+        const current = lastReading - this.getCorrection(basePath);
+        return Math.abs(current - newReading) < Math.abs(current - oldReading);
+    }
+
+    /**
+     * Adds the correction of an exchange to the correction of the meter
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {object} exchange - Exchange
+     */
+    async applyCorrection(basePath, exchange) {
+        const correction = calculator.roundToDecimals(this.getCorrection(basePath) + exchange.correction, 3);
+        this.corrections[basePath] = correction;
+        await this.adapter.setStateAsync(`${basePath}.info.exchangeCorrection`, correction, true);
+    }
+
+    /**
+     * Reads the recorded exchanges of a meter
+     *
+     * @param {string} basePath - State path of the meter
+     * @returns {Promise<Array<object>>} - Exchanges (oldest first)
+     */
+    async getExchanges(basePath) {
+        try {
+            const state = await this.adapter.getStateAsync(`${basePath}.info.exchanges`);
+            const parsed = JSON.parse(String(state?.val || '[]'));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            this.adapter.log.warn(`${basePath}.info.exchanges contains invalid JSON`);
+            return [];
+        }
+    }
+
+    /**
+     * Adds or updates an exchange in info.exchanges
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {object} exchange - Exchange
+     */
+    async saveExchange(basePath, exchange) {
+        const exchanges = (await this.getExchanges(basePath)).filter(
+            entry => !(entry.date === exchange.date && entry.oldReading === exchange.oldReading),
+        );
+        exchanges.push(exchange);
+        await this.adapter.setStateAsync(`${basePath}.info.exchanges`, JSON.stringify(exchanges), true);
+    }
+}
+
+module.exports = MeterExchangeManager;
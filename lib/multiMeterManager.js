@@ -2,7 +2,8 @@
 
 const calculator = require('./calculator');
 const stateManager = require('./stateManager');
-const { parseConfigNumber } = require('./configParser');
+const utilityTypes = require('./utilityTypes');
+const { parseConfigNumber, parsePriceHistory, parseTariffZones, buildHtNtZones } = require('./configParser');
 
 /**
  * MultiMeterManager handles multiple meters per utility type
@@ -19,22 +20,17 @@ class MultiMeterManager {
         this.consumptionManager = consumptionManager;
         this.billingManager = billingManager;
         this.lastSensorValues = {};
-        this.meterRegistry = {}; // Maps sensorDP → {type, meterName}
+        this.meterRegistry = {}; // Maps sensorDP → {type, meterName, direction}
     }
 
     /**
      * Maps internal utility type to config/state name
      *
-     * @param {string} type - gas, water, or electricity
-     * @returns {string} - gas, wasser, or strom
+     * @param {string} type - gas, water, electricity, pv or the ID of a custom utility type
+     * @returns {string} - gas, wasser, strom, pv or the ID of the custom utility type
      */
     getConfigType(type) {
-        const mapping = {
-            electricity: 'strom',
-            water: 'wasser',
-            gas: 'gas',
-        };
-        return mapping[type] || type;
+        return utilityTypes.getConfigType(this.adapter.config, type);
     }
 
     /**
@@ -70,18 +66,44 @@ class MultiMeterManager {
         // Main meter (always present if type is active)
         const mainActive = this.adapter.config[`${configType}Aktiv`];
         if (mainActive) {
+            // Zone schedule replaces HT/NT if configured, classic HT/NT is a schedule with two zones
+            const htNtEnabled = this.adapter.config[`${configType}HtNtEnabled`] || false;
+            let zones = parseTariffZones(this.adapter.config[`${configType}TariffZones`]);
+            if (zones.length === 0 && htNtEnabled) {
+                zones = buildHtNtZones(
+                    this.adapter.config[`${configType}HtStart`],
+                    this.adapter.config[`${configType}HtEnd`],
+                );
+            }
+
             meters.push({
                 name: 'main',
                 config: {
                     sensorDP: this.adapter.config[`${configType}SensorDP`],
+                    exportSensorDP: this.adapter.config[`${configType}ExportSensorDP`] || '',
+                    exportPreis: parseConfigNumber(this.adapter.config[`${configType}ExportPreis`], 0),
                     preis: parseConfigNumber(this.adapter.config[`${configType}Preis`], 0),
+                    abwasserPreis: parseConfigNumber(this.adapter.config[`${configType}AbwasserPreis`], 0),
                     offset: parseConfigNumber(this.adapter.config[`${configType}Offset`], 0),
+                    factor: parseConfigNumber(this.adapter.config[`${configType}Factor`], 1),
                     initialReading: parseConfigNumber(this.adapter.config[`${configType}InitialReading`], 0),
+                    maxReading: parseConfigNumber(this.adapter.config[`${configType}MaxReading`], 0),
+                    maxDelta: parseConfigNumber(this.adapter.config[`${configType}MaxDelta`], 0),
+                    maxFlowRate: parseConfigNumber(this.adapter.config[`${configType}MaxFlowRate`], 0),
+                    sensorTimeout: parseConfigNumber(this.adapter.config[`${configType}SensorTimeout`], 0),
                     contractStart: this.adapter.config[`${configType}ContractStart`],
                     grundgebuehr: parseConfigNumber(this.adapter.config[`${configType}Grundgebuehr`], 0),
                     jahresgebuehr: parseConfigNumber(this.adapter.config[`${configType}Jahresgebuehr`], 0),
                     abschlag: parseConfigNumber(this.adapter.config[`${configType}Abschlag`], 0),
-                    htNtEnabled: this.adapter.config[`${configType}HtNtEnabled`] || false,
+                    htNtEnabled,
+                    htPrice: parseConfigNumber(this.adapter.config[`${configType}HtPrice`], 0),
+                    ntPrice: parseConfigNumber(this.adapter.config[`${configType}NtPrice`], 0),
+                    htStart: this.adapter.config[`${configType}HtStart`],
+                    htEnd: this.adapter.config[`${configType}HtEnd`],
+                    priceHistory: parsePriceHistory(this.adapter.config[`${configType}PriceHistory`]),
+                    priceSource: this.adapter.config[`${configType}PriceSource`] || 'fixed',
+                    zones,
+                    zoneHolidays: this.adapter.config[`${configType}ZoneHolidays`] || false,
                 },
             });
         }
@@ -90,7 +112,8 @@ class MultiMeterManager {
         const additionalMeters = this.adapter.config[`${configType}AdditionalMeters`];
         if (Array.isArray(additionalMeters)) {
             for (const meterConfig of additionalMeters) {
-                if (meterConfig && meterConfig.name && meterConfig.sensorDP) {
+                // Meters without sensor are read by hand (see ManualReadingManager)
+                if (meterConfig && meterConfig.name) {
                     const normalizedName = this.normalizeMeterName(meterConfig.name);
 
                     // Debug: Log raw config for troubleshooting
@@ -99,16 +122,38 @@ class MultiMeterManager {
                     );
 
                     const parsedConfig = {
-                        sensorDP: meterConfig.sensorDP,
+                        sensorDP: meterConfig.sensorDP || '',
+                        exportSensorDP: meterConfig.exportSensorDP || '',
+                        exportPreis: parseConfigNumber(meterConfig.exportPreis, 0),
                         preis: parseConfigNumber(meterConfig.preis, 0),
+                        // Own wastewater price is optional, default is the wastewater price of the main meter
+                        abwasserPreis: parseConfigNumber(
+                            meterConfig.abwasserPreis,
+                            parseConfigNumber(this.adapter.config[`${configType}AbwasserPreis`], 0),
+                        ),
+                        gartenwasser: !!meterConfig.gartenwasser,
                         offset: parseConfigNumber(meterConfig.offset, 0),
+                        // The unit conversion belongs to the utility type, not to the single meter
+                        factor: parseConfigNumber(this.adapter.config[`${configType}Factor`], 1),
                         initialReading: parseConfigNumber(meterConfig.initialReading, 0),
+                        maxReading: parseConfigNumber(meterConfig.maxReading, 0),
+                        maxDelta: parseConfigNumber(meterConfig.maxDelta, 0),
+                        maxFlowRate: parseConfigNumber(meterConfig.maxFlowRate, 0),
+                        sensorTimeout: parseConfigNumber(meterConfig.sensorTimeout, 0),
                         contractStart: meterConfig.contractStart,
                         grundgebuehr: parseConfigNumber(meterConfig.grundgebuehr, 0),
                         jahresgebuehr: parseConfigNumber(meterConfig.jahresgebuehr, 0),
                         abschlag: parseConfigNumber(meterConfig.abschlag, 0),
-                        htNtEnabled: false, // Additional meters don't support HT/NT
+                        htNtEnabled: !!meterConfig.htNtEnabled,
+                        htPrice: parseConfigNumber(meterConfig.htPrice, 0),
+                        ntPrice: parseConfigNumber(meterConfig.ntPrice, 0),
+                        // Own HT window is optional, default is the HT window of the main meter
+                        htStart: meterConfig.htStart || this.adapter.config[`${configType}HtStart`],
+                        htEnd: meterConfig.htEnd || this.adapter.config[`${configType}HtEnd`],
                     };
+                    parsedConfig.zones = parsedConfig.htNtEnabled
+                        ? buildHtNtZones(parsedConfig.htStart, parsedConfig.htEnd)
+                        : [];
 
                     meters.push({
                         name: normalizedName,
@@ -126,7 +171,7 @@ class MultiMeterManager {
      * Finds meter by sensor datapoint
      *
      * @param {string} sensorDP - Sensor datapoint ID
-     * @returns {object|null} - {type, meterName} or null
+     * @returns {object|null} - {type, meterName, direction} or null (direction 'export' for the export sensor)
      */
     findMeterBySensor(sensorDP) {
         return this.meterRegistry[sensorDP] || null;
@@ -178,46 +223,64 @@ class MultiMeterManager {
 
         this.adapter.log.info(`Initializing ${type} meter: ${label}`);
 
-        if (!config.sensorDP) {
-            this.adapter.log.warn(`${type} meter "${label}" has no sensor datapoint configured!`);
-            await this.adapter.setStateAsync(`${basePath}.info.sensorActive`, false, true);
-            return;
-        }
-
         // Create state structure
         await stateManager.createMeterStructure(this.adapter, type, meterName, config);
-
-        // Register sensor in registry
-        this.meterRegistry[config.sensorDP] = { type, meterName };
-
-        this.adapter.log.debug(`Using sensor datapoint for ${type}.${meterName}: ${config.sensorDP}`);
+        if (type === 'pv') {
+            await this.adapter.pvManager?.migrateLegacyCosts(basePath);
+        }
 
         // Log configured contract start
         if (config.contractStart) {
             this.adapter.log.info(`${type}.${meterName}: Contract start: ${config.contractStart}`);
         }
 
-        // Subscribe to sensor datapoint
-        this.adapter.subscribeForeignStates(config.sensorDP);
-        await this.adapter.setStateAsync(`${basePath}.info.sensorActive`, true, true);
-        this.adapter.log.debug(`Subscribed to ${type}.${meterName} sensor: ${config.sensorDP}`);
+        // Meter exchange states and correction (needed before the first reading is processed)
+        await this.adapter.meterExchangeManager?.initializeMeter(type, meterName);
+        const exchangeCorrection = this.adapter.meterExchangeManager?.getCorrection(basePath) || 0;
 
-        // Restore last sensor value from persistent state
-        const lastReading = await this.adapter.getStateAsync(`${basePath}.info.meterReading`);
-        if (lastReading && typeof lastReading.val === 'number') {
-            this.lastSensorValues[config.sensorDP] = lastReading.val;
-            this.adapter.log.debug(`${type}.${meterName}: Restored last sensor value: ${lastReading.val}`);
-        }
+        if (!config.sensorDP) {
+            // Without sensor the meter is read by hand (info.manualReading or addReading message)
+            await this.adapter.setStateAsync(`${basePath}.info.sensorActive`, false, true);
+            await this.adapter.manualReadingManager?.initializeMeter(type, meterName, label);
+        } else {
+            // Register sensor in registry
+            this.meterRegistry[config.sensorDP] = { type, meterName };
+            await this.adapter.plausibilityManager?.initializeMeter(type, meterName, config);
 
-        // Initialize with current sensor value
-        try {
-            const sensorState = await this.adapter.getForeignStateAsync(config.sensorDP);
-            if (sensorState && sensorState.val !== null && typeof sensorState.val === 'number') {
-                await this.handleSensorUpdate(type, meterName, config.sensorDP, sensorState.val);
+            this.adapter.log.debug(`Using sensor datapoint for ${type}.${meterName}: ${config.sensorDP}`);
+
+            // Subscribe to sensor datapoint
+            this.adapter.subscribeForeignStates(config.sensorDP);
+            await this.adapter.setStateAsync(`${basePath}.info.sensorActive`, true, true);
+            this.adapter.log.debug(`Subscribed to ${type}.${meterName} sensor: ${config.sensorDP}`);
+
+            // Restore last sensor value from persistent state (gas deltas are calculated in m³)
+            const lastReading = await this.adapter.getStateAsync(
+                `${basePath}.info.${type === 'gas' ? 'meterReadingVolume' : 'meterReading'}`,
+            );
+            if (lastReading && typeof lastReading.val === 'number') {
+                this.lastSensorValues[config.sensorDP] = lastReading.val + exchangeCorrection;
+                this.adapter.log.debug(`${type}.${meterName}: Restored last sensor value: ${lastReading.val}`);
             }
-        } catch (error) {
-            this.adapter.log.warn(`Could not read initial value from ${config.sensorDP}: ${error.message}`);
-            await this.adapter.setStateAsync(`${basePath}.info.sensorActive`, false, true);
+
+            // Initialize with current sensor value
+            try {
+                const sensorState = await this.adapter.getForeignStateAsync(config.sensorDP);
+                if (sensorState && sensorState.val !== null && typeof sensorState.val === 'number') {
+                    await this.handleSensorUpdate(type, meterName, config.sensorDP, sensorState.val);
+                }
+            } catch (error) {
+                this.adapter.log.warn(`Could not read initial value from ${config.sensorDP}: ${error.message}`);
+                await this.adapter.setStateAsync(`${basePath}.info.sensorActive`, false, true);
+            }
+
+            // Watchdog: flags the sensor as stale if no data arrives within the configured timeout
+            await this.adapter.watchdogManager?.initializeMeter(type, meterName, config, label);
+        }
+
+        // Bidirectional meter: export reading (OBIS 2.8.0) of the same meter
+        if (config.exportSensorDP) {
+            await this.initializeExportSensor(type, meterName, config);
         }
 
         // Initialize period start timestamps
@@ -261,35 +324,42 @@ class MultiMeterManager {
             }
         }
 
-        // Initialize yearly consumption from initial reading if set
-        if (config.initialReading > 0) {
-            const sensorState = await this.adapter.getForeignStateAsync(config.sensorDP);
-            if (sensorState && typeof sensorState.val === 'number') {
-                let currentRaw = sensorState.val;
-
-                if (config.offset !== 0) {
-                    currentRaw = currentRaw - config.offset;
-                    this.adapter.log.debug(
-                        `Applied offset for ${type}.${meterName}: -${config.offset}, new value: ${currentRaw}`,
-                    );
-                }
-                let yearlyConsumption = Math.max(0, currentRaw - config.initialReading);
+        // Initialize yearly consumption from initial reading if set (manual meters: see ManualReadingManager)
+        if (config.initialReading > 0 && config.sensorDP) {
+            const currentReading = await this.getCurrentReading(type, meterName, config, exchangeCorrection);
+            if (currentReading !== null) {
+                let yearlyConsumption = Math.max(0, currentReading - config.initialReading);
 
                 // For gas: convert m³ to kWh
                 if (type === 'gas') {
-                    const brennwert = this.adapter.config.gasBrennwert || calculator.DEFAULTS.GAS_BRENNWERT;
-                    const zZahl = this.adapter.config.gasZahl || calculator.DEFAULTS.GAS_Z_ZAHL;
                     const yearlyVolume = yearlyConsumption;
-                    yearlyConsumption = calculator.convertGasM3ToKWh(yearlyConsumption, brennwert, zZahl);
+                    yearlyConsumption = await this.adapter.tariffManager.convertYearlyVolume(basePath, yearlyVolume);
                     await this.adapter.setStateAsync(`${basePath}.consumption.yearlyVolume`, yearlyVolume, true);
                     this.adapter.log.info(
-                        `Init yearly ${type}.${meterName}: ${yearlyConsumption.toFixed(2)} kWh = ${(currentRaw - config.initialReading).toFixed(2)} m³`,
+                        `Init yearly ${type}.${meterName}: ${yearlyConsumption.toFixed(2)} kWh = ${yearlyVolume.toFixed(2)} m³`,
                     );
                 } else {
+                    yearlyConsumption *= config.factor ?? 1;
                     this.adapter.log.info(`Init yearly ${type}.${meterName}: ${yearlyConsumption.toFixed(2)}`);
                 }
 
                 await this.adapter.setStateAsync(`${basePath}.consumption.yearly`, yearlyConsumption, true);
+
+                // Costs are accumulated per delta - seed them once with the current tariff
+                const channel = this.billingManager.getAmountChannel(type);
+                const yearlyCostState = await this.adapter.getStateAsync(`${basePath}.${channel}.yearly`);
+                if (!yearlyCostState?.val && yearlyConsumption > 0) {
+                    const { price } = this.adapter.tariffManager.getActivePrice(type, config);
+                    this.adapter.log.info(
+                        `${type}.${meterName}: Seeding yearly ${channel} from initial reading with current price ${price}`,
+                    );
+                    await this.billingManager.addConsumptionCost(
+                        basePath,
+                        yearlyConsumption * price,
+                        ['yearly'],
+                        channel,
+                    );
+                }
             }
         }
 
@@ -332,6 +402,65 @@ class MultiMeterManager {
         this.adapter.log.debug(`Meter initialization completed for ${type}.${meterName}`);
     }
 
+    /**
+     * Registers and subscribes the export sensor of a bidirectional meter
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     */
+    async initializeExportSensor(type, meterName, config) {
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
+
+        this.meterRegistry[config.exportSensorDP] = { type, meterName, direction: 'export' };
+        this.adapter.subscribeForeignStates(config.exportSensorDP);
+        this.adapter.log.debug(`Subscribed to ${type}.${meterName} export sensor: ${config.exportSensorDP}`);
+
+        const lastReading = await this.adapter.getStateAsync(`${basePath}.export.meterReading`);
+        if (lastReading && typeof lastReading.val === 'number' && lastReading.val > 0) {
+            this.lastSensorValues[config.exportSensorDP] = lastReading.val;
+        }
+
+        try {
+            const sensorState = await this.adapter.getForeignStateAsync(config.exportSensorDP);
+            if (sensorState && typeof sensorState.val === 'number') {
+                await this.handleExportUpdate(type, meterName, config.exportSensorDP, sensorState.val);
+            }
+        } catch (error) {
+            this.adapter.log.warn(`Could not read initial value from ${config.exportSensorDP}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets the current reading of a meter for the initialization of the yearly consumption
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     * @param {number} exchangeCorrection - Correction of meter exchanges and rollovers
+     * @returns {Promise<number|null>} - Reading with offset and correction (gas in m³), null if unknown
+     */
+    async getCurrentReading(type, meterName, config, exchangeCorrection) {
+        // Reading accepted by handleSensorUpdate - a value held back by the plausibility filter is not counted
+        const accepted = this.lastSensorValues[config.sensorDP];
+        if (typeof accepted === 'number') {
+            return accepted;
+        }
+
+        const sensorState = await this.adapter.getForeignStateAsync(config.sensorDP);
+        if (!sensorState || typeof sensorState.val !== 'number') {
+            return null;
+        }
+        let currentRaw = sensorState.val;
+        if (config.offset !== 0) {
+            currentRaw = currentRaw - config.offset;
+            this.adapter.log.debug(
+                `Applied offset for ${type}.${meterName}: -${config.offset}, new value: ${currentRaw}`,
+            );
+        }
+        return currentRaw + exchangeCorrection;
+    }
+
     /**
      * Handles sensor value updates
      *
@@ -346,6 +475,11 @@ class MultiMeterManager {
             return;
         }
 
+        if (this.meterRegistry[sensorDP]?.direction === 'export') {
+            await this.handleExportUpdate(type, meterName, sensorDP, value);
+            return;
+        }
+
         const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
         this.adapter.log.debug(`Sensor update for ${basePath}: ${value}`);
 
@@ -370,43 +504,79 @@ class MultiMeterManager {
             this.adapter.log.debug(`[${basePath}] After offset: ${consumption}`);
         }
 
-        // For gas, convert m³ to kWh
-        if (type === 'gas') {
-            const brennwert = this.adapter.config.gasBrennwert || calculator.DEFAULTS.GAS_BRENNWERT;
-            const zZahl = this.adapter.config.gasZahl || calculator.DEFAULTS.GAS_Z_ZAHL;
+        // Implausible values (spikes, readers glitching to 0) are held back until the next value confirms them
+        const exchangeCorrection = this.adapter.meterExchangeManager?.getCorrection(basePath) || 0;
+        const plausible = await this.adapter.plausibilityManager?.checkReading(
+            basePath,
+            config,
+            this.lastSensorValues[sensorDP],
+            consumption + exchangeCorrection,
+            now,
+        );
+        if (plausible === false) {
+            return;
+        }
+
+        // For gas, convert m³ to kWh (the reading is only displayed, deltas are converted individually)
+        const gasFactors = type === 'gas' ? this.adapter.tariffManager.getGasFactors() : null;
+        if (gasFactors) {
             consumptionM3 = consumption;
             await this.adapter.setStateAsync(`${basePath}.info.meterReadingVolume`, consumption, true);
-            consumption = calculator.convertGasM3ToKWh(consumption, brennwert, zZahl);
+            consumption = calculator.convertGasM3ToKWh(consumption, gasFactors.brennwert, gasFactors.zZahl);
             consumption = calculator.roundToDecimals(consumption, 2);
         }
 
         // Update meter reading
         await this.adapter.setStateAsync(`${basePath}.info.meterReading`, consumption, true);
 
-        // Calculate deltas
+        // Calculate deltas - gas in m³, so a new Brennwert does not change consumption already counted.
+        // After a meter exchange the readings continue on the scale of the old meter.
+        let reading = (consumptionM3 ?? consumption) + exchangeCorrection;
         const lastValue = this.lastSensorValues[sensorDP];
-        this.lastSensorValues[sensorDP] = consumption;
+        if (lastValue !== undefined && calculator.getRolloverDelta(lastValue, reading, config.maxReading) !== null) {
+            // Meter with limited digits started again at 0 - keep counting above the maximum
+            this.adapter.log.info(
+                `${type}.${meterName}: Counter rollover at ${config.maxReading} (${lastValue} -> ${reading})`,
+            );
+            await this.adapter.meterExchangeManager?.applyRollover(basePath, config.maxReading);
+            reading += config.maxReading;
+        } else if (lastValue !== undefined && reading < lastValue && this.adapter.meterExchangeManager) {
+            reading =
+                (await this.adapter.meterExchangeManager.handleReadingDrop(basePath, lastValue, reading)) ?? reading;
+        }
+        this.lastSensorValues[sensorDP] = reading;
 
-        if (lastValue === undefined || consumption <= lastValue) {
-            if (lastValue !== undefined && consumption < lastValue) {
+        if (config.exportSensorDP) {
+            await this.updateNetReading(basePath, config);
+        }
+
+        if (lastValue === undefined || reading <= lastValue) {
+            if (lastValue !== undefined && reading < lastValue) {
                 this.adapter.log.warn(
-                    `${type}.${meterName}: Sensor value decreased (${lastValue} -> ${consumption}). Assuming meter reset.`,
+                    `${type}.${meterName}: Sensor value decreased (${lastValue} -> ${reading}). Assuming meter reset - enter a meter exchange in info.exchange to keep the consumption.`,
                 );
             }
             await this.updateCosts(type, meterName, config);
             await this.updateTotalCosts(type);
+            if (type === 'pv' || type === 'electricity') {
+                await this.adapter.pvManager?.updateBalances();
+            }
             return;
         }
 
-        const delta = consumption - lastValue;
+        const deltaVolume = reading - lastValue;
+        // Custom utility types may bill in another unit than the meter counts (e.g. kWh → MWh)
+        const delta = gasFactors
+            ? calculator.convertGasM3ToKWh(deltaVolume, gasFactors.brennwert, gasFactors.zZahl)
+            : deltaVolume * (config.factor ?? 1);
         this.adapter.log.debug(`${type}.${meterName} delta: ${delta}`);
 
+        if (type === 'water' && meterName === 'main') {
+            await this.adapter.leakDetectionManager?.handleConsumption(deltaVolume, now);
+        }
+
         // Track volume for gas
         if (type === 'gas') {
-            const brennwert = this.adapter.config.gasBrennwert || calculator.DEFAULTS.GAS_BRENNWERT;
-            const zZahl = this.adapter.config.gasZahl || calculator.DEFAULTS.GAS_Z_ZAHL;
-            const deltaVolume = delta / (brennwert * zZahl);
-
             const dailyVolume = await this.adapter.getStateAsync(`${basePath}.consumption.dailyVolume`);
             const monthlyVolume = await this.adapter.getStateAsync(`${basePath}.consumption.monthlyVolume`);
             const yearlyVolume = await this.adapter.getStateAsync(`${basePath}.consumption.yearlyVolume`);
@@ -443,22 +613,36 @@ class MultiMeterManager {
             true,
         );
 
-        // Yearly consumption
-        if (config.initialReading > 0) {
-            let yearlyAmount;
-            if (type === 'gas') {
-                const yearlyM3 = Math.max(0, (consumptionM3 || 0) - config.initialReading);
+        // HT/NT tracking
+        const { zone } = this.adapter.tariffManager.getActivePrice(type, config);
+        if (zone) {
+            for (const period of ['daily', 'monthly', 'yearly']) {
+                const zoneState = await this.adapter.getStateAsync(`${basePath}.consumption.${period}${zone}`);
                 await this.adapter.setStateAsync(
-                    `${basePath}.consumption.yearlyVolume`,
-                    calculator.roundToDecimals(yearlyM3, 2),
+                    `${basePath}.consumption.${period}${zone}`,
+                    calculator.roundToDecimals((zoneState?.val || 0) + delta, 2),
                     true,
                 );
-                const brennwert = this.adapter.config.gasBrennwert || calculator.DEFAULTS.GAS_BRENNWERT;
-                const zZahl = this.adapter.config.gasZahl || calculator.DEFAULTS.GAS_Z_ZAHL;
-                yearlyAmount = calculator.convertGasM3ToKWh(yearlyM3, brennwert, zZahl);
-            } else {
-                yearlyAmount = Math.max(0, consumption - config.initialReading);
             }
+        }
+
+        // Yearly consumption
+        if (config.initialReading > 0 && type === 'gas') {
+            // The volume follows the meter, the energy keeps the factors each delta was converted with
+            const yearlyM3 = Math.max(0, reading - config.initialReading);
+            await this.adapter.setStateAsync(
+                `${basePath}.consumption.yearlyVolume`,
+                calculator.roundToDecimals(yearlyM3, 2),
+                true,
+            );
+            const yState = await this.adapter.getStateAsync(`${basePath}.consumption.yearly`);
+            await this.adapter.setStateAsync(
+                `${basePath}.consumption.yearly`,
+                calculator.roundToDecimals((yState?.val || 0) + delta, 2),
+                true,
+            );
+        } else if (config.initialReading > 0) {
+            const yearlyAmount = Math.max(0, reading - config.initialReading) * (config.factor ?? 1);
             await this.adapter.setStateAsync(
                 `${basePath}.consumption.yearly`,
                 calculator.roundToDecimals(yearlyAmount, 2),
@@ -473,39 +657,101 @@ class MultiMeterManager {
             );
         }
 
+        // Price the delta with the tariff active right now (time-of-use cost accumulation)
+        await this.billingManager.addDeltaCost(type, basePath, config, delta);
+
         await this.updateCosts(type, meterName, config);
         await this.updateTotalCosts(type);
+        if (type === 'pv' || type === 'electricity') {
+            await this.adapter.pvManager?.updateBalances();
+        }
 
         await this.adapter.setStateAsync(`${basePath}.consumption.lastUpdate`, now, true);
         await this.adapter.setStateAsync(`${basePath}.info.lastSync`, now, true);
     }
 
     /**
-     * Updates the current price display
+     * Handles updates of the export sensor of a bidirectional meter (OBIS 2.8.0).
+     * Export is counted in export.* and credited with the feed-in tariff in revenue.*
      *
      * @param {string} type - Utility type
      * @param {string} meterName - Meter name
-     * @param {object} config - Meter configuration
+     * @param {string} sensorDP - Export sensor datapoint ID
+     * @param {number} value - New export meter reading in kWh
      */
-    async updateCurrentPrice(type, meterName, config) {
+    async handleExportUpdate(type, meterName, sensorDP, value) {
         const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
-        const configType = this.getConfigType(type);
+        const meter = this.getMetersForType(type).find(m => m.name === meterName);
+        if (!meter) {
+            this.adapter.log.warn(`Meter ${type}.${meterName} not found in configuration`);
+            return;
+        }
 
-        let tariffName = 'Standard';
-        let activePrice = config.preis || 0;
+        const config = meter.config;
+        await this.adapter.setStateAsync(`${basePath}.export.meterReading`, value, true);
 
-        // Only main meter supports HT/NT
-        if (meterName === 'main' && config.htNtEnabled) {
-            const isHT = calculator.isHTTime(this.adapter.config, configType);
-            if (isHT) {
-                activePrice = this.adapter.config[`${configType}HtPrice`] || 0;
-                tariffName = 'Haupttarif (HT)';
-            } else {
-                activePrice = this.adapter.config[`${configType}NtPrice`] || 0;
-                tariffName = 'Nebentarif (NT)';
+        const lastValue = this.lastSensorValues[sensorDP];
+        this.lastSensorValues[sensorDP] = value;
+        await this.updateNetReading(basePath, config);
+
+        if (lastValue === undefined || value <= lastValue) {
+            if (lastValue !== undefined && value < lastValue) {
+                this.adapter.log.warn(
+                    `${type}.${meterName}: Export value decreased (${lastValue} -> ${value}). Assuming meter reset.`,
+                );
             }
-            this.adapter.log.debug(`[${basePath}] Price update: tariff=${tariffName}, price=${activePrice}`);
+            return;
+        }
+
+        const delta = value - lastValue;
+        this.adapter.log.debug(`${type}.${meterName} export delta: ${delta}`);
+
+        for (const period of ['daily', 'monthly', 'yearly']) {
+            const state = await this.adapter.getStateAsync(`${basePath}.export.${period}`);
+            await this.adapter.setStateAsync(
+                `${basePath}.export.${period}`,
+                calculator.roundToDecimals((state?.val || 0) + delta, 2),
+                true,
+            );
+        }
+
+        await this.billingManager.addConsumptionCost(basePath, delta * config.exportPreis, undefined, 'revenue');
+        await this.adapter.setStateAsync(`${basePath}.info.lastSync`, Date.now(), true);
+    }
+
+    /**
+     * Updates the net reading (import minus export) of a bidirectional meter
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {object} config - Meter configuration
+     */
+    async updateNetReading(basePath, config) {
+        // Reading of the current meter (without the correction of previous meter exchanges)
+        const importReading =
+            this.lastSensorValues[config.sensorDP] - (this.adapter.meterExchangeManager?.getCorrection(basePath) || 0);
+        const exportReading = this.lastSensorValues[config.exportSensorDP];
+        if (isNaN(importReading) || typeof exportReading !== 'number') {
+            return;
         }
+        await this.adapter.setStateAsync(
+            `${basePath}.info.netReading`,
+            calculator.roundToDecimals(importReading - exportReading, 2),
+            true,
+        );
+    }
+
+    /**
+     * Updates the current price display
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     */
+    async updateCurrentPrice(type, meterName, config) {
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
+
+        const { price: activePrice, name: tariffName } = this.adapter.tariffManager.getActivePrice(type, config);
+        this.adapter.log.debug(`[${basePath}] Price update: tariff=${tariffName}, price=${activePrice}`);
 
         await this.adapter.setStateAsync(
             `${basePath}.info.currentPrice`,
@@ -525,105 +771,138 @@ class MultiMeterManager {
     async updateCosts(type, meterName, config) {
         const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
 
-        // Get consumption values
-        const daily = (await this.adapter.getStateAsync(`${basePath}.consumption.daily`))?.val || 0;
-        const monthly = (await this.adapter.getStateAsync(`${basePath}.consumption.monthly`))?.val || 0;
-        const yearly = (await this.adapter.getStateAsync(`${basePath}.consumption.yearly`))?.val || 0;
-
-        // Get price
-        const price = config.preis || 0;
+        // Consumption costs are accumulated per delta in handleSensorUpdate (time-of-use pricing).
+        // PV feed-in is accumulated as revenue, its costs only consist of the fees.
+        const channel = this.billingManager.getAmountChannel(type);
+        const dailyCost = (await this.adapter.getStateAsync(`${basePath}.${channel}.daily`))?.val || 0;
+        const monthlyCost = (await this.adapter.getStateAsync(`${basePath}.${channel}.monthly`))?.val || 0;
+        const amountYearly = (await this.adapter.getStateAsync(`${basePath}.${channel}.yearly`))?.val || 0;
+        let yearlyCost = type === 'pv' ? 0 : amountYearly;
+
+        // Wastewater is billed on top of the fresh water
+        if (type === 'water') {
+            yearlyCost += await this.updateWastewaterCosts(basePath, meterName, config);
+        }
 
         this.adapter.log.debug(
-            `[${basePath}] Cost update: daily=${daily}, monthly=${monthly}, yearly=${yearly}, price=${price}`,
+            `[${basePath}] Cost update: daily=${dailyCost}, monthly=${monthlyCost}, yearly=${yearlyCost}`,
         );
 
-        // Calculate consumption costs
-        const dailyCost = daily * price;
-        const monthlyCost = monthly * price;
-        const yearlyCost = yearly * price;
-
-        await this.adapter.setStateAsync(`${basePath}.costs.daily`, calculator.roundToDecimals(dailyCost, 2), true);
-        await this.adapter.setStateAsync(`${basePath}.costs.monthly`, calculator.roundToDecimals(monthlyCost, 2), true);
-        await this.adapter.setStateAsync(`${basePath}.costs.yearly`, calculator.roundToDecimals(yearlyCost, 2), true);
+        const tariff = this.adapter.tariffManager.getTariff(config);
+        await this.adapter.setStateAsync(`${basePath}.costs.basicCharge`, Number(tariff.grundgebuehr) || 0, true);
 
-        await this.adapter.setStateAsync(`${basePath}.costs.basicCharge`, Number(config.grundgebuehr) || 0, true);
-
-        // Calculate annual fee (prorated)
+        // Calculate fixed fees (prorated annual fee, Grundgebühr per started month)
         const yearStartState = await this.adapter.getStateAsync(`${basePath}.statistics.lastYearStart`);
-        let annualFeeAccumulated = 0;
-
-        if (yearStartState && yearStartState.val) {
-            const yearStartDate = calculator.parseDateString(yearStartState.val);
-            if (yearStartDate && !isNaN(yearStartDate.getTime())) {
-                const now = new Date();
-                const yearStartTime = yearStartDate.getTime();
-                const nowTime = now.getTime();
-                const daysSinceYearStart = Math.floor((nowTime - yearStartTime) / (1000 * 60 * 60 * 24));
-                const daysInYear = calculator.isLeapYear(now.getFullYear()) ? 366 : 365;
-                annualFeeAccumulated = ((config.jahresgebuehr || 0) / daysInYear) * daysSinceYearStart;
-            }
-        }
+        const yearStartDate = yearStartState?.val ? calculator.parseDateString(yearStartState.val) : null;
 
-        await this.adapter.setStateAsync(
-            `${basePath}.costs.annualFee`,
-            calculator.roundToDecimals(annualFeeAccumulated, 2),
-            true,
-        );
+        if (yearStartDate && !isNaN(yearStartDate.getTime())) {
+            // Calculate paid total based on started months (not just completed months)
+            // If current month has started, count it as paid
+            const fees = this.adapter.tariffManager.getAccumulatedFees(config, yearStartDate);
+            const monthsSinceYearStart = fees.months;
 
-        // Calculate balance and total yearly costs
-        if (yearStartState && yearStartState.val) {
-            const yearStartDate = calculator.parseDateString(yearStartState.val);
-            if (yearStartDate && !isNaN(yearStartDate.getTime())) {
-                const now = new Date();
-                // Calculate paid total based on started months (not just completed months)
-                // If current month has started, count it as paid
-                const monthsSinceYearStart = calculator.getMonthsDifference(yearStartDate, now) + 1;
+            await this.adapter.setStateAsync(
+                `${basePath}.costs.annualFee`,
+                calculator.roundToDecimals(fees.annualFee, 2),
+                true,
+            );
 
-                // Calculate total yearly costs with correct months
-                const basicChargeAccumulated = (config.grundgebuehr || 0) * monthsSinceYearStart;
-                const totalYearlyCost = yearlyCost + basicChargeAccumulated + annualFeeAccumulated;
+            // Calculate total yearly costs with correct months
+            const totalYearlyCost = yearlyCost + fees.basicCharge + fees.annualFee;
 
-                await this.adapter.setStateAsync(
-                    `${basePath}.costs.totalYearly`,
-                    calculator.roundToDecimals(totalYearlyCost, 2),
-                    true,
-                );
+            await this.adapter.setStateAsync(
+                `${basePath}.costs.totalYearly`,
+                calculator.roundToDecimals(totalYearlyCost, 2),
+                true,
+            );
 
-                const paidTotal = (config.abschlag || 0) * monthsSinceYearStart;
-                const balance = paidTotal - totalYearlyCost;
+            const paidTotal = (config.abschlag || 0) * monthsSinceYearStart;
+            const balance = paidTotal - totalYearlyCost;
 
-                this.adapter.log.debug(
-                    `[${basePath}] Balance calculation: abschlag=${config.abschlag}, months=${monthsSinceYearStart}, paidTotal=${paidTotal.toFixed(2)}, totalYearly=${totalYearlyCost.toFixed(2)}, balance=${balance.toFixed(2)}`,
-                );
+            this.adapter.log.debug(
+                `[${basePath}] Balance calculation: abschlag=${config.abschlag}, months=${monthsSinceYearStart}, paidTotal=${paidTotal.toFixed(2)}, totalYearly=${totalYearlyCost.toFixed(2)}, balance=${balance.toFixed(2)}`,
+            );
 
+            await this.adapter.setStateAsync(
+                `${basePath}.costs.paidTotal`,
+                calculator.roundToDecimals(paidTotal, 2),
+                true,
+            );
+            await this.adapter.setStateAsync(`${basePath}.costs.balance`, calculator.roundToDecimals(balance, 2), true);
+
+            if (type === 'pv') {
                 await this.adapter.setStateAsync(
-                    `${basePath}.costs.paidTotal`,
-                    calculator.roundToDecimals(paidTotal, 2),
-                    true,
-                );
-                await this.adapter.setStateAsync(
-                    `${basePath}.costs.balance`,
-                    calculator.roundToDecimals(balance, 2),
+                    `${basePath}.revenue.netYearly`,
+                    calculator.roundToDecimals(amountYearly - totalYearlyCost, 2),
                     true,
                 );
-            } else {
-                // Fallback if yearStartDate parsing fails
-                const totalYearlyCost = yearlyCost + annualFeeAccumulated;
+            }
+        } else {
+            // Fallback if no valid yearStartState exists
+            await this.adapter.setStateAsync(`${basePath}.costs.annualFee`, 0, true);
+            await this.adapter.setStateAsync(
+                `${basePath}.costs.totalYearly`,
+                calculator.roundToDecimals(yearlyCost, 2),
+                true,
+            );
+            if (type === 'pv') {
                 await this.adapter.setStateAsync(
-                    `${basePath}.costs.totalYearly`,
-                    calculator.roundToDecimals(totalYearlyCost, 2),
+                    `${basePath}.revenue.netYearly`,
+                    calculator.roundToDecimals(amountYearly, 2),
                     true,
                 );
             }
-        } else {
-            // Fallback if no yearStartState exists
-            const totalYearlyCost = yearlyCost + annualFeeAccumulated;
+        }
+
+        await this.adapter.forecastManager?.updateForecast(type, meterName, config);
+
+        // The Gartenwasser volume is deducted from the wastewater of the main meter
+        if (config.gartenwasser && meterName !== 'main') {
+            const mainMeter = this.getMetersForType(type).find(meter => meter.name === 'main');
+            if (mainMeter) {
+                await this.updateCosts(type, 'main', mainMeter.config);
+            }
+        }
+    }
+
+    /**
+     * Updates the wastewater volume and costs (Schmutzwasser) of a water meter.
+     * Gartenwasser meters are sub-meters of the main meter whose water does not enter the sewer:
+     * they have no wastewater and their consumption is deducted from the wastewater of the main meter.
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     * @returns {Promise<number>} - Yearly wastewater costs
+     */
+    async updateWastewaterCosts(basePath, meterName, config) {
+        const gardenMeters =
+            meterName === 'main' ? this.getMetersForType('water').filter(meter => meter.config.gartenwasser) : [];
+        const volumes = {};
+
+        for (const period of ['daily', 'monthly', 'yearly']) {
+            let volume = config.gartenwasser
+                ? 0
+                : (await this.adapter.getStateAsync(`${basePath}.consumption.${period}`))?.val || 0;
+            for (const meter of gardenMeters) {
+                volume -= (await this.adapter.getStateAsync(`water.${meter.name}.consumption.${period}`))?.val || 0;
+            }
+            volumes[period] = Math.max(0, volume);
+
+            const costState = `wastewater${period.charAt(0).toUpperCase()}${period.slice(1)}`;
             await this.adapter.setStateAsync(
-                `${basePath}.costs.totalYearly`,
-                calculator.roundToDecimals(totalYearlyCost, 2),
+                `${basePath}.costs.${costState}`,
+                calculator.roundToDecimals(volumes[period] * (config.abwasserPreis || 0), 2),
                 true,
             );
         }
+
+        await this.adapter.setStateAsync(
+            `${basePath}.consumption.wastewaterYearly`,
+            calculator.roundToDecimals(volumes.yearly, 2),
+            true,
+        );
+        return volumes.yearly * (config.abwasserPreis || 0);
     }
 
     /**
@@ -645,6 +924,13 @@ class MultiMeterManager {
         let totalCostsDaily = 0;
         let totalCostsMonthly = 0;
         let totalCostsYearly = 0;
+        const totalRevenue = { daily: 0, monthly: 0, yearly: 0, netYearly: 0 };
+        const totalWastewater = {
+            'consumption.wastewaterYearly': 0,
+            'costs.wastewaterDaily': 0,
+            'costs.wastewaterMonthly': 0,
+            'costs.wastewaterYearly': 0,
+        };
 
         for (const meter of meters) {
             const basePath = meter.name === 'main' ? type : `${type}.${meter.name}`;
@@ -653,9 +939,22 @@ class MultiMeterManager {
             totalMonthly += (await this.adapter.getStateAsync(`${basePath}.consumption.monthly`))?.val || 0;
             totalYearly += (await this.adapter.getStateAsync(`${basePath}.consumption.yearly`))?.val || 0;
 
-            totalCostsDaily += (await this.adapter.getStateAsync(`${basePath}.costs.daily`))?.val || 0;
-            totalCostsMonthly += (await this.adapter.getStateAsync(`${basePath}.costs.monthly`))?.val || 0;
+            if (type === 'pv') {
+                for (const key of Object.keys(totalRevenue)) {
+                    totalRevenue[key] += (await this.adapter.getStateAsync(`${basePath}.revenue.${key}`))?.val || 0;
+                }
+            } else {
+                totalCostsDaily += (await this.adapter.getStateAsync(`${basePath}.costs.daily`))?.val || 0;
+                totalCostsMonthly += (await this.adapter.getStateAsync(`${basePath}.costs.monthly`))?.val || 0;
+            }
             totalCostsYearly += (await this.adapter.getStateAsync(`${basePath}.costs.totalYearly`))?.val || 0;
+
+            // Gartenwasser is already deducted in the wastewater of the main meter
+            if (type === 'water') {
+                for (const key of Object.keys(totalWastewater)) {
+                    totalWastewater[key] += (await this.adapter.getStateAsync(`${basePath}.${key}`))?.val || 0;
+                }
+            }
         }
 
         await this.adapter.setStateAsync(
@@ -689,6 +988,24 @@ class MultiMeterManager {
             calculator.roundToDecimals(totalCostsYearly, 2),
             true,
         );
+
+        if (type === 'water') {
+            for (const [key, value] of Object.entries(totalWastewater)) {
+                await this.adapter.setStateAsync(`${type}.totals.${key}`, calculator.roundToDecimals(value, 2), true);
+            }
+        }
+
+        if (type === 'pv') {
+            for (const [key, value] of Object.entries(totalRevenue)) {
+                await this.adapter.setStateAsync(
+                    `${type}.totals.revenue.${key}`,
+                    calculator.roundToDecimals(value, 2),
+                    true,
+                );
+            }
+        }
+
+        await this.adapter.forecastManager?.updateTotalForecast(type);
     }
 
     /**
@@ -719,6 +1036,15 @@ class MultiMeterManager {
                 'adjustment',
                 'history',
                 'totals',
+                'revenue',
+                'production',
+                'selfConsumption',
+                'net',
+                'export',
+                'forecast',
+                'weather',
+                'alarm',
+                'stock',
             ];
             const currentMeterNames = new Set(currentMeters.map(m => m.name));
             const existingMeterFolders = new Set();
@@ -0,0 +1,177 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+
+/** Maximum number of rejected values kept in info.rejectedLog */
+const MAX_LOG_ENTRIES = 50;
+
+/** Shortest interval used for the flow rate check (sensors reporting every few seconds would be too strict) */
+const FLOW_RATE_MIN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * PlausibilityManager filters implausible sensor values (spikes, readers glitching to 0) before they reach
+ * the consumption counters. A value that rises more than the configured maximum delta or faster than the
+ * maximum flow rate, or drops without a meter exchange, is held back. The next value decides: if it continues
+ * plausibly from the held value, the jump was real and is processed; if it continues from the last accepted
+ * value, the held value was a spike and is discarded (counted in info.rejectedValues).
+ */
+class PlausibilityManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.held = {}; // Maps basePath → {reading, ts, reason} of the value waiting for confirmation
+        this.lastAccepted = {}; // Maps basePath → timestamp of the last accepted value
+        this.rejected = {}; // Maps basePath → number of rejected values
+    }
+
+    /**
+     * Checks if the plausibility filter is configured for a meter
+     *
+     * @param {object} config - Meter configuration
+     * @returns {boolean} - True if a maximum delta or flow rate is set
+     */
+    isEnabled(config) {
+        return config.maxDelta > 0 || config.maxFlowRate > 0;
+    }
+
+    /**
+     * Creates the plausibility states of a meter and restores the rejection counter
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     */
+    async initializeMeter(type, meterName, config) {
+        if (!this.isEnabled(config)) {
+            return;
+        }
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
+        await stateManager.createPlausibilityStructure(this.adapter, basePath);
+
+        const rejectedState = await this.adapter.getStateAsync(`${basePath}.info.rejectedValues`);
+        this.rejected[basePath] = typeof rejectedState?.val === 'number' ? rejectedState.val : 0;
+        this.adapter.log.debug(
+            `${basePath}: Plausibility filter active (max delta: ${config.maxDelta || '-'}, max per hour: ${config.maxFlowRate || '-'})`,
+        );
+    }
+
+    /**
+     * Checks a new reading against the last accepted one
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {object} config - Meter configuration
+     * @param {number|undefined} lastReading - Last accepted reading (correction applied)
+     * @param {number} reading - New reading (correction applied, gas in m³)
+     * @param {number} [now] - Timestamp of the reading
+     * @returns {Promise<boolean>} - True if the reading may be processed, false if it is held back
+     */
+    async checkReading(basePath, config, lastReading, reading, now = Date.now()) {
+        if (!this.isEnabled(config) || lastReading === undefined) {
+            this.lastAccepted[basePath] = now;
+            return true;
+        }
+
+        const held = this.held[basePath];
+        const violation = this.getViolation(basePath, config, lastReading, reading, this.lastAccepted[basePath], now);
+        if (!violation) {
+            // Continues from the last accepted value - a held value was a spike
+            if (held) {
+                delete this.held[basePath];
+                await this.reject(basePath, held);
+            }
+            this.lastAccepted[basePath] = now;
+            return true;
+        }
+
+        if (held && !this.getViolation(basePath, config, held.reading, reading, held.ts, now)) {
+            // Continues from the held value - the jump was real
+            delete this.held[basePath];
+            this.adapter.log.info(`${basePath}: Value confirmed by the next reading (${held.reason})`);
+            this.lastAccepted[basePath] = now;
+            return true;
+        }
+
+        if (held) {
+            await this.reject(basePath, held);
+        }
+        this.held[basePath] = { reading, ts: now, reason: violation };
+        this.adapter.log.debug(`${basePath}: Implausible value held back until the next reading (${violation})`);
+        return false;
+    }
+
+    /**
+     * Checks the step between two readings against the configured limits
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {object} config - Meter configuration
+     * @param {number} from - Previous reading
+     * @param {number} to - New reading
+     * @param {number|undefined} fromTs - Timestamp of the previous reading (unknown after a restart)
+     * @param {number} now - Timestamp of the new reading
+     * @returns {string|null} - Description of the violation or null if the step is plausible
+     */
+    getViolation(basePath, config, from, to, fromTs, now) {
+        const delta = calculator.getRolloverDelta(from, to, config.maxReading) ?? to - from;
+        if (delta < 0) {
+            // An expected drop (meter exchange entered beforehand) is not filtered
+            return this.adapter.meterExchangeManager?.pending[basePath] ? null : `Rücksprung ${from} → ${to}`;
+        }
+        if (config.maxDelta > 0 && delta > config.maxDelta) {
+            return `Anstieg ${calculator.roundToDecimals(delta, 3)} > ${config.maxDelta}`;
+        }
+        if (config.maxFlowRate > 0 && fromTs !== undefined) {
+            const hours = Math.max(now - fromTs, FLOW_RATE_MIN_INTERVAL_MS) / (60 * 60 * 1000);
+            if (delta > config.maxFlowRate * hours) {
+                return `${calculator.roundToDecimals(delta / hours, 3)} pro Stunde > ${config.maxFlowRate}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Counts and logs a discarded value
+     *
+     * @param {string} basePath - State path of the meter
+     * @param {{reading: number, ts: number, reason: string}} held - Discarded value
+     */
+    async reject(basePath, held) {
+        const value = calculator.roundToDecimals(
+            held.reading - (this.adapter.meterExchangeManager?.getCorrection(basePath) || 0),
+            3,
+        );
+        this.adapter.log.warn(`${basePath}: Implausible sensor value ${value} rejected (${held.reason})`);
+
+        this.rejected[basePath] = (this.rejected[basePath] || 0) + 1;
+        await this.adapter.setStateAsync(`${basePath}.info.rejectedValues`, this.rejected[basePath], true);
+
+        const log = await this.getRejectedLog(basePath);
+        log.push({ date: calculator.formatDateString(new Date(held.ts)), value, reason: held.reason });
+        await this.adapter.setStateAsync(
+            `${basePath}.info.rejectedLog`,
+            JSON.stringify(log.slice(-MAX_LOG_ENTRIES)),
+            true,
+        );
+    }
+
+    /**
+     * Reads the log of rejected values of a meter
+     *
+     * @param {string} basePath - State path of the meter
+     * @returns {Promise<Array<object>>} - Rejected values (oldest first)
+     */
+    async getRejectedLog(basePath) {
+        try {
+            const state = await this.adapter.getStateAsync(`${basePath}.info.rejectedLog`);
+            const parsed = JSON.parse(String(state?.val || '[]'));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            this.adapter.log.warn(`${basePath}.info.rejectedLog contains invalid JSON`);
+            return [];
+        }
+    }
+}
+
+module.exports = PlausibilityManager;
@@ -0,0 +1,190 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+
+const PERIODS = ['daily', 'monthly', 'yearly'];
+
+/**
+ * PvManager tracks the PV production and derives self-consumption, self-consumption rate,
+ * autarky and the combined electricity balance (grid costs minus feed-in revenue).
+ */
+class PvManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.productionDP = '';
+        this.lastProductionValue = null;
+    }
+
+    /**
+     * Creates the PV balance states and subscribes the production sensor (if configured)
+     */
+    async initialize() {
+        this.productionDP = this.adapter.config.pvProductionSensorDP || '';
+
+        if (this.productionDP) {
+            await stateManager.createPvBalanceStructure(this.adapter);
+
+            const readingState = await this.adapter.getStateAsync('pv.production.meterReading');
+            if (typeof readingState?.val === 'number' && readingState.val > 0) {
+                this.lastProductionValue = readingState.val;
+            }
+
+            this.adapter.subscribeForeignStates(this.productionDP);
+            this.adapter.log.info(`PV: Using production sensor ${this.productionDP}`);
+        }
+        if (this.adapter.config.stromAktiv) {
+            await stateManager.createNetStructure(this.adapter);
+        }
+
+        await this.updateBalances();
+    }
+
+    /**
+     * Moves the feed-in amounts of older versions (costs.daily/monthly/yearly) to revenue.*
+     *
+     * @param {string} basePath - State path of the PV meter (e.g. 'pv' or 'pv.carport')
+     */
+    async migrateLegacyCosts(basePath) {
+        for (const period of PERIODS) {
+            const legacyObj = await this.adapter.getObjectAsync(`${basePath}.costs.${period}`);
+            if (!legacyObj) {
+                continue;
+            }
+
+            const legacyState = await this.adapter.getStateAsync(`${basePath}.costs.${period}`);
+            const revenueState = await this.adapter.getStateAsync(`${basePath}.revenue.${period}`);
+            if (typeof legacyState?.val === 'number' && legacyState.val > 0 && !revenueState?.val) {
+                await this.adapter.setStateAsync(`${basePath}.revenue.${period}`, legacyState.val, true);
+            }
+
+            await this.adapter.delObjectAsync(`${basePath}.costs.${period}`);
+            this.adapter.log.info(`${basePath}: Moved feed-in amount of costs.${period} to revenue.${period}`);
+        }
+    }
+
+    /**
+     * Checks if a foreign state is the configured PV production sensor
+     *
+     * @param {string} id - State ID
+     * @returns {boolean} - True if the state is the production sensor
+     */
+    isProductionDP(id) {
+        return !!this.productionDP && this.productionDP === id;
+    }
+
+    /**
+     * Handles an update of the production sensor (cumulative meter reading in kWh)
+     *
+     * @param {any} value - New sensor value
+     */
+    async handleProductionUpdate(value) {
+        const reading = calculator.ensureNumber(value);
+        if (reading <= 0) {
+            this.adapter.log.warn(`PV: Invalid production value: ${value}`);
+            return;
+        }
+
+        await this.adapter.setStateAsync('pv.production.meterReading', reading, true);
+
+        const lastValue = this.lastProductionValue;
+        this.lastProductionValue = reading;
+
+        if (lastValue === null || reading <= lastValue) {
+            if (lastValue !== null && reading < lastValue) {
+                this.adapter.log.warn(
+                    `PV: Production value decreased (${lastValue} -> ${reading}). Assuming meter reset.`,
+                );
+            }
+            return;
+        }
+
+        const delta = reading - lastValue;
+        for (const period of PERIODS) {
+            const state = await this.adapter.getStateAsync(`pv.production.${period}`);
+            await this.adapter.setStateAsync(
+                `pv.production.${period}`,
+                calculator.roundToDecimals((state?.val || 0) + delta, 2),
+                true,
+            );
+        }
+
+        await this.updateBalances();
+    }
+
+    /**
+     * Resets the production counter of a period and refreshes the balances after a period reset
+     *
+     * @param {string} type - Utility type whose counters were reset
+     * @param {string} period - 'daily', 'monthly' or 'yearly'
+     */
+    async handlePeriodReset(type, period) {
+        if (type !== 'pv' && type !== 'electricity') {
+            return;
+        }
+        if (type === 'pv' && this.productionDP) {
+            await this.adapter.setStateAsync(`pv.production.${period}`, 0, true);
+        }
+        await this.updateBalances();
+    }
+
+    /**
+     * Reads a value of a utility type, using the totals if multiple meters are configured
+     *
+     * @param {string} type - Utility type
+     * @param {string} id - State ID relative to the meter (e.g. 'consumption.daily')
+     * @returns {Promise<number>} - State value or 0
+     */
+    async getTypeValue(type, id) {
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        const basePath = meters.length > 1 ? `${type}.totals` : type;
+        const state = await this.adapter.getStateAsync(`${basePath}.${id}`);
+        return typeof state?.val === 'number' ? state.val : 0;
+    }
+
+    /**
+     * Updates self-consumption, self-consumption rate, autarky and the net electricity balance
+     */
+    async updateBalances() {
+        if (!this.adapter.config.pvAktiv) {
+            return;
+        }
+        const withGrid = !!this.adapter.config.stromAktiv;
+
+        for (const period of PERIODS) {
+            const suffix = period.charAt(0).toUpperCase() + period.slice(1);
+
+            if (this.productionDP) {
+                const production = (await this.adapter.getStateAsync(`pv.production.${period}`))?.val || 0;
+                const feedIn = await this.getTypeValue('pv', `consumption.${period}`);
+                const gridConsumption = withGrid ? await this.getTypeValue('electricity', `consumption.${period}`) : 0;
+                const balance = calculator.calculatePvBalance(production, feedIn, gridConsumption);
+
+                await this.adapter.setStateAsync(`pv.selfConsumption.${period}`, balance.selfConsumption, true);
+                await this.adapter.setStateAsync(`pv.selfConsumption.rate${suffix}`, balance.selfConsumptionRate, true);
+                if (withGrid) {
+                    await this.adapter.setStateAsync(`pv.selfConsumption.autarky${suffix}`, balance.autarky, true);
+                }
+            }
+
+            if (withGrid) {
+                // The yearly balance includes the fixed fees on both sides
+                const gridCost = await this.getTypeValue(
+                    'electricity',
+                    period === 'yearly' ? 'costs.totalYearly' : `costs.${period}`,
+                );
+                const revenue = await this.getTypeValue('pv', `revenue.${period === 'yearly' ? 'netYearly' : period}`);
+                await this.adapter.setStateAsync(
+                    `electricity.net.${period}`,
+                    calculator.roundToDecimals(gridCost - revenue, 2),
+                    true,
+                );
+            }
+        }
+    }
+}
+
+module.exports = PvManager;
@@ -0,0 +1,210 @@
+'use strict';
+
+const calculator = require('./calculator');
+
+/** Report schedules with their default title */
+const SCHEDULES = {
+    daily: { title: 'Tages-Report' },
+    weekly: { title: 'Wochen-Report' },
+    monthly: { title: 'Monats-Report' },
+    yearly: { title: 'Jahres-Report' },
+};
+
+/** Template of reports without own text */
+const DEFAULT_TEMPLATE = '📊 *{title}* ({period})\n\n{summary}';
+
+/** Time of day at which reports without own time are sent (minutes since midnight) */
+const DEFAULT_TIME = 8 * 60;
+
+/**
+ * Gets the ISO week of a date
+ *
+ * @param {Date} date - Date
+ * @returns {{year: number, week: number}} - ISO year and week number
+ */
+function getIsoWeek(date) {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    const week = 1 + Math.round((thursday.getTime() - firstThursday.getTime()) / (7 * 24 * 60 * 60 * 1000));
+    return { year: thursday.getFullYear(), week };
+}
+
+/**
+ * ReportManager sends the reports configured in the notification settings (daily, weekly, monthly, yearly).
+ * Each report has a template with placeholders: {title}, {period}, {date}, {summary} (status of all utility types)
+ * and any state of the adapter, e.g. {electricity.consumption.monthly} or {gas.forecast.balance}.
+ */
+class ReportManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Sends all reports that are due and were not sent in the current period yet (called every minute)
+     *
+     * @param {Date} [now] - Current time
+     */
+    async checkReports(now = new Date()) {
+        const reports = Array.isArray(this.adapter.config.notificationReports)
+            ? this.adapter.config.notificationReports
+            : [];
+        if (!reports.some(report => report && report.enabled !== false)) {
+            return;
+        }
+
+        const sent = await this.getReportStates();
+        let changed = false;
+        for (const report of reports) {
+            if (!report || report.enabled === false || !SCHEDULES[report.schedule] || !this.isDue(report, now)) {
+                continue;
+            }
+            const key = this.getReportKey(report);
+            const period = this.getPeriodKey(report.schedule, now);
+            if (sent[key] === period) {
+                continue;
+            }
+
+            const message = await this.render(report, now);
+            await this.adapter.messagingHandler.sendNotification('system', message, 'report');
+            sent[key] = period;
+            changed = true;
+        }
+
+        if (changed) {
+            await this.adapter.setStateAsync('info.reportStates', JSON.stringify(sent), true);
+        }
+    }
+
+    /**
+     * Gets the key a report is remembered under in info.reportStates.
+     * Schedule and title stay the same when rows of the admin table are reordered or deleted.
+     *
+     * @param {object} report - Report configuration
+     * @returns {string} - e.g. "monthly" or "weekly.Kurzbericht"
+     */
+    getReportKey(report) {
+        return report.title ? `${report.schedule}.${report.title}` : report.schedule;
+    }
+
+    /**
+     * Checks if a report is due: configured day reached and time of day passed
+     *
+     * @param {object} report - Report configuration
+     * @param {Date} now - Current time
+     * @returns {boolean} - True if the report should be sent today
+     */
+    isDue(report, now) {
+        const time = calculator.parseTimeOfDay(report.time) ?? DEFAULT_TIME;
+        if (now.getHours() * 60 + now.getMinutes() < time) {
+            return false;
+        }
+        const day = String(report.day ?? '').trim();
+        switch (report.schedule) {
+            case 'weekly':
+                // 1 = Monday ... 7 = Sunday
+                return (now.getDay() || 7) === (parseInt(day, 10) || 1);
+            case 'monthly':
+                return now.getDate() === (parseInt(day, 10) || 1);
+            case 'yearly': {
+                const [date, month] = (day || '01.01').split('.').map(part => parseInt(part, 10));
+                return now.getDate() === (date || 1) && now.getMonth() + 1 === (month || 1);
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Gets the key of the period a report covers (prevents sending it twice)
+     *
+     * @param {string} schedule - daily, weekly, monthly or yearly
+     * @param {Date} now - Current time
+     * @returns {string} - Period key (e.g. 2025-03-11, 2025-W11, 2025-03, 2025)
+     */
+    getPeriodKey(schedule, now) {
+        const date = String(calculator.formatDateString(now)).slice(0, 10);
+        if (schedule === 'weekly') {
+            const { year, week } = getIsoWeek(now);
+            return `${year}-W${String(week).padStart(2, '0')}`;
+        }
+        if (schedule === 'monthly') {
+            return date.slice(0, 7);
+        }
+        return schedule === 'yearly' ? date.slice(0, 4) : date;
+    }
+
+    /**
+     * Gets the display name of the period for the {period} placeholder
+     *
+     * @param {string} schedule - daily, weekly, monthly or yearly
+     * @param {Date} now - Current time
+     * @returns {string} - e.g. "KW 11/2025" or "März 2025"
+     */
+    getPeriodLabel(schedule, now) {
+        switch (schedule) {
+            case 'weekly': {
+                const { year, week } = getIsoWeek(now);
+                return `KW ${week}/${year}`;
+            }
+            case 'monthly':
+                return now.toLocaleDateString('de-DE', { month: 'long', year: 'numeric' });
+            case 'yearly':
+                return String(now.getFullYear());
+            default:
+                return now.toLocaleDateString('de-DE');
+        }
+    }
+
+    /**
+     * Fills the template of a report
+     *
+     * @param {object} report - Report configuration
+     * @param {Date} now - Current time
+     * @returns {Promise<string>} - Message in Markdown
+     */
+    async render(report, now) {
+        // Line breaks are entered as \n in the admin table
+        const template = String(report.template || DEFAULT_TEMPLATE).replace(/\\n/g, '\n');
+        const values = {
+            title: report.title || SCHEDULES[report.schedule].title,
+            period: this.getPeriodLabel(report.schedule, now),
+            date: now.toLocaleDateString('de-DE'),
+        };
+        if (template.includes('{summary}')) {
+            values.summary = await this.adapter.messagingHandler.buildSummary();
+        }
+
+        // State placeholders like {gas.forecast.balance}
+        for (const [, id] of template.matchAll(/\{(\w+(?:\.\w+)+)\}/g)) {
+            const state = await this.adapter.getStateAsync(id);
+            values[id] =
+                typeof state?.val === 'number'
+                    ? calculator.roundToDecimals(state.val, 2)
+                    : state?.val === null || state?.val === undefined
+                      ? '-'
+                      : state.val;
+        }
+        return this.adapter.messagingHandler.renderTemplate(template, values);
+    }
+
+    /**
+     * Reads the last sent period of each report
+     *
+     * @returns {Promise<Record<string, string>>} - Period key per report
+     */
+    async getReportStates() {
+        try {
+            const state = await this.adapter.getStateAsync('info.reportStates');
+            const parsed = JSON.parse(String(state?.val || '{}'));
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch {
+            this.adapter.log.warn('info.reportStates contains invalid JSON');
+            return {};
+        }
+    }
+}
+
+module.exports = ReportManager;
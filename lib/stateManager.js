@@ -3,6 +3,9 @@
  * Manages the creation and structure of all adapter states
  */
 
+const calculator = require('./calculator');
+const utilityTypes = require('./utilityTypes');
+
 /**
  * Safe wrapper for setObjectNotExistsAsync with error handling
  *
@@ -37,7 +40,7 @@ const STATE_ROLES = {
 };
 
 /**
- * Creates the complete state structure for a utility type (gas, water, electricity)
+ * Creates the complete state structure for a utility type (gas, water, electricity, pv or a custom type)
  *
  * @param {object} adapter - The adapter instance
  * @param {string} type - Utility type: 'gas', 'water', or 'electricity'
@@ -47,15 +50,19 @@ const STATE_ROLES = {
 async function createUtilityStateStructure(adapter, type, _config = {}) {
     const isGas = type === 'gas';
 
-    const labels = {
-        gas: { name: 'Gas', unit: 'kWh', volumeUnit: 'm³' },
-        water: { name: 'Wasser', unit: 'm³', volumeUnit: 'm³' },
-        electricity: { name: 'Strom', unit: 'kWh', volumeUnit: 'kWh' },
-        pv: { name: 'PV', unit: 'kWh', volumeUnit: 'kWh', consumption: 'Einspeisung', cost: 'Vergütung' },
+    const utility = utilityTypes.getUtilityType(adapter.config, type);
+    if (!utility) {
+        adapter.log.error(`Unknown utility type "${type}" in createUtilityStateStructure!`);
+        return;
+    }
+    const label = {
+        name: utility.name,
+        unit: utility.unit,
+        volumeUnit: utility.readingUnit,
+        consumption: utility.consumptionLabel,
+        cost: utility.costLabel,
     };
 
-    const label = labels[type];
-
     // Create main channel
     await adapter.setObjectNotExistsAsync(type, {
         type: 'channel',
@@ -163,13 +170,7 @@ async function createUtilityStateStructure(adapter, type, _config = {}) {
     });
 
     // Map internal type to config type (electricity -> strom, water -> wasser, gas -> gas)
-    const configTypeMap = {
-        electricity: 'strom',
-        water: 'wasser',
-        gas: 'gas',
-        pv: 'pv',
-    };
-    const configType = configTypeMap[type] || type;
+    const configType = utility.configType;
 
     // HT/NT consumption states - only create if HT/NT tariff is enabled
     // Note: Water typically doesn't have HT/NT, but logic remains generic if config exists
@@ -223,47 +224,52 @@ async function createUtilityStateStructure(adapter, type, _config = {}) {
         native: {},
     });
 
-    await adapter.setObjectNotExistsAsync(`${type}.costs.daily`, {
-        type: 'state',
-        common: {
-            name: `Tages-${(label.cost || 'Kosten').toLowerCase()} (€)`,
-            type: 'number',
-            role: STATE_ROLES.cost,
-            read: true,
-            write: false,
-            unit: '€',
-            def: 0,
-        },
-        native: {},
-    });
+    // PV feed-in is credited in revenue.*, the costs channel only holds the fees
+    if (type === 'pv') {
+        await createRevenueStructure(adapter, type);
+    } else {
+        await adapter.setObjectNotExistsAsync(`${type}.costs.daily`, {
+            type: 'state',
+            common: {
+                name: `Tages-${(label.cost || 'Kosten').toLowerCase()} (€)`,
+                type: 'number',
+                role: STATE_ROLES.cost,
+                read: true,
+                write: false,
+                unit: '€',
+                def: 0,
+            },
+            native: {},
+        });
 
-    await adapter.setObjectNotExistsAsync(`${type}.costs.monthly`, {
-        type: 'state',
-        common: {
-            name: `Monats-${(label.cost || 'Kosten').toLowerCase()} (€)`,
-            type: 'number',
-            role: STATE_ROLES.cost,
-            read: true,
-            write: false,
-            unit: '€',
-            def: 0,
-        },
-        native: {},
-    });
+        await adapter.setObjectNotExistsAsync(`${type}.costs.monthly`, {
+            type: 'state',
+            common: {
+                name: `Monats-${(label.cost || 'Kosten').toLowerCase()} (€)`,
+                type: 'number',
+                role: STATE_ROLES.cost,
+                read: true,
+                write: false,
+                unit: '€',
+                def: 0,
+            },
+            native: {},
+        });
 
-    await adapter.setObjectNotExistsAsync(`${type}.costs.yearly`, {
-        type: 'state',
-        common: {
-            name: `Jahres-${(label.cost || 'Kosten').toLowerCase()} (€)`,
-            type: 'number',
-            role: STATE_ROLES.cost,
-            read: true,
-            write: false,
-            unit: '€',
-            def: 0,
-        },
-        native: {},
-    });
+        await adapter.setObjectNotExistsAsync(`${type}.costs.yearly`, {
+            type: 'state',
+            common: {
+                name: `Jahres-${(label.cost || 'Kosten').toLowerCase()} (€)`,
+                type: 'number',
+                role: STATE_ROLES.cost,
+                read: true,
+                write: false,
+                unit: '€',
+                def: 0,
+            },
+            native: {},
+        });
+    }
 
     // HT/NT states - only create if HT/NT tariff is enabled
     // Note: htNtEnabledKey already calculated above for consumption section
@@ -601,15 +607,17 @@ async function createUtilityStateStructure(adapter, type, _config = {}) {
         });
     }
 
+    // Gas shows the reading converted to kWh, custom types the reading in the unit of the meter
+    const readingUnit = isGas ? label.unit : label.volumeUnit;
     await adapter.setObjectNotExistsAsync(`${type}.info.meterReading`, {
         type: 'state',
         common: {
-            name: `Zählerstand (${label.unit})`,
+            name: `Zählerstand (${readingUnit})`,
             type: 'number',
             role: STATE_ROLES.meterReading,
             read: true,
             write: false,
-            unit: label.unit,
+            unit: readingUnit,
             def: 0,
         },
         native: {},
@@ -786,21 +794,22 @@ async function createUtilityStateStructure(adapter, type, _config = {}) {
 async function createMeterStructure(adapter, type, meterName, _config = {}) {
     const isGas = type === 'gas';
 
-    const labels = {
-        gas: { name: meterName === 'main' ? 'Gas' : `Gas (${meterName})`, unit: 'kWh', volumeUnit: 'm³' },
-        water: { name: meterName === 'main' ? 'Wasser' : `Wasser (${meterName})`, unit: 'm³', volumeUnit: 'm³' },
-        electricity: { name: meterName === 'main' ? 'Strom' : `Strom (${meterName})`, unit: 'kWh', volumeUnit: 'kWh' },
-        pv: { name: meterName === 'main' ? 'PV' : `PV (${meterName})`, unit: 'kWh', volumeUnit: 'kWh' },
-    };
-
-    const label = labels[type];
-    if (!label) {
+    const utility = utilityTypes.getUtilityType(adapter.config, type);
+    if (!utility) {
         adapter.log.error(
-            `MISSING LABEL for type "${type}" in createMeterStructure! Meter: ${meterName}. Valid types: ${Object.keys(labels).join(', ')}`,
+            `MISSING LABEL for type "${type}" in createMeterStructure! Meter: ${meterName}. Valid types: ${utilityTypes
+                .getUtilityTypes(adapter.config)
+                .map(entry => entry.id)
+                .join(', ')}`,
         );
         // Fallback to prevent crash
         return;
     }
+    const label = {
+        name: meterName === 'main' ? utility.name : `${utility.name} (${meterName})`,
+        unit: utility.unit,
+        volumeUnit: utility.readingUnit,
+    };
     const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
 
     // Create main channel
@@ -908,6 +917,27 @@ async function createMeterStructure(adapter, type, meterName, _config = {}) {
         native: {},
     });
 
+    // Consumption states per tariff zone (e.g. HT/NT) - only create if the meter uses a zone tariff
+    const zones = [...new Set((_config.zones || []).map(entry => entry.zone))];
+    const periodLabels = { daily: 'Tagesverbrauch', monthly: 'Monatsverbrauch', yearly: 'Jahresverbrauch' };
+    for (const zone of zones) {
+        for (const [period, periodLabel] of Object.entries(periodLabels)) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.consumption.${period}${zone}`, {
+                type: 'state',
+                common: {
+                    name: `${periodLabel} ${calculator.getZoneLabel(zone)} (${label.unit})`,
+                    type: 'number',
+                    role: STATE_ROLES.consumption,
+                    read: true,
+                    write: false,
+                    unit: label.unit,
+                    def: 0,
+                },
+                native: {},
+            });
+        }
+    }
+
     await adapter.setObjectNotExistsAsync(`${basePath}.consumption.lastUpdate`, {
         type: 'state',
         common: {
@@ -929,47 +959,72 @@ async function createMeterStructure(adapter, type, meterName, _config = {}) {
         native: {},
     });
 
-    await adapter.setObjectNotExistsAsync(`${basePath}.costs.daily`, {
-        type: 'state',
-        common: {
-            name: 'Tageskosten (€)',
-            type: 'number',
-            role: STATE_ROLES.cost,
-            read: true,
-            write: false,
-            unit: '€',
-            def: 0,
-        },
-        native: {},
-    });
+    // PV feed-in is credited in revenue.*, the costs channel only holds the fees
+    if (type === 'pv') {
+        await createRevenueStructure(adapter, basePath);
+    } else {
+        await adapter.setObjectNotExistsAsync(`${basePath}.costs.daily`, {
+            type: 'state',
+            common: {
+                name: 'Tageskosten (€)',
+                type: 'number',
+                role: STATE_ROLES.cost,
+                read: true,
+                write: false,
+                unit: '€',
+                def: 0,
+            },
+            native: {},
+        });
 
-    await adapter.setObjectNotExistsAsync(`${basePath}.costs.monthly`, {
-        type: 'state',
-        common: {
-            name: 'Monatskosten (€)',
-            type: 'number',
-            role: STATE_ROLES.cost,
-            read: true,
-            write: false,
-            unit: '€',
-            def: 0,
-        },
-        native: {},
-    });
+        await adapter.setObjectNotExistsAsync(`${basePath}.costs.monthly`, {
+            type: 'state',
+            common: {
+                name: 'Monatskosten (€)',
+                type: 'number',
+                role: STATE_ROLES.cost,
+                read: true,
+                write: false,
+                unit: '€',
+                def: 0,
+            },
+            native: {},
+        });
 
-    await adapter.setObjectNotExistsAsync(`${basePath}.costs.yearly`, {
-        type: 'state',
-        common: {
-            name: 'Jahreskosten (€)',
-            type: 'number',
-            role: STATE_ROLES.cost,
-            read: true,
-            write: false,
-            unit: '€',
-            def: 0,
-        },
-        native: {},
-    });
+        await adapter.setObjectNotExistsAsync(`${basePath}.costs.yearly`, {
+            type: 'state',
+            common: {
+                name: 'Jahreskosten (€)',
+                type: 'number',
+                role: STATE_ROLES.cost,
+                read: true,
+                write: false,
+                unit: '€',
+                def: 0,
+            },
+            native: {},
+        });
+    }
+
+    // Cost states per tariff zone (e.g. HT/NT)
+    const costLabels = { daily: 'Tageskosten', monthly: 'Monatskosten', yearly: 'Jahreskosten' };
+    for (const zone of zones) {
+        for (const [period, periodLabel] of Object.entries(costLabels)) {
+            await adapter.setObjectNotExistsAsync(`${basePath}.costs.${period}${zone}`, {
+                type: 'state',
+                common: {
+                    name: `${periodLabel} ${calculator.getZoneLabel(zone)} (€)`,
+                    type: 'number',
+                    role: STATE_ROLES.cost,
+                    read: true,
+                    write: false,
+                    unit: '€',
+                    def: 0,
+                },
+                native: {},
+            });
+        }
+    }
 
     await adapter.setObjectNotExistsAsync(`${basePath}.costs.totalYearly`, {
         type: 'state',
@@ -1219,15 +1274,17 @@ async function createMeterStructure(adapter, type, meterName, _config = {}) {
         });
     }
 
+    // Gas shows the reading converted to kWh, custom types the reading in the unit of the meter
+    const readingUnit = isGas ? label.unit : label.volumeUnit;
     await adapter.setObjectNotExistsAsync(`${basePath}.info.meterReading`, {
         type: 'state',
         common: {
-            name: `Zählerstand (${label.unit})`,
+            name: `Zählerstand (${readingUnit})`,
             type: 'number',
             role: STATE_ROLES.meterReading,
             read: true,
             write: false,
-            unit: label.unit,
+            unit: readingUnit,
             def: 0,
         },
         native: {},
@@ -1388,102 +1445,784 @@ async function createMeterStructure(adapter, type, meterName, _config = {}) {
         native: {},
     });
 
+    if (_config.exportSensorDP) {
+        await createExportStructure(adapter, basePath);
+    }
+
+    if (type === 'water') {
+        await createWastewaterStructure(adapter, basePath);
+    }
+
+    if (type !== 'pv') {
+        await createForecastStructure(adapter, basePath, label.unit, true);
+    }
+
     adapter.log.debug(`Meter state structure created for ${type}.${meterName}`);
 }
 
 /**
- * Deletes all states for a utility type
+ * Creates the revenue states of a meter with feed-in (credited with the feed-in tariff)
  *
  * @param {object} adapter - The adapter instance
- * @param {string} type - Utility type: 'gas', 'water', or 'electricity'
+ * @param {string} basePath - State path of the meter (e.g. 'pv', 'pv.carport' or 'pv.totals')
+ * @param {boolean} includeNet - Create revenue.netYearly (revenue minus the fees of a PV meter)
  * @returns {Promise<void>}
  */
-async function deleteUtilityStateStructure(adapter, type) {
-    try {
-        await adapter.delObjectAsync(type, { recursive: true });
-        adapter.log.debug(`State structure deleted for ${type}`);
-    } catch (error) {
-        adapter.log.warn(`Could not delete state structure for ${type}: ${error.message}`);
+async function createRevenueStructure(adapter, basePath, includeNet = true) {
+    await adapter.setObjectNotExistsAsync(`${basePath}.revenue`, {
+        type: 'channel',
+        common: {
+            name: 'Vergütung',
+        },
+        native: {},
+    });
+
+    const revenueLabels = {
+        daily: 'Tagesvergütung (€)',
+        monthly: 'Monatsvergütung (€)',
+        yearly: 'Jahresvergütung (€)',
+    };
+    if (includeNet) {
+        revenueLabels.netYearly = 'Jahresvergütung abzüglich Gebühren (€)';
+    }
+    for (const [id, name] of Object.entries(revenueLabels)) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.revenue.${id}`, {
+            type: 'state',
+            common: {
+                name,
+                type: 'number',
+                role: STATE_ROLES.cost,
+                read: true,
+                write: false,
+                unit: '€',
+                def: 0,
+            },
+            native: {},
+        });
     }
 }
 
 /**
- * Creates the totals state structure for a utility type
- * Totals show the sum of all meters (main + additional)
+ * Creates the export states of a bidirectional electricity meter (OBIS 2.8.0 next to 1.8.0)
  *
  * @param {object} adapter - The adapter instance
- * @param {string} type - Utility type: 'gas', 'water', or 'electricity'
+ * @param {string} basePath - State path of the meter (e.g. 'electricity' or 'electricity.wallbox')
  * @returns {Promise<void>}
  */
-async function createTotalsStructure(adapter, type) {
-    const labels = {
-        gas: { name: 'Gas (Gesamt)', unit: 'kWh' },
-        water: { name: 'Wasser (Gesamt)', unit: 'm³' },
-        electricity: { name: 'Strom (Gesamt)', unit: 'kWh' },
-        pv: { name: 'PV (Gesamt)', unit: 'kWh' },
-    };
-
-    const label = labels[type];
-    if (!label) {
-        adapter.log.error(
-            `MISSING LABEL for type "${type}" in createTotalsStructure! Valid types: ${Object.keys(labels).join(', ')}`,
-        );
-        return;
-    }
-    const basePath = `${type}.totals`;
-
-    // Create main channel
-    await adapter.setObjectNotExistsAsync(basePath, {
+async function createExportStructure(adapter, basePath) {
+    await adapter.setObjectNotExistsAsync(`${basePath}.export`, {
         type: 'channel',
         common: {
-            name: `${label.name} - Summe aller Zähler`,
+            name: 'Einspeisung',
         },
         native: {},
     });
 
-    // CONSUMPTION STATES (totals)
-    await adapter.setObjectNotExistsAsync(`${basePath}.consumption`, {
-        type: 'channel',
-        common: {
-            name: 'Gesamtverbrauch',
-        },
-        native: {},
-    });
+    const exportLabels = {
+        daily: 'Tageseinspeisung (kWh)',
+        monthly: 'Monatseinspeisung (kWh)',
+        yearly: 'Jahreseinspeisung (kWh)',
+    };
+    for (const [id, name] of Object.entries(exportLabels)) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.export.${id}`, {
+            type: 'state',
+            common: {
+                name,
+                type: 'number',
+                role: STATE_ROLES.consumption,
+                read: true,
+                write: false,
+                unit: 'kWh',
+                def: 0,
+            },
+            native: {},
+        });
+    }
 
-    await adapter.setObjectNotExistsAsync(`${basePath}.consumption.daily`, {
+    await adapter.setObjectNotExistsAsync(`${basePath}.export.meterReading`, {
         type: 'state',
         common: {
-            name: `Tagesverbrauch Gesamt (${label.unit})`,
+            name: 'Zählerstand Einspeisung (kWh)',
             type: 'number',
-            role: STATE_ROLES.consumption,
+            role: STATE_ROLES.meterReading,
             read: true,
             write: false,
-            unit: label.unit,
+            unit: 'kWh',
             def: 0,
         },
         native: {},
     });
 
-    await adapter.setObjectNotExistsAsync(`${basePath}.consumption.monthly`, {
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.netReading`, {
         type: 'state',
         common: {
-            name: `Monatsverbrauch Gesamt (${label.unit})`,
+            name: 'Saldierter Zählerstand (Bezug - Einspeisung) (kWh)',
             type: 'number',
-            role: STATE_ROLES.consumption,
+            role: STATE_ROLES.meterReading,
             read: true,
             write: false,
-            unit: label.unit,
+            unit: 'kWh',
             def: 0,
         },
         native: {},
     });
 
-    await adapter.setObjectNotExistsAsync(`${basePath}.consumption.yearly`, {
-        type: 'state',
-        common: {
-            name: `Jahresverbrauch Gesamt (${label.unit})`,
-            type: 'number',
-            role: STATE_ROLES.consumption,
+    await createRevenueStructure(adapter, basePath, false);
+}
+
+/**
+ * Creates the wastewater states of a water meter (Schmutzwasser, billed per m³ on top of the fresh water)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} basePath - State path of the meter (e.g. 'water', 'water.garten' or 'water.totals')
+ * @returns {Promise<void>}
+ */
+async function createWastewaterStructure(adapter, basePath) {
+    await adapter.setObjectNotExistsAsync(`${basePath}.consumption.wastewaterYearly`, {
+        type: 'state',
+        common: {
+            name: 'Abwassermenge Jahr (ohne Gartenwasser) (m³)',
+            type: 'number',
+            role: STATE_ROLES.consumption,
+            read: true,
+            write: false,
+            unit: 'm³',
+            def: 0,
+        },
+        native: {},
+    });
+
+    const costLabels = {
+        wastewaterDaily: 'Abwasserkosten Tag (€)',
+        wastewaterMonthly: 'Abwasserkosten Monat (€)',
+        wastewaterYearly: 'Abwasserkosten Jahr (€)',
+    };
+    for (const [id, name] of Object.entries(costLabels)) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.costs.${id}`, {
+            type: 'state',
+            common: {
+                name,
+                type: 'number',
+                role: STATE_ROLES.cost,
+                read: true,
+                write: false,
+                unit: '€',
+                def: 0,
+            },
+            native: {},
+        });
+    }
+}
+
+/**
+ * Creates the PV production, self-consumption and autarky states (pv.production.*, pv.selfConsumption.*)
+ *
+ * @param {object} adapter - The adapter instance
+ * @returns {Promise<void>}
+ */
+async function createPvBalanceStructure(adapter) {
+    const periodLabels = { daily: 'Tages', monthly: 'Monats', yearly: 'Jahres' };
+    const periodNames = { daily: 'Tag', monthly: 'Monat', yearly: 'Jahr' };
+
+    await adapter.setObjectNotExistsAsync('pv.production', {
+        type: 'channel',
+        common: {
+            name: 'Erzeugung',
+        },
+        native: {},
+    });
+
+    await adapter.setObjectNotExistsAsync('pv.production.meterReading', {
+        type: 'state',
+        common: {
+            name: 'Zählerstand Erzeugung (kWh)',
+            type: 'number',
+            role: STATE_ROLES.meterReading,
+            read: true,
+            write: false,
+            unit: 'kWh',
+            def: 0,
+        },
+        native: {},
+    });
+
+    for (const [period, prefix] of Object.entries(periodLabels)) {
+        await adapter.setObjectNotExistsAsync(`pv.production.${period}`, {
+            type: 'state',
+            common: {
+                name: `${prefix}erzeugung (kWh)`,
+                type: 'number',
+                role: STATE_ROLES.consumption,
+                read: true,
+                write: false,
+                unit: 'kWh',
+                def: 0,
+            },
+            native: {},
+        });
+    }
+
+    await adapter.setObjectNotExistsAsync('pv.selfConsumption', {
+        type: 'channel',
+        common: {
+            name: 'Eigenverbrauch',
+        },
+        native: {},
+    });
+
+    for (const [period, prefix] of Object.entries(periodLabels)) {
+        const suffix = period.charAt(0).toUpperCase() + period.slice(1);
+
+        await adapter.setObjectNotExistsAsync(`pv.selfConsumption.${period}`, {
+            type: 'state',
+            common: {
+                name: `${prefix}eigenverbrauch (kWh)`,
+                type: 'number',
+                role: STATE_ROLES.consumption,
+                read: true,
+                write: false,
+                unit: 'kWh',
+                def: 0,
+            },
+            native: {},
+        });
+
+        await adapter.setObjectNotExistsAsync(`pv.selfConsumption.rate${suffix}`, {
+            type: 'state',
+            common: {
+                name: `Eigenverbrauchsquote ${periodNames[period]} (%)`,
+                type: 'number',
+                role: STATE_ROLES.value,
+                read: true,
+                write: false,
+                unit: '%',
+                def: 0,
+            },
+            native: {},
+        });
+
+        await adapter.setObjectNotExistsAsync(`pv.selfConsumption.autarky${suffix}`, {
+            type: 'state',
+            common: {
+                name: `Autarkiegrad ${periodNames[period]} (%)`,
+                type: 'number',
+                role: STATE_ROLES.value,
+                read: true,
+                write: false,
+                unit: '%',
+                def: 0,
+            },
+            native: {},
+        });
+    }
+}
+
+/**
+ * Creates the combined electricity balance states (electricity.net.*: grid costs minus PV revenue)
+ *
+ * @param {object} adapter - The adapter instance
+ * @returns {Promise<void>}
+ */
+async function createNetStructure(adapter) {
+    await adapter.setObjectNotExistsAsync('electricity.net', {
+        type: 'channel',
+        common: {
+            name: 'Netto-Bilanz (Netzbezug - Einspeisevergütung)',
+        },
+        native: {},
+    });
+
+    const netLabels = {
+        daily: 'Netto-Stromkosten Tag (€)',
+        monthly: 'Netto-Stromkosten Monat (€)',
+        yearly: 'Netto-Stromkosten Jahr (€)',
+    };
+    for (const [period, name] of Object.entries(netLabels)) {
+        await adapter.setObjectNotExistsAsync(`electricity.net.${period}`, {
+            type: 'state',
+            common: {
+                name,
+                type: 'number',
+                role: STATE_ROLES.cost,
+                read: true,
+                write: false,
+                unit: '€',
+                def: 0,
+            },
+            native: {},
+        });
+    }
+}
+
+/**
+ * Creates the weather normalization states of gas (heating degree days from the outdoor temperature)
+ *
+ * @param {object} adapter - The adapter instance
+ * @returns {Promise<void>}
+ */
+async function createWeatherStructure(adapter) {
+    await adapter.setObjectNotExistsAsync('gas.weather', {
+        type: 'channel',
+        common: {
+            name: 'Witterungsbereinigung (Gradtagzahl)',
+        },
+        native: {},
+    });
+
+    const weatherStates = {
+        temperature: { name: 'Außentemperatur (°C)', role: 'value.temperature', unit: '°C' },
+        averageToday: { name: 'Tagesmitteltemperatur heute (°C)', role: 'value.temperature', unit: '°C' },
+        samplesToday: { name: 'Anzahl Temperaturwerte heute', role: STATE_ROLES.value },
+        degreeDaysDaily: { name: 'Gradtagzahl heute (vorläufig)', role: STATE_ROLES.value, unit: 'Kd' },
+        degreeDaysMonthly: { name: 'Gradtagzahl Monat', role: STATE_ROLES.value, unit: 'Kd' },
+        degreeDaysYearly: { name: 'Gradtagzahl Abrechnungsjahr', role: STATE_ROLES.value, unit: 'Kd' },
+        consumptionPerDegreeDay: { name: 'Verbrauch pro Gradtag (kWh/Kd)', role: STATE_ROLES.value, unit: 'kWh/Kd' },
+        normalizedYearly: {
+            name: 'Witterungsbereinigter Jahresverbrauch (kWh)',
+            role: STATE_ROLES.consumption,
+            unit: 'kWh',
+        },
+    };
+    for (const [id, common] of Object.entries(weatherStates)) {
+        await adapter.setObjectNotExistsAsync(`gas.weather.${id}`, {
+            type: 'state',
+            common: {
+                ...common,
+                type: 'number',
+                read: true,
+                write: false,
+                def: 0,
+            },
+            native: {},
+        });
+    }
+}
+
+/**
+ * Creates the meter exchange states of a meter (Zählerwechsel)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} basePath - State path of the meter
+ * @param {string} readingUnit - Unit of the meter reading
+ * @returns {Promise<void>}
+ */
+async function createExchangeStructure(adapter, basePath, readingUnit) {
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.exchange`, {
+        type: 'state',
+        common: {
+            name: 'Zählerwechsel eintragen (JSON: {"oldReading": Endstand alt, "newReading": Anfangsstand neu, "date": "TT.MM.JJJJ"})',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: true,
+            def: '',
+        },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.exchanges`, {
+        type: 'state',
+        common: {
+            name: 'Zählerwechsel (JSON)',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: false,
+            def: '[]',
+        },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.exchangeCorrection`, {
+        type: 'state',
+        common: {
+            name: `Korrektur durch Zählerwechsel (${readingUnit}, wird zum Zählerstand addiert)`,
+            type: 'number',
+            role: STATE_ROLES.meterReading,
+            read: true,
+            write: false,
+            unit: readingUnit,
+            def: 0,
+        },
+        native: {},
+    });
+}
+
+/**
+ * Creates the plausibility filter states of a meter
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} basePath - State path of the meter
+ * @returns {Promise<void>}
+ */
+async function createPlausibilityStructure(adapter, basePath) {
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.rejectedValues`, {
+        type: 'state',
+        common: {
+            name: 'Verworfene unplausible Sensorwerte (Anzahl)',
+            type: 'number',
+            role: STATE_ROLES.value,
+            read: true,
+            write: false,
+            def: 0,
+        },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.rejectedLog`, {
+        type: 'state',
+        common: {
+            name: 'Verworfene unplausible Sensorwerte (JSON)',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: false,
+            def: '[]',
+        },
+        native: {},
+    });
+}
+
+/**
+ * Creates the watchdog states of a meter with sensor timeout
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} basePath - State path of the meter
+ * @returns {Promise<void>}
+ */
+async function createWatchdogStructure(adapter, basePath) {
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.stale`, {
+        type: 'state',
+        common: {
+            name: 'Sensor liefert keine Daten (Timeout überschritten)',
+            type: 'boolean',
+            role: 'indicator.maintenance',
+            read: true,
+            write: false,
+            def: false,
+        },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.gaps`, {
+        type: 'state',
+        common: {
+            name: 'Sensor-Ausfälle mit Verbrauch während des Ausfalls (JSON)',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: false,
+            def: '[]',
+        },
+        native: {},
+    });
+}
+
+/**
+ * Creates the leak alarm states of the main water meter
+ *
+ * @param {object} adapter - The adapter instance
+ * @returns {Promise<void>}
+ */
+async function createLeakAlarmStructure(adapter) {
+    await adapter.setObjectNotExistsAsync('water.alarm', {
+        type: 'channel',
+        common: {
+            name: 'Leck-Erkennung',
+        },
+        native: {},
+    });
+
+    const alarmStates = {
+        leak: { name: 'Leck-Alarm (Dauer- oder Starkverbrauch)', type: 'boolean', role: 'indicator.alarm', def: false },
+        continuousFlow: {
+            name: 'Dauerverbrauch: keine Verbrauchspause im Zeitfenster',
+            type: 'boolean',
+            role: 'indicator.alarm',
+            def: false,
+        },
+        highFlow: {
+            name: 'Starkverbrauch: Verbrauch der letzten Stunde über der Grenze',
+            type: 'boolean',
+            role: 'indicator.alarm',
+            def: false,
+        },
+        reason: { name: 'Grund des Alarms', type: 'string', role: 'text', def: '' },
+        hourlyFlow: {
+            name: 'Verbrauch der letzten Stunde (m³)',
+            type: 'number',
+            role: STATE_ROLES.consumption,
+            unit: 'm³',
+            def: 0,
+        },
+        lastIdle: { name: 'Letzte Verbrauchspause', type: 'number', role: 'date', def: 0 },
+    };
+    for (const [id, common] of Object.entries(alarmStates)) {
+        await adapter.setObjectNotExistsAsync(`water.alarm.${id}`, {
+            type: 'state',
+            common: {
+                ...common,
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+    }
+}
+
+/**
+ * Creates the manual reading states of a meter without sensor
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} basePath - State path of the meter
+ * @param {string} readingUnit - Unit of the meter reading
+ * @returns {Promise<void>}
+ */
+async function createManualReadingStructure(adapter, basePath, readingUnit) {
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.manualReading`, {
+        type: 'state',
+        common: {
+            name: `Manuelle Ablesung eintragen (${readingUnit})`,
+            type: 'number',
+            role: 'level',
+            read: true,
+            write: true,
+            unit: readingUnit,
+            def: 0,
+        },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`${basePath}.info.manualReadings`, {
+        type: 'state',
+        common: {
+            name: 'Manuelle Ablesungen (JSON mit Zeitstempel)',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: false,
+            def: '[]',
+        },
+        native: {},
+    });
+}
+
+/**
+ * Creates the stock states of a stock-based utility type (heating oil, pellets)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} type - Utility type
+ * @param {string} unit - Billing unit of the deliveries (e.g. kg)
+ * @param {string} readingUnit - Unit of the level (e.g. L)
+ * @returns {Promise<void>}
+ */
+async function createStockStructure(adapter, type, unit, readingUnit) {
+    await adapter.setObjectNotExistsAsync(`${type}.stock`, {
+        type: 'channel',
+        common: {
+            name: 'Vorrat und Lieferungen',
+        },
+        native: {},
+    });
+
+    const stockStates = {
+        level: { name: `Füllstand (${readingUnit})`, role: 'level', unit: readingUnit, write: true },
+        consumedTotal: {
+            name: `Verbrauch gesamt aus Füllstandsabnahme (${readingUnit})`,
+            role: STATE_ROLES.meterReading,
+            unit: readingUnit,
+        },
+        value: { name: 'Wert des Vorrats (€)', role: STATE_ROLES.cost, unit: '€' },
+        averagePrice: {
+            name: `Durchschnittspreis des Vorrats (€/${unit})`,
+            role: STATE_ROLES.price,
+            unit: `€/${unit}`,
+        },
+        currentPrice: {
+            name: `Aktueller Preis nach FIFO (€/${unit})`,
+            role: STATE_ROLES.price,
+            unit: `€/${unit}`,
+        },
+        daysUntilEmpty: { name: 'Voraussichtlich leer in (Tagen, -1 = unbekannt)', role: STATE_ROLES.value, unit: 'd' },
+    };
+    for (const [id, common] of Object.entries(stockStates)) {
+        await adapter.setObjectNotExistsAsync(`${type}.stock.${id}`, {
+            type: 'state',
+            common: {
+                write: false,
+                ...common,
+                type: 'number',
+                read: true,
+                def: 0,
+            },
+            native: {},
+        });
+    }
+
+    await adapter.setObjectNotExistsAsync(`${type}.stock.deliveries`, {
+        type: 'state',
+        common: {
+            name: 'Lieferungen mit Restmenge (JSON, älteste zuerst)',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: false,
+            def: '[]',
+        },
+        native: {},
+    });
+    await adapter.setObjectNotExistsAsync(`${type}.stock.delivery`, {
+        type: 'state',
+        common: {
+            name: 'Lieferung buchen (JSON: {"amount": Menge, "price": Gesamtpreis, "date": "TT.MM.JJJJ"})',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: true,
+            def: '',
+        },
+        native: {},
+    });
+}
+
+/**
+ * Creates the forecast states (projection to the end of the billing period)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} basePath - State path of the meter or totals
+ * @param {string} unit - Consumption unit
+ * @param {boolean} includeMethod - Create forecast.method (basis of the projection, only per meter)
+ * @returns {Promise<void>}
+ */
+async function createForecastStructure(adapter, basePath, unit, includeMethod) {
+    await adapter.setObjectNotExistsAsync(`${basePath}.forecast`, {
+        type: 'channel',
+        common: {
+            name: 'Hochrechnung zum Ende des Abrechnungszeitraums',
+        },
+        native: {},
+    });
+
+    const forecastStates = {
+        consumption: { name: `Hochgerechneter Jahresverbrauch (${unit})`, role: STATE_ROLES.consumption, unit },
+        totalYearly: { name: 'Hochgerechnete Jahreskosten (€)', role: STATE_ROLES.cost, unit: '€' },
+        balance: {
+            name: 'Hochgerechnete Bilanz: Guthaben (+) / Nachzahlung (-) (€)',
+            role: STATE_ROLES.cost,
+            unit: '€',
+        },
+        abschlag: { name: 'Empfohlener monatlicher Abschlag (€)', role: STATE_ROLES.cost, unit: '€' },
+    };
+    for (const [id, common] of Object.entries(forecastStates)) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.forecast.${id}`, {
+            type: 'state',
+            common: {
+                ...common,
+                type: 'number',
+                read: true,
+                write: false,
+                def: 0,
+            },
+            native: {},
+        });
+    }
+
+    if (includeMethod) {
+        await adapter.setObjectNotExistsAsync(`${basePath}.forecast.method`, {
+            type: 'state',
+            common: {
+                name: 'Grundlage der Hochrechnung (history = Verlauf der letzten 12 Monate, profile = Saisonprofil)',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+                def: 'profile',
+            },
+            native: {},
+        });
+    }
+}
+
+/**
+ * Deletes all states for a utility type
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} type - Utility type: 'gas', 'water', or 'electricity'
+ * @returns {Promise<void>}
+ */
+async function deleteUtilityStateStructure(adapter, type) {
+    try {
+        await adapter.delObjectAsync(type, { recursive: true });
+        adapter.log.debug(`State structure deleted for ${type}`);
+    } catch (error) {
+        adapter.log.warn(`Could not delete state structure for ${type}: ${error.message}`);
+    }
+}
+
+/**
+ * Creates the totals state structure for a utility type
+ * Totals show the sum of all meters (main + additional)
+ *
+ * @param {object} adapter - The adapter instance
+ * @param {string} type - Utility type: 'gas', 'water', or 'electricity'
+ * @returns {Promise<void>}
+ */
+async function createTotalsStructure(adapter, type) {
+    const utility = utilityTypes.getUtilityType(adapter.config, type);
+    if (!utility) {
+        adapter.log.error(`MISSING LABEL for type "${type}" in createTotalsStructure!`);
+        return;
+    }
+    const label = { name: `${utility.name} (Gesamt)`, unit: utility.unit };
+    const basePath = `${type}.totals`;
+
+    // Create main channel
+    await adapter.setObjectNotExistsAsync(basePath, {
+        type: 'channel',
+        common: {
+            name: `${label.name} - Summe aller Zähler`,
+        },
+        native: {},
+    });
+
+    // CONSUMPTION STATES (totals)
+    await adapter.setObjectNotExistsAsync(`${basePath}.consumption`, {
+        type: 'channel',
+        common: {
+            name: 'Gesamtverbrauch',
+        },
+        native: {},
+    });
+
+    await adapter.setObjectNotExistsAsync(`${basePath}.consumption.daily`, {
+        type: 'state',
+        common: {
+            name: `Tagesverbrauch Gesamt (${label.unit})`,
+            type: 'number',
+            role: STATE_ROLES.consumption,
+            read: true,
+            write: false,
+            unit: label.unit,
+            def: 0,
+        },
+        native: {},
+    });
+
+    await adapter.setObjectNotExistsAsync(`${basePath}.consumption.monthly`, {
+        type: 'state',
+        common: {
+            name: `Monatsverbrauch Gesamt (${label.unit})`,
+            type: 'number',
+            role: STATE_ROLES.consumption,
+            read: true,
+            write: false,
+            unit: label.unit,
+            def: 0,
+        },
+        native: {},
+    });
+
+    await adapter.setObjectNotExistsAsync(`${basePath}.consumption.yearly`, {
+        type: 'state',
+        common: {
+            name: `Jahresverbrauch Gesamt (${label.unit})`,
+            type: 'number',
+            role: STATE_ROLES.consumption,
             read: true,
             write: false,
             unit: label.unit,
@@ -1543,6 +2282,16 @@ async function createTotalsStructure(adapter, type) {
         native: {},
     });
 
+    if (type === 'water') {
+        await createWastewaterStructure(adapter, basePath);
+    }
+
+    if (type === 'pv') {
+        await createRevenueStructure(adapter, basePath);
+    } else {
+        await createForecastStructure(adapter, basePath, label.unit, false);
+    }
+
     adapter.log.debug(`Totals state structure created for ${type}`);
 }
 
@@ -1550,6 +2299,19 @@ module.exports = {
     createUtilityStateStructure,
     createMeterStructure,
     createTotalsStructure,
+    createRevenueStructure,
+    createExportStructure,
+    createWastewaterStructure,
+    createPvBalanceStructure,
+    createNetStructure,
+    createForecastStructure,
+    createWeatherStructure,
+    createStockStructure,
+    createManualReadingStructure,
+    createExchangeStructure,
+    createPlausibilityStructure,
+    createWatchdogStructure,
+    createLeakAlarmStructure,
     deleteUtilityStateStructure,
     safeSetObjectNotExists,
     STATE_ROLES,
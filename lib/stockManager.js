@@ -0,0 +1,351 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+const utilityTypes = require('./utilityTypes');
+const { parseConfigNumber } = require('./configParser');
+
+/** Level increases below this share of the current level are treated as sensor noise, not as a refill */
+const REFILL_SHARE = 0.05;
+
+/** Number of used-up deliveries kept in stock.deliveries */
+const DELIVERY_HISTORY = 20;
+
+/**
+ * StockManager handles stock-based utility types (heating oil, pellets) without a cumulative meter.
+ * Decreases of the level (sensor or manual entry) are added to the virtual meter reading stock.consumedTotal,
+ * which is processed like any meter reading. Deliveries are booked with their price and consumed FIFO.
+ */
+class StockManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.levelDPs = {}; // Maps level sensor → type
+        this.levels = {}; // Last applied level per type (stock.level is also written by the user)
+    }
+
+    /**
+     * Gets the active stock-based utility types
+     *
+     * @returns {Array<object>} - Utility types with mode 'stock'
+     */
+    getStockTypes() {
+        return utilityTypes
+            .getCustomUtilityTypes(this.adapter.config)
+            .filter(utility => utility.mode === 'stock' && this.adapter.config[`${utility.configType}Aktiv`]);
+    }
+
+    /**
+     * Checks if a utility type is stock-based
+     *
+     * @param {string} type - Utility type
+     * @returns {boolean} - True for stock-based utility types
+     */
+    isStockType(type) {
+        return this.getStockTypes().some(utility => utility.id === type);
+    }
+
+    /**
+     * Creates the stock states, subscribes the level sensors and books the consumption since the last start.
+     * Must run before the meters are initialized, so the virtual meter reading already includes it.
+     */
+    async initialize() {
+        for (const utility of this.getStockTypes()) {
+            await stateManager.createStockStructure(this.adapter, utility.id, utility.unit, utility.readingUnit);
+            this.adapter.subscribeStates(`${utility.id}.stock.delivery`);
+            this.adapter.subscribeStates(`${utility.id}.stock.level`);
+
+            const lastLevel = await this.adapter.getStateAsync(`${utility.id}.stock.level`);
+            if (typeof lastLevel?.val === 'number') {
+                this.levels[utility.id] = lastLevel.val;
+            }
+
+            const levelDP = this.adapter.config[`${utility.configType}LevelDP`];
+            if (levelDP) {
+                this.levelDPs[levelDP] = utility.id;
+                this.adapter.subscribeForeignStates(levelDP);
+                this.adapter.log.info(`${utility.name}: Using level sensor ${levelDP}`);
+
+                const levelState = await this.adapter.getForeignStateAsync(levelDP);
+                if (levelState && levelState.val !== null && levelState.val !== undefined) {
+                    await this.handleLevelUpdate(utility.id, levelState.val, true);
+                }
+            }
+
+            await this.updateValues(utility.id);
+        }
+    }
+
+    /**
+     * Gets the utility type of a level sensor
+     *
+     * @param {string} id - State ID
+     * @returns {string|null} - Utility type or null if the state is no level sensor
+     */
+    findTypeByLevelDP(id) {
+        return this.levelDPs[id] || null;
+    }
+
+    /**
+     * Handles a new level (from the level sensor or entered manually in stock.level).
+     * Decreases are consumption, increases a refill - small increases of a sensor are ignored as noise.
+     *
+     * @param {string} type - Utility type
+     * @param {any} value - New level in the reading unit
+     * @param {boolean} fromSensor - True if the value comes from the level sensor
+     */
+    async handleLevelUpdate(type, value, fromSensor) {
+        const level = parseConfigNumber(value, NaN);
+        if (isNaN(level) || level < 0) {
+            this.adapter.log.warn(`${type}: Invalid level: ${value}`);
+            return;
+        }
+
+        const lastLevel = this.levels[type] ?? null;
+
+        if (lastLevel !== null && level < lastLevel) {
+            const consumedState = await this.adapter.getStateAsync(`${type}.stock.consumedTotal`);
+            const consumedTotal = (consumedState?.val || 0) + (lastLevel - level);
+            await this.setLevel(type, level);
+            // Processed like a meter reading by the subscription of the meter (see applyCustomUtilityConfig)
+            await this.adapter.setStateAsync(
+                `${type}.stock.consumedTotal`,
+                calculator.roundToDecimals(consumedTotal, 3),
+                true,
+            );
+        } else if (lastLevel === null || !fromSensor || level - lastLevel >= lastLevel * REFILL_SHARE) {
+            await this.setLevel(type, level);
+        } else {
+            this.adapter.log.debug(`${type}: Ignoring level increase ${lastLevel} -> ${level} (sensor noise)`);
+            return;
+        }
+
+        await this.updateValues(type);
+    }
+
+    /**
+     * Writes the level and remembers it as last applied level
+     *
+     * @param {string} type - Utility type
+     * @param {number} level - Level in the reading unit
+     */
+    async setLevel(type, level) {
+        this.levels[type] = level;
+        await this.adapter.setStateAsync(`${type}.stock.level`, level, true);
+    }
+
+    /**
+     * Handles a delivery written to stock.delivery as JSON ({"amount": 1500, "price": 1450.50, "date": "15.10.2025"})
+     *
+     * @param {string} type - Utility type
+     * @param {any} value - State value
+     */
+    async handleDeliveryState(type, value) {
+        let delivery;
+        try {
+            delivery = JSON.parse(String(value));
+        } catch {
+            this.adapter.log.warn(`${type}.stock.delivery: Invalid JSON: ${value}`);
+            return;
+        }
+
+        const result = await this.bookDelivery(type, delivery);
+        if (result.error) {
+            this.adapter.log.warn(`${type}.stock.delivery: ${result.error}`);
+        }
+        await this.adapter.setStateAsync(`${type}.stock.delivery`, '', true);
+    }
+
+    /**
+     * Books a delivery: adds it to the FIFO stock and (without level sensor) to the level
+     *
+     * @param {string} type - Utility type
+     * @param {{amount: any, price: any, date?: string}} delivery - Amount in the billing unit, total price in € and date (TT.MM.JJJJ, default today)
+     * @returns {Promise<{result?: string, error?: string}>} - Result message or error
+     */
+    async bookDelivery(type, delivery) {
+        const utility = this.getStockTypes().find(entry => entry.id === type);
+        if (!utility) {
+            return { error: `${type} ist keine aktive Vorrats-Sparte` };
+        }
+
+        const amount = parseConfigNumber(delivery?.amount, 0);
+        const totalPrice = parseConfigNumber(delivery?.price, -1);
+        if (amount <= 0 || totalPrice < 0) {
+            return { error: 'Menge und Gesamtpreis müssen angegeben werden' };
+        }
+        const date = delivery.date ? calculator.parseGermanDate(delivery.date) : new Date();
+        if (!date || isNaN(date.getTime())) {
+            return { error: `Ungültiges Lieferdatum: ${delivery.date}` };
+        }
+
+        const deliveries = await this.getDeliveries(type);
+        deliveries.push({
+            date: String(calculator.formatDateString(date)),
+            amount,
+            totalPrice,
+            price: calculator.roundToDecimals(totalPrice / amount, 4),
+            remaining: amount,
+        });
+        // FIFO: oldest delivery first
+        deliveries.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+        await this.saveDeliveries(type, deliveries);
+
+        // Without level sensor the level only changes by deliveries and manual entries
+        if (!this.adapter.config[`${utility.configType}LevelDP`]) {
+            await this.setLevel(
+                type,
+                calculator.roundToDecimals((this.levels[type] || 0) + amount / utility.factor, 3),
+            );
+        }
+
+        this.adapter.log.info(`${utility.name}: Booked delivery of ${amount} ${utility.unit} for ${totalPrice} €`);
+        await this.updateValues(type);
+        return { result: `Lieferung gebucht: ${amount} ${utility.unit} für ${totalPrice} €` };
+    }
+
+    /**
+     * Takes consumption from the stock (FIFO) and returns its cost.
+     * Consumption exceeding the booked deliveries is priced with the fallback price.
+     *
+     * @param {string} type - Utility type
+     * @param {number} amount - Consumption in the billing unit
+     * @param {number} fallbackPrice - Price per unit without booked stock
+     * @returns {Promise<number|null>} - Cost in € or null if the type is not stock-based
+     */
+    async consumeStock(type, amount, fallbackPrice) {
+        if (!this.isStockType(type)) {
+            return null;
+        }
+
+        const deliveries = await this.getDeliveries(type);
+        let open = amount;
+        let cost = 0;
+        for (const delivery of deliveries) {
+            if (open <= 0) {
+                break;
+            }
+            const taken = Math.min(open, delivery.remaining);
+            delivery.remaining = calculator.roundToDecimals(delivery.remaining - taken, 3);
+            cost += taken * delivery.price;
+            open -= taken;
+        }
+        if (open > 0) {
+            this.adapter.log.debug(`${type}: ${open} without booked delivery, using price ${fallbackPrice}`);
+            cost += open * fallbackPrice;
+        }
+
+        await this.saveDeliveries(type, deliveries);
+        await this.updateValues(type);
+        return cost;
+    }
+
+    /**
+     * Updates the estimated days until empty after the daily reset (new day in history.days)
+     *
+     * @param {string} type - Utility type whose counters were reset
+     * @param {string} period - 'daily', 'monthly' or 'yearly'
+     */
+    async handlePeriodReset(type, period) {
+        if (period === 'daily' && this.isStockType(type)) {
+            await this.updateValues(type);
+        }
+    }
+
+    /**
+     * Updates value, average price, FIFO price and the estimated days until empty of the stock
+     *
+     * @param {string} type - Utility type
+     */
+    async updateValues(type) {
+        const utility = this.getStockTypes().find(entry => entry.id === type);
+        if (!utility) {
+            return;
+        }
+
+        const open = (await this.getDeliveries(type)).filter(delivery => delivery.remaining > 0);
+        const stockAmount = open.reduce((sum, delivery) => sum + delivery.remaining, 0);
+        const stockValue = open.reduce((sum, delivery) => sum + delivery.remaining * delivery.price, 0);
+
+        await this.adapter.setStateAsync(`${type}.stock.value`, calculator.roundToDecimals(stockValue, 2), true);
+        await this.adapter.setStateAsync(
+            `${type}.stock.averagePrice`,
+            stockAmount > 0 ? calculator.roundToDecimals(stockValue / stockAmount, 4) : 0,
+            true,
+        );
+        await this.adapter.setStateAsync(`${type}.stock.currentPrice`, open.length > 0 ? open[0].price : 0, true);
+
+        // Remaining stock in the billing unit: measured level if known, otherwise the booked deliveries
+        const remaining = type in this.levels ? this.levels[type] * utility.factor : stockAmount;
+        const dailyConsumption = await this.getAverageDailyConsumption(type);
+
+        await this.adapter.setStateAsync(
+            `${type}.stock.daysUntilEmpty`,
+            dailyConsumption > 0 ? Math.floor(remaining / dailyConsumption) : -1,
+            true,
+        );
+    }
+
+    /**
+     * Gets the average daily consumption: the last 31 days from history.days if at least a week is known,
+     * otherwise the consumption since the start of the billing year
+     *
+     * @param {string} type - Utility type
+     * @returns {Promise<number>} - Average consumption per day in the billing unit
+     */
+    async getAverageDailyConsumption(type) {
+        let days = [];
+        try {
+            const state = await this.adapter.getStateAsync(`${type}.history.days`);
+            const parsed = JSON.parse(String(state?.val || '[]'));
+            days = Array.isArray(parsed) ? parsed.filter(entry => typeof entry?.consumption === 'number') : [];
+        } catch {
+            days = [];
+        }
+        if (days.length >= 7) {
+            return days.reduce((sum, entry) => sum + entry.consumption, 0) / days.length;
+        }
+
+        const yearStartState = await this.adapter.getStateAsync(`${type}.statistics.lastYearStart`);
+        const yearStart = yearStartState?.val ? calculator.parseDateString(yearStartState.val) : null;
+        const yearly = (await this.adapter.getStateAsync(`${type}.consumption.yearly`))?.val || 0;
+        if (!yearStart || isNaN(yearStart.getTime())) {
+            return 0;
+        }
+        const elapsedDays = Math.max(1, (Date.now() - yearStart.getTime()) / calculator.DEFAULTS.MILLISECONDS_PER_DAY);
+        return yearly / elapsedDays;
+    }
+
+    /**
+     * Reads the booked deliveries (oldest first)
+     *
+     * @param {string} type - Utility type
+     * @returns {Promise<Array<{date: string, amount: number, totalPrice: number, price: number, remaining: number}>>} - Deliveries
+     */
+    async getDeliveries(type) {
+        try {
+            const state = await this.adapter.getStateAsync(`${type}.stock.deliveries`);
+            const parsed = JSON.parse(String(state?.val || '[]'));
+            return Array.isArray(parsed) ? parsed.filter(entry => entry && typeof entry.remaining === 'number') : [];
+        } catch {
+            this.adapter.log.warn(`${type}.stock.deliveries contains invalid JSON`);
+            return [];
+        }
+    }
+
+    /**
+     * Writes the deliveries, keeping all open deliveries and the last used-up ones
+     *
+     * @param {string} type - Utility type
+     * @param {Array<object>} deliveries - Deliveries (oldest first)
+     */
+    async saveDeliveries(type, deliveries) {
+        const usedUp = deliveries.filter(delivery => delivery.remaining <= 0).slice(-DELIVERY_HISTORY);
+        const kept = deliveries.filter(delivery => delivery.remaining > 0 || usedUp.includes(delivery));
+        await this.adapter.setStateAsync(`${type}.stock.deliveries`, JSON.stringify(kept), true);
+    }
+}
+
+module.exports = StockManager;
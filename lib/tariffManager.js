@@ -0,0 +1,325 @@
+'use strict';
+
+const calculator = require('./calculator');
+const { parseConfigNumber, parseGasFactorHistory } = require('./configParser');
+
+/**
+ * TariffManager resolves the tariff (working price, fees, HT/NT prices)
+ * that is valid for a meter at a given point in time.
+ */
+class TariffManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.dynamicPrices = {};
+        this.slotTimers = {};
+        this.gasFactorHistory = null;
+    }
+
+    /**
+     * Initializes the dynamic price source of a utility type (price datapoint or price curve)
+     *
+     * @param {string} type - Utility type
+     */
+    async initDynamicPrice(type) {
+        const configType = this.adapter.consumptionManager.getConfigType(type);
+        const source = this.adapter.config[`${configType}PriceSource`] || 'fixed';
+        const priceDP = this.adapter.config[`${configType}PriceDP`];
+
+        if (source === 'fixed') {
+            return;
+        }
+        if (!priceDP) {
+            this.adapter.log.warn(
+                `${type}: Dynamic price source "${source}" selected but no price datapoint configured!`,
+            );
+            return;
+        }
+
+        this.dynamicPrices[type] = { source, priceDP, value: null, curve: [] };
+        this.adapter.subscribeForeignStates(priceDP);
+        this.adapter.log.info(`${type}: Using dynamic price from ${priceDP} (${source})`);
+
+        try {
+            const priceState = await this.adapter.getForeignStateAsync(priceDP);
+            if (priceState && priceState.val !== null && priceState.val !== undefined) {
+                await this.handlePriceUpdate(priceDP, priceState.val);
+            }
+        } catch (error) {
+            this.adapter.log.warn(`Could not read initial price from ${priceDP}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Checks if a foreign state is a configured dynamic price datapoint
+     *
+     * @param {string} id - State ID
+     * @returns {boolean} - True if the state is a price datapoint
+     */
+    isPriceDP(id) {
+        return Object.values(this.dynamicPrices).some(dynamic => dynamic.priceDP === id);
+    }
+
+    /**
+     * Handles an update of a dynamic price datapoint
+     *
+     * @param {string} id - State ID of the price datapoint
+     * @param {any} value - New state value (price in €/kWh or JSON price curve)
+     */
+    async handlePriceUpdate(id, value) {
+        for (const [type, dynamic] of Object.entries(this.dynamicPrices)) {
+            if (dynamic.priceDP !== id) {
+                continue;
+            }
+
+            if (dynamic.source === 'curve') {
+                dynamic.curve = calculator.parsePriceCurve(value);
+                if (dynamic.curve.length === 0) {
+                    this.adapter.log.warn(`${type}: Price curve from ${id} contains no valid slots`);
+                } else {
+                    this.adapter.log.debug(`${type}: Price curve updated with ${dynamic.curve.length} slots`);
+                }
+            } else {
+                const price = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+                dynamic.value = isNaN(price) ? null : price;
+                this.adapter.log.debug(`${type}: Dynamic price updated to ${dynamic.value}`);
+            }
+
+            await this.adapter.consumptionManager.updateCurrentPrice(type);
+            this.scheduleSlotUpdate(type);
+        }
+    }
+
+    /**
+     * Gets the dynamic price of a utility type at the given date
+     *
+     * @param {string} type - Utility type
+     * @param {Date} date - Point in time (default: now)
+     * @returns {number|null} - Price in €/kWh or null if no dynamic price is available
+     */
+    getDynamicPrice(type, date = new Date()) {
+        const dynamic = this.dynamicPrices[type];
+        if (!dynamic) {
+            return null;
+        }
+        if (dynamic.source === 'curve') {
+            const slot = calculator.getPriceSlot(dynamic.curve, date);
+            return slot ? slot.price : null;
+        }
+        return dynamic.value;
+    }
+
+    /**
+     * Schedules the update of info.currentPrice at the next slot change of a price curve
+     *
+     * @param {string} type - Utility type
+     */
+    scheduleSlotUpdate(type) {
+        if (this.slotTimers[type]) {
+            clearTimeout(this.slotTimers[type]);
+            delete this.slotTimers[type];
+        }
+
+        const dynamic = this.dynamicPrices[type];
+        if (!dynamic || dynamic.source !== 'curve') {
+            return;
+        }
+
+        const now = Date.now();
+        const current = calculator.getPriceSlot(dynamic.curve, new Date(now));
+        const next = current ? current.end : dynamic.curve.find(slot => slot.start > now)?.start;
+        if (!next) {
+            return;
+        }
+
+        this.slotTimers[type] = setTimeout(
+            async () => {
+                delete this.slotTimers[type];
+                try {
+                    // Schedule the next slot first, so a failed update does not stop the price updates
+                    this.scheduleSlotUpdate(type);
+                    await this.adapter.consumptionManager.updateCurrentPrice(type);
+                } catch (error) {
+                    this.adapter.log.error(`${type}: Could not update the price at the slot change: ${error.message}`);
+                }
+            },
+            Math.min(next - now, calculator.DEFAULTS.MILLISECONDS_PER_DAY) + 100,
+        );
+    }
+
+    /**
+     * Clears all slot change timers (called on adapter unload)
+     */
+    clearTimers() {
+        Object.values(this.slotTimers).forEach(timer => clearTimeout(timer));
+        this.slotTimers = {};
+    }
+
+    /**
+     * Gets the parsed configuration of a meter
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name ('main' or normalized custom name)
+     * @returns {object|null} - Meter configuration or null if not configured
+     */
+    getMeterConfig(type, meterName = 'main') {
+        const meters = this.adapter.multiMeterManager?.getMetersForType(type) || [];
+        const meter = meters.find(m => m.name === meterName);
+        return meter ? meter.config : null;
+    }
+
+    /**
+     * Checks if a dated price table is configured for a meter
+     *
+     * @param {object} config - Meter configuration
+     * @returns {boolean} - True if at least one price table entry exists
+     */
+    hasPriceHistory(config) {
+        return Array.isArray(config?.priceHistory) && config.priceHistory.length > 0;
+    }
+
+    /**
+     * Gets the tariff valid at the given date
+     *
+     * @param {object} config - Meter configuration
+     * @param {Date} date - Point in time (default: now)
+     * @returns {object} - {preis, grundgebuehr, jahresgebuehr, htPrice, ntPrice, validFrom}
+     */
+    getTariff(config, date = new Date()) {
+        const baseTariff = {
+            preis: config?.preis || 0,
+            grundgebuehr: config?.grundgebuehr || 0,
+            jahresgebuehr: config?.jahresgebuehr || 0,
+            htPrice: config?.htPrice || 0,
+            ntPrice: config?.ntPrice || 0,
+        };
+        return calculator.getTariffForDate(baseTariff, config?.priceHistory, date);
+    }
+
+    /**
+     * Gets the gas conversion factors valid at the given date (Brennwert table or global Brennwert/Z-Zahl)
+     *
+     * @param {Date} date - Point in time (default: now)
+     * @returns {{brennwert: number, zZahl: number}} - Brennwert in kWh/m³ and Z-Zahl
+     */
+    getGasFactors(date = new Date()) {
+        if (!this.gasFactorHistory) {
+            this.gasFactorHistory = parseGasFactorHistory(this.adapter.config.gasFactorHistory);
+        }
+        const baseFactors = {
+            brennwert: parseConfigNumber(this.adapter.config.gasBrennwert, 0) || calculator.DEFAULTS.GAS_BRENNWERT,
+            zZahl: parseConfigNumber(this.adapter.config.gasZahl, 0) || calculator.DEFAULTS.GAS_Z_ZAHL,
+        };
+        const { brennwert, zZahl } = calculator.getTariffForDate(baseFactors, this.gasFactorHistory, date);
+        return { brennwert, zZahl };
+    }
+
+    /**
+     * Converts the yearly gas volume derived from the initial reading to kWh.
+     * Only the volume added since the last known yearly volume is converted with the current factors,
+     * the energy counted before keeps the factors it was converted with.
+     *
+     * @param {string} basePath - State path of the gas meter
+     * @param {number} yearlyVolume - Yearly volume in m³ (meter reading minus initial reading)
+     * @returns {Promise<number>} - Yearly consumption in kWh
+     */
+    async convertYearlyVolume(basePath, yearlyVolume) {
+        const { brennwert, zZahl } = this.getGasFactors();
+        const knownVolume = (await this.adapter.getStateAsync(`${basePath}.consumption.yearlyVolume`))?.val;
+        const knownEnergy = (await this.adapter.getStateAsync(`${basePath}.consumption.yearly`))?.val;
+
+        // Nothing to keep on the first start or after the initial reading was changed
+        if (
+            typeof knownVolume !== 'number' ||
+            typeof knownEnergy !== 'number' ||
+            knownVolume <= 0 ||
+            yearlyVolume < knownVolume
+        ) {
+            return calculator.convertGasM3ToKWh(yearlyVolume, brennwert, zZahl);
+        }
+        return knownEnergy + calculator.convertGasM3ToKWh(yearlyVolume - knownVolume, brennwert, zZahl);
+    }
+
+    /**
+     * Gets the working price that applies right now (dynamic price, tariff zone or regular tariff)
+     *
+     * @param {string} type - Utility type
+     * @param {object} config - Meter configuration
+     * @param {Date} date - Point in time (default: now)
+     * @returns {{price: number, name: string, zone: string|null}} - Active price per unit, tariff name and zone ID
+     */
+    getActivePrice(type, config, date = new Date()) {
+        if (config?.priceSource && config.priceSource !== 'fixed') {
+            const dynamicPrice = this.getDynamicPrice(type, date);
+            if (dynamicPrice !== null) {
+                return { price: dynamicPrice, name: 'Dynamisch', zone: null };
+            }
+        }
+
+        const tariff = this.getTariff(config, date);
+
+        const zone = calculator.getActiveZone(config?.zones, date, config?.zoneHolidays);
+        if (zone) {
+            const price = zone.priceKey ? tariff[zone.priceKey] : zone.price;
+            return { price: price || 0, name: calculator.getZoneLabel(zone.zone), zone: zone.zone };
+        }
+
+        return { price: tariff.preis, name: 'Standard', zone: null };
+    }
+
+    /**
+     * Gets the IDs of all tariff zones of a meter (e.g. ['HT', 'NT'])
+     *
+     * @param {object} config - Meter configuration
+     * @returns {Array<string>} - Zone IDs in schedule order
+     */
+    getZoneNames(config) {
+        return [...new Set((config?.zones || []).map(entry => entry.zone))];
+    }
+
+    /**
+     * Calculates the fixed fees accumulated since the start of the billing year.
+     * Each month is charged with the Grundgebühr valid at its start,
+     * the Jahresgebühr is prorated per day with the value valid on that day.
+     *
+     * @param {object} config - Meter configuration
+     * @param {Date} yearStart - Start of the billing year
+     * @param {Date} now - End of the accumulation (default: now)
+     * @returns {{basicCharge: number, annualFee: number, months: number}} - Accumulated fees
+     */
+    getAccumulatedFees(config, yearStart, now = new Date()) {
+        const months = calculator.getMonthsDifference(yearStart, now) + 1;
+        const daysSinceYearStart = Math.floor(
+            (now.getTime() - yearStart.getTime()) / calculator.DEFAULTS.MILLISECONDS_PER_DAY,
+        );
+        const daysInYear = calculator.isLeapYear(now.getFullYear())
+            ? calculator.DEFAULTS.DAYS_IN_LEAP_YEAR
+            : calculator.DEFAULTS.DAYS_IN_NORMAL_YEAR;
+
+        if (!this.hasPriceHistory(config)) {
+            return {
+                basicCharge: (config?.grundgebuehr || 0) * months,
+                annualFee: ((config?.jahresgebuehr || 0) / daysInYear) * daysSinceYearStart,
+                months,
+            };
+        }
+
+        let basicCharge = 0;
+        for (let i = 0; i < months; i++) {
+            const monthStart = new Date(yearStart.getFullYear(), yearStart.getMonth() + i, 1, 12, 0, 0);
+            basicCharge += this.getTariff(config, i === 0 ? yearStart : monthStart).grundgebuehr;
+        }
+
+        let annualFee = 0;
+        for (let i = 0; i < daysSinceYearStart; i++) {
+            const day = new Date(yearStart.getTime() + i * calculator.DEFAULTS.MILLISECONDS_PER_DAY);
+            annualFee += this.getTariff(config, day).jahresgebuehr / daysInYear;
+        }
+
+        return { basicCharge, annualFee, months };
+    }
+}
+
+module.exports = TariffManager;
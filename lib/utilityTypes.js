@@ -0,0 +1,174 @@
+'use strict';
+
+const { parseConfigNumber } = require('./configParser');
+
+/**
+ * Built-in utility types (Sparten) with their own admin tab.
+ * configType is the prefix of the config keys (e.g. stromPreis), unit the consumption unit,
+ * readingUnit the unit of the meter reading and profile the seasonal profile of the forecast.
+ */
+const BUILTIN_TYPES = [
+    { id: 'gas', configType: 'gas', name: 'Gas', icon: '🔥', unit: 'kWh', readingUnit: 'm³', profile: 'heating' },
+    { id: 'water', configType: 'wasser', name: 'Wasser', icon: '💧', unit: 'm³', readingUnit: 'm³', profile: 'flat' },
+    {
+        id: 'electricity',
+        configType: 'strom',
+        name: 'Strom',
+        icon: '⚡',
+        unit: 'kWh',
+        readingUnit: 'kWh',
+        profile: 'electricity',
+    },
+    {
+        id: 'pv',
+        configType: 'pv',
+        name: 'PV',
+        icon: '☀️',
+        unit: 'kWh',
+        readingUnit: 'kWh',
+        profile: null,
+        consumptionLabel: 'Einspeisung',
+        costLabel: 'Gebühren',
+    },
+];
+
+/** IDs a custom utility type must not use (built-in types, config prefixes and root channels) */
+const RESERVED_IDS = ['gas', 'water', 'electricity', 'pv', 'wasser', 'strom', 'info', 'totals', 'notification'];
+
+/**
+ * Maps the columns of the custom utility table to the config key suffixes of the built-in types
+ * (e.g. column preis of "fernwaerme" becomes fernwaermePreis)
+ */
+const CUSTOM_CONFIG_KEYS = {
+    aktiv: 'Aktiv',
+    sensorDP: 'SensorDP',
+    factor: 'Factor',
+    offset: 'Offset',
+    initialReading: 'InitialReading',
+    maxReading: 'MaxReading',
+    maxDelta: 'MaxDelta',
+    maxFlowRate: 'MaxFlowRate',
+    sensorTimeout: 'SensorTimeout',
+    contractStart: 'ContractStart',
+    preis: 'Preis',
+    grundgebuehr: 'Grundgebuehr',
+    jahresgebuehr: 'Jahresgebuehr',
+    abschlag: 'Abschlag',
+};
+
+/**
+ * Normalizes the ID of a custom utility type to a valid state folder name
+ *
+ * @param {any} id - User-provided ID
+ * @returns {string} - Lowercase alphanumeric ID (empty if invalid)
+ */
+function normalizeUtilityId(id) {
+    if (typeof id !== 'string') {
+        return '';
+    }
+    return id
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '')
+        .substring(0, 20);
+}
+
+/**
+ * Gets the custom utility types from the table customUtilities (rows without or with a reserved ID are skipped)
+ *
+ * @param {object} config - Adapter configuration
+ * @returns {Array<object>} - Custom utility types
+ */
+function getCustomUtilityTypes(config) {
+    const rows = Array.isArray(config?.customUtilities) ? config.customUtilities : [];
+    const types = [];
+
+    for (const row of rows) {
+        const id = normalizeUtilityId(row?.id);
+        if (!id || RESERVED_IDS.includes(id) || types.some(type => type.id === id)) {
+            continue;
+        }
+        const unit = row.unit || 'kWh';
+        types.push({
+            id,
+            configType: id,
+            name: row.name || id,
+            icon: '📦',
+            unit,
+            readingUnit: row.readingUnit || unit,
+            factor: parseConfigNumber(row.factor, 1) || 1,
+            profile: row.profile === 'flat' ? 'flat' : 'heating',
+            // meter: cumulative meter reading, stock: level of a tank or store with deliveries (see StockManager)
+            mode: row.mode === 'stock' ? 'stock' : 'meter',
+            custom: true,
+        });
+    }
+    return types;
+}
+
+/**
+ * Gets all utility types: the built-in types followed by the custom types
+ *
+ * @param {object} config - Adapter configuration
+ * @returns {Array<object>} - Utility types
+ */
+function getUtilityTypes(config) {
+    return [...BUILTIN_TYPES, ...getCustomUtilityTypes(config)];
+}
+
+/**
+ * Gets a utility type by its ID
+ *
+ * @param {object} config - Adapter configuration
+ * @param {string} id - Utility type ID (e.g. 'gas' or 'fernwaerme')
+ * @returns {object|null} - Utility type or null if unknown
+ */
+function getUtilityType(config, id) {
+    return getUtilityTypes(config).find(type => type.id === id) || null;
+}
+
+/**
+ * Maps a utility type to the prefix of its config keys
+ *
+ * @param {object} config - Adapter configuration
+ * @param {string} id - Utility type ID
+ * @returns {string} - Config prefix (gas, wasser, strom, pv or the ID of a custom type)
+ */
+function getConfigType(config, id) {
+    return BUILTIN_TYPES.find(type => type.id === id)?.configType || getUtilityType(config, id)?.configType || id;
+}
+
+/**
+ * Writes the rows of the custom utility table as flat config keys (e.g. fernwaermeAktiv, fernwaermePreis),
+ * so all managers read custom types exactly like the built-in types.
+ * Stock-based types use the virtual meter reading stock.consumedTotal as sensor, their sensor column is the level.
+ *
+ * @param {object} config - Adapter configuration (modified in place)
+ * @param {string} [namespace] - Adapter namespace (e.g. nebenkosten-monitor.0) for the virtual meter reading
+ */
+function applyCustomUtilityConfig(config, namespace = '') {
+    const rows = Array.isArray(config?.customUtilities) ? config.customUtilities : [];
+
+    for (const type of getCustomUtilityTypes(config)) {
+        const row = rows.find(entry => normalizeUtilityId(entry?.id) === type.id);
+        for (const [column, suffix] of Object.entries(CUSTOM_CONFIG_KEYS)) {
+            config[`${type.configType}${suffix}`] = column === 'aktiv' ? row.aktiv !== false : row[column];
+        }
+        config[`${type.configType}Factor`] = type.factor;
+        if (type.mode === 'stock') {
+            config[`${type.configType}LevelDP`] = row.sensorDP || '';
+            config[`${type.configType}SensorDP`] = `${namespace}.${type.id}.stock.consumedTotal`;
+        }
+        config[`notification${type.configType.charAt(0).toUpperCase()}${type.configType.slice(1)}Enabled`] =
+            !!row.notification;
+    }
+}
+
+module.exports = {
+    BUILTIN_TYPES,
+    normalizeUtilityId,
+    getCustomUtilityTypes,
+    getUtilityTypes,
+    getUtilityType,
+    getConfigType,
+    applyCustomUtilityConfig,
+};
@@ -0,0 +1,191 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+const utilityTypes = require('./utilityTypes');
+
+/** Maximum number of gaps kept in info.gaps */
+const MAX_GAPS = 50;
+
+/**
+ * WatchdogManager detects sensors that stopped delivering data. Each meter with a configured timeout is
+ * flagged with info.stale (and info.sensorActive = false) when no update arrived within the timeout.
+ * When data resumes, the gap and the consumption counted across it are logged in info.gaps.
+ */
+class WatchdogManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.watched = {}; // Maps sensorDP → {type, basePath, label, timeoutMs, lastUpdate, lastValue, stale}
+    }
+
+    /**
+     * Starts watching the sensor of a meter if a timeout is configured
+     *
+     * @param {string} type - Utility type
+     * @param {string} meterName - Meter name
+     * @param {object} config - Meter configuration
+     * @param {string} label - Display name of the meter
+     */
+    async initializeMeter(type, meterName, config, label) {
+        if (!config.sensorDP || !(config.sensorTimeout > 0)) {
+            return;
+        }
+        const basePath = meterName === 'main' ? type : `${type}.${meterName}`;
+        const utility = utilityTypes.getUtilityType(this.adapter.config, type);
+        await stateManager.createWatchdogStructure(this.adapter, basePath);
+
+        // Last update of the sensor itself, so a sensor that failed during a restart is detected
+        const sensorState = await this.adapter.getForeignStateAsync(config.sensorDP);
+        const staleState = await this.adapter.getStateAsync(`${basePath}.info.stale`);
+        this.watched[config.sensorDP] = {
+            type,
+            basePath,
+            label: meterName === 'main' ? utility?.name || type : `${utility?.name || type} (${label})`,
+            unit: utility?.readingUnit || '',
+            timeoutMs: config.sensorTimeout * 60 * 1000,
+            lastUpdate: sensorState?.ts || Date.now(),
+            lastValue: typeof sensorState?.val === 'number' ? sensorState.val : null,
+            stale: staleState?.val === true,
+        };
+        if (this.watched[config.sensorDP].stale) {
+            await this.adapter.setStateAsync(`${basePath}.info.sensorActive`, false, true);
+        }
+        this.adapter.log.debug(`${basePath}: Watchdog active (timeout ${config.sensorTimeout} min)`);
+    }
+
+    /**
+     * Registers an update of a watched sensor and logs the gap if the sensor was stale
+     *
+     * @param {string} sensorDP - Sensor state ID
+     * @param {ioBroker.State} state - Sensor state
+     */
+    async handleSensorUpdate(sensorDP, state) {
+        const watch = this.watched[sensorDP];
+        if (!watch) {
+            return;
+        }
+        const ts = state.ts || Date.now();
+        const value = typeof state.val === 'number' ? state.val : null;
+
+        if (watch.stale) {
+            watch.stale = false;
+            await this.adapter.setStateAsync(`${watch.basePath}.info.stale`, false, true);
+            await this.adapter.setStateAsync(`${watch.basePath}.info.sensorActive`, true, true);
+            await this.logGap(watch, ts, value);
+        }
+        watch.lastUpdate = ts;
+        if (value !== null) {
+            watch.lastValue = value;
+        }
+    }
+
+    /**
+     * Flags all sensors without update within their timeout as stale (called every minute)
+     *
+     * @param {number} [now] - Current timestamp
+     */
+    async check(now = Date.now()) {
+        for (const [sensorDP, watch] of Object.entries(this.watched)) {
+            if (watch.stale || now - watch.lastUpdate < watch.timeoutMs) {
+                continue;
+            }
+            watch.stale = true;
+            const minutes = Math.round((now - watch.lastUpdate) / 60000);
+            this.adapter.log.warn(`${watch.basePath}: No data from ${sensorDP} for ${minutes} minutes - sensor stale`);
+            await this.adapter.setStateAsync(`${watch.basePath}.info.stale`, true, true);
+            await this.adapter.setStateAsync(`${watch.basePath}.info.sensorActive`, false, true);
+
+            await this.notify(
+                watch,
+                `⚠️ *Nebenkosten-Monitor: Sensor ausgefallen*\n\n` +
+                    `*${watch.label}* liefert seit ${this.formatDuration(now - watch.lastUpdate)} keine Daten mehr.\n\n` +
+                    `📡 Datenpunkt: ${sensorDP}`,
+            );
+        }
+    }
+
+    /**
+     * Logs a gap after the sensor delivered data again
+     *
+     * @param {object} watch - Watched sensor
+     * @param {number} ts - Timestamp of the first update after the gap
+     * @param {number|null} value - First value after the gap
+     */
+    async logGap(watch, ts, value) {
+        const consumption =
+            value !== null && watch.lastValue !== null ? calculator.roundToDecimals(value - watch.lastValue, 3) : null;
+        const duration = this.formatDuration(ts - watch.lastUpdate);
+        const gap = {
+            from: calculator.formatDateString(new Date(watch.lastUpdate)),
+            to: calculator.formatDateString(new Date(ts)),
+            hours: calculator.roundToDecimals((ts - watch.lastUpdate) / 3600000, 2),
+            before: watch.lastValue,
+            after: value,
+            consumption,
+        };
+        this.adapter.log.info(
+            `${watch.basePath}: Sensor data resumed after ${duration} (${watch.lastValue} → ${value}, consumption during the gap: ${consumption ?? '-'} ${watch.unit})`,
+        );
+
+        const gaps = await this.getGaps(watch.basePath);
+        gaps.push(gap);
+        await this.adapter.setStateAsync(`${watch.basePath}.info.gaps`, JSON.stringify(gaps.slice(-MAX_GAPS)), true);
+
+        await this.notify(
+            watch,
+            `✅ *Nebenkosten-Monitor: Sensor wieder aktiv*\n\n` +
+                `*${watch.label}* liefert nach ${duration} wieder Daten.\n\n` +
+                `📊 Verbrauch während des Ausfalls: ${consumption ?? '-'} ${watch.unit}`,
+        );
+    }
+
+    /**
+     * Sends a watchdog notification if enabled
+     *
+     * @param {object} watch - Watched sensor
+     * @param {string} message - Message text
+     */
+    async notify(watch, message) {
+        const config = this.adapter.config;
+        if (!config.notificationEnabled || !config.notificationStaleEnabled) {
+            return;
+        }
+        await this.adapter.messagingHandler?.sendNotification(watch.type, message, 'watchdog');
+    }
+
+    /**
+     * Formats a duration for messages
+     *
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} - e.g. "45 Minuten" or "5,5 Stunden"
+     */
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 120) {
+            return `${minutes} Minuten`;
+        }
+        return `${calculator.roundToDecimals(minutes / 60, 1).toLocaleString('de-DE')} Stunden`;
+    }
+
+    /**
+     * Reads the logged gaps of a meter
+     *
+     * @param {string} basePath - State path of the meter
+     * @returns {Promise<Array<object>>} - Gaps (oldest first)
+     */
+    async getGaps(basePath) {
+        try {
+            const state = await this.adapter.getStateAsync(`${basePath}.info.gaps`);
+            const parsed = JSON.parse(String(state?.val || '[]'));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            this.adapter.log.warn(`${basePath}.info.gaps contains invalid JSON`);
+            return [];
+        }
+    }
+}
+
+module.exports = WatchdogManager;
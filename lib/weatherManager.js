@@ -0,0 +1,198 @@
+'use strict';
+
+const calculator = require('./calculator');
+const stateManager = require('./stateManager');
+const { parseConfigNumber } = require('./configParser');
+
+/** Long-term average degree days (20/15) per calendar month in Germany, January to December (3550 Kd per year) */
+const REFERENCE_MONTHLY_DEGREE_DAYS = [590, 510, 460, 330, 170, 60, 20, 30, 120, 290, 430, 540];
+
+/** Below this number of degree days the normalization factor is too unstable (e.g. start of the period in summer) */
+const MIN_DEGREE_DAYS = 50;
+
+/**
+ * WeatherManager accumulates the heating degree days (Gradtagzahl) from an outdoor temperature sensor
+ * and derives the gas consumption per degree day and the weather-normalized yearly consumption.
+ */
+class WeatherManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.temperatureDP = '';
+        this.roomTemperature = 20;
+        this.heatingLimit = 15;
+        this.referenceDegreeDays = 3550;
+    }
+
+    /**
+     * Creates the weather states and subscribes the outdoor temperature sensor (if configured)
+     */
+    async initialize() {
+        this.temperatureDP = this.adapter.config.gasOutdoorTempDP || '';
+        if (!this.temperatureDP) {
+            return;
+        }
+
+        this.roomTemperature = parseConfigNumber(this.adapter.config.gasRoomTemp, 20);
+        this.heatingLimit = parseConfigNumber(this.adapter.config.gasHeatingLimit, 15);
+        this.referenceDegreeDays = parseConfigNumber(this.adapter.config.gasReferenceDegreeDays, 3550);
+
+        await stateManager.createWeatherStructure(this.adapter);
+
+        this.adapter.subscribeForeignStates(this.temperatureDP);
+        this.adapter.log.info(
+            `Gas: Using outdoor temperature ${this.temperatureDP} (degree days ${this.roomTemperature}/${this.heatingLimit})`,
+        );
+
+        await this.updateValues();
+    }
+
+    /**
+     * Checks if a foreign state is the configured outdoor temperature sensor
+     *
+     * @param {string} id - State ID
+     * @returns {boolean} - True if the state is the temperature sensor
+     */
+    isTemperatureDP(id) {
+        return !!this.temperatureDP && this.temperatureDP === id;
+    }
+
+    /**
+     * Handles an update of the outdoor temperature and updates the daily mean
+     *
+     * @param {any} value - New temperature in °C
+     */
+    async handleTemperatureUpdate(value) {
+        const temperature = parseConfigNumber(value, NaN);
+        if (isNaN(temperature)) {
+            this.adapter.log.warn(`Gas: Invalid outdoor temperature: ${value}`);
+            return;
+        }
+
+        const average = (await this.adapter.getStateAsync('gas.weather.averageToday'))?.val || 0;
+        const samples = (await this.adapter.getStateAsync('gas.weather.samplesToday'))?.val || 0;
+        const newAverage = (average * samples + temperature) / (samples + 1);
+
+        await this.adapter.setStateAsync('gas.weather.temperature', temperature, true);
+        await this.adapter.setStateAsync('gas.weather.samplesToday', samples + 1, true);
+        await this.adapter.setStateAsync('gas.weather.averageToday', calculator.roundToDecimals(newAverage, 2), true);
+        await this.adapter.setStateAsync(
+            'gas.weather.degreeDaysDaily',
+            calculator.calculateDegreeDays(newAverage, this.roomTemperature, this.heatingLimit),
+            true,
+        );
+    }
+
+    /**
+     * Closes the day (adds its degree days to month and year) or resets the monthly/yearly degree days
+     *
+     * @param {string} type - Utility type whose counters were reset
+     * @param {string} period - 'daily', 'monthly' or 'yearly'
+     */
+    async handlePeriodReset(type, period) {
+        if (type !== 'gas' || !this.temperatureDP) {
+            return;
+        }
+
+        if (period === 'daily') {
+            const samples = (await this.adapter.getStateAsync('gas.weather.samplesToday'))?.val || 0;
+            const average = (await this.adapter.getStateAsync('gas.weather.averageToday'))?.val || 0;
+            const degreeDays =
+                samples > 0 ? calculator.calculateDegreeDays(average, this.roomTemperature, this.heatingLimit) : 0;
+
+            for (const id of ['degreeDaysMonthly', 'degreeDaysYearly']) {
+                const current = (await this.adapter.getStateAsync(`gas.weather.${id}`))?.val || 0;
+                await this.adapter.setStateAsync(
+                    `gas.weather.${id}`,
+                    calculator.roundToDecimals(current + degreeDays, 2),
+                    true,
+                );
+            }
+            await this.adapter.setStateAsync('gas.weather.samplesToday', 0, true);
+            await this.adapter.setStateAsync('gas.weather.averageToday', 0, true);
+            await this.adapter.setStateAsync('gas.weather.degreeDaysDaily', 0, true);
+        } else if (period === 'monthly') {
+            await this.adapter.setStateAsync('gas.weather.degreeDaysMonthly', 0, true);
+        } else if (period === 'yearly') {
+            await this.adapter.setStateAsync('gas.weather.degreeDaysYearly', 0, true);
+        }
+
+        await this.updateValues();
+    }
+
+    /**
+     * Gets the factor converting the gas consumption since the start of the billing year to a normal year
+     * (expected degree days of the elapsed period divided by the measured degree days)
+     *
+     * @returns {Promise<number|null>} - Normalization factor or null if not enough degree days are available
+     */
+    async getNormalizationFactor() {
+        if (!this.temperatureDP) {
+            return null;
+        }
+
+        const yearStartState = await this.adapter.getStateAsync('gas.statistics.lastYearStart');
+        const yearStart = yearStartState?.val ? calculator.parseDateString(yearStartState.val) : null;
+        const degreeDays = (await this.adapter.getStateAsync('gas.weather.degreeDaysYearly'))?.val || 0;
+        if (!yearStart || degreeDays < MIN_DEGREE_DAYS) {
+            return null;
+        }
+
+        // Degree days are counted for completed days only
+        const now = new Date();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const referenceShare =
+            calculator.getSeasonalShare(REFERENCE_MONTHLY_DEGREE_DAYS, yearStart, today) /
+            REFERENCE_MONTHLY_DEGREE_DAYS.reduce((sum, value) => sum + value, 0);
+
+        return (this.referenceDegreeDays * referenceShare) / degreeDays;
+    }
+
+    /**
+     * Gets the values archived with a closed gas billing period
+     *
+     * @param {number} yearly - Archived yearly consumption in kWh
+     * @returns {Promise<object>} - {degreeDays, normalizedYearly} or an empty object without temperature sensor
+     */
+    async getArchiveValues(yearly) {
+        if (!this.temperatureDP) {
+            return {};
+        }
+        const factor = await this.getNormalizationFactor();
+        return {
+            degreeDays: (await this.adapter.getStateAsync('gas.weather.degreeDaysYearly'))?.val || 0,
+            normalizedYearly: factor === null ? yearly : yearly * factor,
+        };
+    }
+
+    /**
+     * Updates the consumption per degree day and the weather-normalized yearly consumption
+     */
+    async updateValues() {
+        if (!this.temperatureDP) {
+            return;
+        }
+
+        // All gas meters heat the same building - use the totals if multiple meters are configured
+        const meters = this.adapter.multiMeterManager?.getMetersForType('gas') || [];
+        const basePath = meters.length > 1 ? 'gas.totals' : 'gas';
+        const yearly = (await this.adapter.getStateAsync(`${basePath}.consumption.yearly`))?.val || 0;
+        const degreeDays = (await this.adapter.getStateAsync('gas.weather.degreeDaysYearly'))?.val || 0;
+        const factor = await this.getNormalizationFactor();
+
+        await this.adapter.setStateAsync(
+            'gas.weather.consumptionPerDegreeDay',
+            degreeDays > 0 ? calculator.roundToDecimals(yearly / degreeDays, 2) : 0,
+            true,
+        );
+        await this.adapter.setStateAsync(
+            'gas.weather.normalizedYearly',
+            calculator.roundToDecimals(factor === null ? yearly : yearly * factor, 2),
+            true,
+        );
+    }
+}
+
+module.exports = WeatherManager;
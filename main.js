@@ -2,7 +2,7 @@
 
 /*
  * ioBroker Nebenkosten-Monitor Adapter
- * Monitors gas, water, and electricity consumption with cost calculation
+ * Monitors gas, water, electricity, PV and custom utility consumption with cost calculation
  */
 
 const utils = require('@iobroker/adapter-core');
@@ -10,6 +10,19 @@ const ConsumptionManager = require('./lib/consumptionManager');
 const BillingManager = require('./lib/billingManager');
 const MessagingHandler = require('./lib/messagingHandler');
 const MultiMeterManager = require('./lib/multiMeterManager');
+const TariffManager = require('./lib/tariffManager');
+const PvManager = require('./lib/pvManager');
+const BackfillManager = require('./lib/backfillManager');
+const ForecastManager = require('./lib/forecastManager');
+const WeatherManager = require('./lib/weatherManager');
+const StockManager = require('./lib/stockManager');
+const ManualReadingManager = require('./lib/manualReadingManager');
+const MeterExchangeManager = require('./lib/meterExchangeManager');
+const PlausibilityManager = require('./lib/plausibilityManager');
+const WatchdogManager = require('./lib/watchdogManager');
+const LeakDetectionManager = require('./lib/leakDetectionManager');
+const ReportManager = require('./lib/reportManager');
+const utilityTypes = require('./lib/utilityTypes');
 
 class NebenkostenMonitor extends utils.Adapter {
     /**
@@ -29,6 +42,18 @@ class NebenkostenMonitor extends utils.Adapter {
         this.consumptionManager = new ConsumptionManager(this);
         this.billingManager = new BillingManager(this);
         this.messagingHandler = new MessagingHandler(this);
+        this.tariffManager = new TariffManager(this);
+        this.pvManager = new PvManager(this);
+        this.backfillManager = new BackfillManager(this);
+        this.forecastManager = new ForecastManager(this);
+        this.weatherManager = new WeatherManager(this);
+        this.stockManager = new StockManager(this);
+        this.manualReadingManager = new ManualReadingManager(this);
+        this.meterExchangeManager = new MeterExchangeManager(this);
+        this.plausibilityManager = new PlausibilityManager(this);
+        this.watchdogManager = new WatchdogManager(this);
+        this.leakDetectionManager = new LeakDetectionManager(this);
+        this.reportManager = new ReportManager(this);
         this.multiMeterManager = null; // Initialized in onReady after other managers
 
         this.periodicTimers = {};
@@ -40,28 +65,40 @@ class NebenkostenMonitor extends utils.Adapter {
     async onReady() {
         this.log.info('Nebenkosten-Monitor starting...');
 
+        // Custom utility types (Fernwärme, Heizöl, ...) use the same config keys as the built-in types
+        utilityTypes.applyCustomUtilityConfig(this.config, this.namespace);
+        const utilities = utilityTypes.getUtilityTypes(this.config);
+
         // Initialize MultiMeterManager
         this.multiMeterManager = new MultiMeterManager(this, this.consumptionManager, this.billingManager);
 
-        // Initialize each utility type based on configuration
-        await this.initializeUtility('gas', this.config.gasAktiv);
-        await this.initializeUtility('water', this.config.wasserAktiv);
-        await this.initializeUtility('electricity', this.config.stromAktiv);
+        // Initialize dynamic price sources (needed before the first cost calculation)
+        if (this.config.stromAktiv) {
+            await this.tariffManager.initDynamicPrice('electricity');
+        }
 
-        await this.initializeUtility('pv', this.config.pvAktiv);
+        // Stock-based types (Heizöl, Pellets): the virtual meter reading must be up to date before the meters start
+        await this.stockManager.initialize();
 
-        // Initialize Multi-Meter structures for each active type
-        if (this.config.gasAktiv) {
-            await this.multiMeterManager.initializeType('gas');
-        }
-        if (this.config.wasserAktiv) {
-            await this.multiMeterManager.initializeType('water');
-        }
-        if (this.config.stromAktiv) {
-            await this.multiMeterManager.initializeType('electricity');
+        // Leak detection on the main water meter (alarm states must exist before the first reading)
+        await this.leakDetectionManager.initialize();
+
+        // Initialize each utility type based on configuration
+        for (const utility of utilities) {
+            await this.initializeUtility(utility.id, this.config[`${utility.configType}Aktiv`]);
         }
-        if (this.config.pvAktiv) {
-            await this.multiMeterManager.initializeType('pv');
+
+        // Initialize Multi-Meter structures for each active type
+        for (const utility of utilities) {
+            if (!this.config[`${utility.configType}Aktiv`]) {
+                continue;
+            }
+            await this.multiMeterManager.initializeType(utility.id);
+            if (utility.id === 'gas') {
+                await this.weatherManager.initialize();
+            } else if (utility.id === 'pv') {
+                await this.pvManager.initialize();
+            }
         }
 
         // Initialize General Info States
@@ -82,6 +119,30 @@ class NebenkostenMonitor extends utils.Adapter {
             },
             native: {},
         });
+        await this.setObjectNotExistsAsync('info.alertStates', {
+            type: 'state',
+            common: {
+                name: 'State of the threshold alerts (JSON)',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+                def: '{}',
+            },
+            native: {},
+        });
+        await this.setObjectNotExistsAsync('info.reportStates', {
+            type: 'state',
+            common: {
+                name: 'Last sent period of the reports (JSON)',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+                def: '{}',
+            },
+            native: {},
+        });
 
         // Subscribe to billing period closure triggers
         this.subscribeStates('*.billing.closePeriod');
@@ -130,8 +191,8 @@ class NebenkostenMonitor extends utils.Adapter {
         return this.billingManager.updateCosts(type);
     }
 
-    async closeBillingPeriod(type) {
-        return this.billingManager.closeBillingPeriod(type);
+    async closeBillingPeriod(type, meterName) {
+        return this.billingManager.closeBillingPeriod(type, meterName);
     }
 
     async updateBillingCountdown(type) {
@@ -169,6 +230,24 @@ class NebenkostenMonitor extends utils.Adapter {
 
         // Initial check
         this.checkPeriodResets();
+
+        // Check every minute if the sensors still deliver data
+        this.periodicTimers.watchdog = setInterval(async () => {
+            try {
+                await this.watchdogManager.check();
+            } catch (error) {
+                this.log.error(`Sensor watchdog check failed: ${error.message}`);
+            }
+        }, 60000);
+
+        // Check every minute for continuous or high water flow
+        this.periodicTimers.leakDetection = setInterval(async () => {
+            try {
+                await this.leakDetectionManager.check();
+            } catch (error) {
+                this.log.error(`Leak detection check failed: ${error.message}`);
+            }
+        }, 60000);
     }
 
     /**
@@ -186,6 +265,7 @@ class NebenkostenMonitor extends utils.Adapter {
                     clearInterval(timer);
                 }
             });
+            this.tariffManager.clearTimers();
 
             callback();
         } catch (error) {
@@ -224,17 +304,7 @@ class NebenkostenMonitor extends utils.Adapter {
                 const type = statePathParts[0];
                 const meterName = statePathParts[1];
                 this.log.info(`User triggered billing period closure for ${type}.${meterName}`);
-
-                // Find the meter object from multiMeterManager
-                const meters = this.multiMeterManager?.getMetersForType(type) || [];
-                const meter = meters.find(m => m.name === meterName);
-
-                if (meter) {
-                    await this.billingManager.closeBillingPeriodForMeter(type, meter);
-                } else {
-                    this.log.error(`Meter "${meterName}" not found for type ${type}!`);
-                    await this.setStateAsync(`${type}.${meterName}.billing.closePeriod`, false, true);
-                }
+                await this.closeBillingPeriod(type, meterName);
             }
             return;
         }
@@ -251,19 +321,72 @@ class NebenkostenMonitor extends utils.Adapter {
             return;
         }
 
+        // Check if this is a dynamic price datapoint
+        if (this.tariffManager.isPriceDP(id)) {
+            await this.tariffManager.handlePriceUpdate(id, state.val);
+            return;
+        }
+
+        // Check if this is the PV production sensor
+        if (this.pvManager.isProductionDP(id)) {
+            await this.pvManager.handleProductionUpdate(state.val);
+            return;
+        }
+
+        // Check if this is the outdoor temperature for the gas degree days
+        if (this.weatherManager.isTemperatureDP(id)) {
+            await this.weatherManager.handleTemperatureUpdate(state.val);
+            return;
+        }
+
+        // Check if this is a meter exchange
+        if (id.endsWith('.info.exchange') && !state.ack) {
+            if (state.val) {
+                await this.meterExchangeManager.handleExchangeState(id, state.val);
+            }
+            return;
+        }
+
+        // Check if this is a manual reading of a meter without sensor
+        if (id.endsWith('.info.manualReading') && !state.ack) {
+            await this.manualReadingManager.handleReadingState(id, state.val);
+            return;
+        }
+
+        // Check if this is a delivery or a manually entered level of a stock-based type
+        if ((id.endsWith('.stock.delivery') || id.endsWith('.stock.level')) && !state.ack) {
+            const parts = id.split('.');
+            const type = parts[parts.length - 3];
+            if (id.endsWith('.stock.delivery')) {
+                if (state.val) {
+                    await this.stockManager.handleDeliveryState(type, state.val);
+                }
+            } else {
+                await this.stockManager.handleLevelUpdate(type, state.val, false);
+            }
+            return;
+        }
+
+        // Check if this is the level sensor of a stock-based type
+        const stockType = this.stockManager.findTypeByLevelDP(id);
+        if (stockType) {
+            await this.stockManager.handleLevelUpdate(stockType, state.val, true);
+            return;
+        }
+
         // Determine which utility this sensor belongs to
         // First check if it's a multi-meter sensor (additional meters)
         if (this.multiMeterManager) {
             const meterInfo = this.multiMeterManager.findMeterBySensor(id);
             if (meterInfo && typeof state.val === 'number') {
+                await this.watchdogManager.handleSensorUpdate(id, state);
                 await this.multiMeterManager.handleSensorUpdate(meterInfo.type, meterInfo.meterName, id, state.val);
                 return;
             }
         }
 
         // Check main meter sensors
-        const types = ['gas', 'water', 'electricity', 'pv'];
-        for (const type of types) {
+        for (const { id: type } of utilityTypes.getUtilityTypes(this.config)) {
             const configType = this.consumptionManager.getConfigType(type);
 
             if (this.config[`${configType}Aktiv`] && this.config[`${configType}SensorDP`] === id) {
@@ -0,0 +1,150 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const BackfillManager = require('../../lib/backfillManager');
+
+describe('BackfillManager', () => {
+    let backfillManager;
+    let adapterMock;
+    let states;
+
+    const meter = {
+        name: 'main',
+        config: { sensorDP: 'smartmeter.0.1-0:1_8_0', offset: 0, initialReading: 0, zones: [] },
+    };
+    const ts = (day, hour) => new Date(2025, 2, day, hour, 0).getTime();
+
+    beforeEach(() => {
+        states = { 'electricity.statistics.lastYearStart': '2025-01-01 12:00:00' };
+        adapterMock = {
+            config: { historyInstance: 'influxdb.0' },
+            multiMeterManager: {
+                getMetersForType: sinon.stub().returns([meter]),
+                updateCosts: sinon.stub().resolves(),
+                updateTotalCosts: sinon.stub().resolves(),
+            },
+            billingManager: {
+                getAmountChannel: sinon.stub().returns('costs'),
+            },
+            tariffManager: {
+                getActivePrice: sinon
+                    .stub()
+                    .callsFake((type, config, date) =>
+                        date.getHours() >= 22 || date.getHours() < 6
+                            ? { price: 0.2, name: 'Nebentarif (NT)', zone: 'NT' }
+                            : { price: 0.3, name: 'Haupttarif (HT)', zone: 'HT' },
+                    ),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            getHistoryAsync: sinon.stub().resolves({
+                result: [
+                    { val: 1000, ts: ts(1, 8) },
+                    { val: 1010, ts: ts(9, 12) },
+                    { val: 1014, ts: ts(10, 23) },
+                    { val: 1020, ts: ts(11, 9) },
+                ],
+            }),
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+        };
+
+        backfillManager = new BackfillManager(adapterMock);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should only report the rebuilt values in a dry run', async () => {
+        const result = await backfillManager.run({ type: 'electricity', to: '2025-03-11T18:00:00', dryRun: true });
+
+        expect(result.success).to.be.true;
+        expect(result.readings).to.equal(4);
+        expect(result.values.consumption).to.deep.equal({ daily: 6, monthly: 20, yearly: 20 });
+        expect(result.values.lastDay).to.equal(4);
+        expect(result.values.zones.NT.consumption.yearly).to.equal(4);
+        expect(adapterMock.setStateAsync.called).to.be.false;
+        expect(adapterMock.getHistoryAsync.firstCall.args[1].instance).to.equal('influxdb.0');
+    });
+
+    it('should write consumption, zone split, costs and statistics', async () => {
+        await backfillManager.run({ type: 'electricity', to: '2025-03-11T18:00:00' });
+
+        expect(states['electricity.consumption.yearly']).to.equal(20);
+        expect(states['electricity.consumption.dailyHT']).to.equal(6);
+        expect(states['electricity.costs.yearly']).to.equal(5.6);
+        expect(states['electricity.costs.yearlyNT']).to.equal(0.8);
+        expect(states['electricity.statistics.lastDay']).to.equal(4);
+        expect(adapterMock.multiMeterManager.updateCosts.calledOnce).to.be.true;
+    });
+
+    it('should continue the readings across a recorded meter exchange', async () => {
+        adapterMock.meterExchangeManager = {
+            getExchanges: sinon
+                .stub()
+                .resolves([
+                    { date: '2025-03-10 18:00:00', oldReading: 1012, newReading: 0, correction: 1012, applied: true },
+                ]),
+        };
+        adapterMock.getHistoryAsync.resolves({
+            result: [
+                { val: 1000, ts: ts(1, 8) },
+                { val: 1010, ts: ts(9, 12) },
+                { val: 2, ts: ts(10, 23) },
+                { val: 8, ts: ts(11, 9) },
+            ],
+        });
+
+        const result = await backfillManager.run({ type: 'electricity', to: '2025-03-11T18:00:00', dryRun: true });
+
+        expect(adapterMock.meterExchangeManager.getExchanges.firstCall.args[0]).to.equal('electricity');
+        expect(result.values.consumption).to.deep.equal({ daily: 6, monthly: 20, yearly: 20 });
+        expect(result.values.lastDay).to.equal(4);
+    });
+
+    it('should count the consumption across a counter rollover', async () => {
+        const rolloverMeter = { ...meter, config: { ...meter.config, maxReading: 1012 } };
+        adapterMock.multiMeterManager.getMetersForType.returns([rolloverMeter]);
+        adapterMock.getHistoryAsync.resolves({
+            result: [
+                { val: 1000, ts: ts(1, 8) },
+                { val: 1010, ts: ts(9, 12) },
+                { val: 2, ts: ts(10, 23) },
+                { val: 8, ts: ts(11, 9) },
+            ],
+        });
+
+        const result = await backfillManager.run({ type: 'electricity', to: '2025-03-11T18:00:00', dryRun: true });
+
+        expect(result.values.consumption).to.deep.equal({ daily: 6, monthly: 20, yearly: 20 });
+        expect(result.values.zones.NT.consumption.yearly).to.equal(4);
+    });
+
+    it('should skip an unexplained decrease like the live processing', async () => {
+        adapterMock.getHistoryAsync.resolves({
+            result: [
+                { val: 1000, ts: ts(1, 8) },
+                { val: 1010, ts: ts(9, 12) },
+                { val: 2, ts: ts(10, 23) },
+                { val: 8, ts: ts(11, 9) },
+            ],
+        });
+
+        const result = await backfillManager.run({ type: 'electricity', to: '2025-03-11T18:00:00', dryRun: true });
+
+        expect(result.values.consumption).to.deep.equal({ daily: 6, monthly: 16, yearly: 16 });
+    });
+
+    it('should return an error without history instance', async () => {
+        adapterMock.config.historyInstance = '';
+        const result = await backfillManager.run({ type: 'electricity' });
+        expect(result.error).to.equal('No history instance configured');
+    });
+});
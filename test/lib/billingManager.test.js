@@ -0,0 +1,289 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const BillingManager = require('../../lib/billingManager');
+const TariffManager = require('../../lib/tariffManager');
+
+describe('BillingManager', () => {
+    let billingManager;
+    let adapterMock;
+    let states;
+
+    beforeEach(() => {
+        states = {};
+        adapterMock = {
+            config: {
+                gasAktiv: true,
+                gasContractStart: '01.01.2025',
+            },
+            consumptionManager: {
+                getConfigType: sinon.stub().callsFake(type => {
+                    const map = { electricity: 'strom', water: 'wasser', gas: 'gas', pv: 'pv' };
+                    return map[type] || type;
+                }),
+            },
+            tariffManager: {
+                getActivePrice: sinon.stub().returns({ price: 0.3, name: 'Standard', zone: null }),
+                getZoneNames: sinon.stub().callsFake(config => [...new Set((config?.zones || []).map(z => z.zone))]),
+                getGasFactors: sinon.stub().returns({ brennwert: 11.5, zZahl: 0.95 }),
+            },
+            multiMeterManager: {
+                getMetersForType: sinon.stub().returns([]),
+                updateTotalCosts: sinon.stub().resolves(),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+            setObjectNotExistsAsync: sinon.stub().resolves(),
+        };
+
+        billingManager = new BillingManager(adapterMock);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('addDeltaCost', () => {
+        it('should add the priced delta to the running cost states', async () => {
+            states['electricity.costs.daily'] = 1;
+
+            await billingManager.addDeltaCost('electricity', 'electricity', {}, 10);
+
+            expect(states['electricity.costs.daily']).to.equal(4);
+            expect(states['electricity.costs.monthly']).to.equal(3);
+            expect(states['electricity.costs.yearly']).to.equal(3);
+        });
+
+        it('should price each delta with the price active at that moment', async () => {
+            await billingManager.addDeltaCost('electricity', 'electricity', {}, 10);
+            adapterMock.tariffManager.getActivePrice.returns({ price: 0.5, name: 'Standard', zone: null });
+            await billingManager.addDeltaCost('electricity', 'electricity', {}, 10);
+
+            expect(states['electricity.costs.yearly']).to.equal(8);
+        });
+
+        it('should additionally accumulate the HT/NT cost states', async () => {
+            adapterMock.tariffManager.getActivePrice.returns({ price: 0.4, name: 'Haupttarif (HT)', zone: 'HT' });
+
+            await billingManager.addDeltaCost('electricity', 'electricity', { htNtEnabled: true }, 5);
+
+            expect(states['electricity.costs.dailyHT']).to.equal(2);
+            expect(states['electricity.costs.yearlyHT']).to.equal(2);
+            expect(states).to.not.have.property('electricity.costs.yearlyNT');
+        });
+
+        it('should credit PV feed-in as revenue instead of costs', async () => {
+            adapterMock.tariffManager.getActivePrice.returns({ price: 0.08, name: 'Standard', zone: null });
+
+            await billingManager.addDeltaCost('pv', 'pv', {}, 10);
+
+            expect(states['pv.revenue.daily']).to.equal(0.8);
+            expect(states['pv.revenue.yearly']).to.equal(0.8);
+            expect(states).to.not.have.property('pv.costs.daily');
+        });
+    });
+
+    describe('updateCosts', () => {
+        it('should charge each month with the Grundgebühr valid at its start', async () => {
+            sinon.useFakeTimers(new Date(2025, 6, 15, 12, 0).getTime());
+            const config = {
+                preis: 0.1,
+                grundgebuehr: 10,
+                jahresgebuehr: 0,
+                priceHistory: [{ validFrom: new Date(2025, 6, 1), grundgebuehr: 20 }],
+            };
+            adapterMock.multiMeterManager.getMetersForType.returns([{ name: 'main', config }]);
+            adapterMock.tariffManager = new TariffManager(adapterMock);
+            states['gas.statistics.lastYearStart'] = new Date(2025, 0, 1, 12, 0).getTime();
+            states['gas.costs.yearly'] = 100;
+
+            await billingManager.updateCosts('gas');
+
+            // January to June with 10 €, July with 20 € (not 7 × 20 €)
+            expect(states['gas.costs.basicCharge']).to.equal(80);
+            expect(states['gas.costs.totalYearly']).to.equal(180);
+        });
+    });
+
+    describe('closeBillingPeriodForMeter', () => {
+        const meter = {
+            name: 'garage',
+            displayName: 'Garage',
+            config: { contractStart: '01.01.2025', initialReading: 100 },
+        };
+
+        beforeEach(() => {
+            states['gas.garage.billing.endReading'] = 180;
+            states['gas.garage.consumption.yearly'] = 874;
+            states['gas.garage.consumption.yearlyVolume'] = 80;
+            states['gas.garage.costs.totalYearly'] = 210.5;
+            states['gas.garage.costs.balance'] = -12.3;
+            states['gas.garage.statistics.lastYearStart'] = new Date(2025, 0, 1, 12, 0, 0).getTime();
+        });
+
+        it('should archive the meter into its own history folder before resetting', async () => {
+            await billingManager.closeBillingPeriodForMeter('gas', meter);
+
+            expect(states['gas.garage.history.2025.yearly']).to.equal(874);
+            expect(states['gas.garage.history.2025.yearlyVolume']).to.equal(80);
+            expect(states['gas.garage.history.2025.totalYearly']).to.equal(210.5);
+            expect(states['gas.garage.history.2025.balance']).to.equal(-12.3);
+            expect(states['gas.garage.history.2025.startReading']).to.equal(100);
+            expect(states['gas.garage.history.2025.endReading']).to.equal(180);
+            expect(states['gas.garage.history.2025.brennwert']).to.equal(11.5);
+            expect(states['gas.garage.history.2025.conversionFactor']).to.equal(10.925);
+
+            expect(states['gas.garage.consumption.yearly']).to.equal(0);
+            expect(states['gas.garage.billing.newInitialReading']).to.equal(180);
+        });
+
+        it('should archive totals as sum of all archived meters of that year', async () => {
+            adapterMock.multiMeterManager.getMetersForType.returns([{ name: 'main', config: {} }, meter]);
+            states['gas.history.2025.yearly'] = 1000;
+            states['gas.history.2025.totalYearly'] = 300;
+
+            await billingManager.closeBillingPeriod('gas', 'garage');
+
+            expect(states['gas.totals.history.2025.yearly']).to.equal(1874);
+            expect(states['gas.totals.history.2025.totalYearly']).to.equal(510.5);
+            expect(adapterMock.multiMeterManager.updateTotalCosts.calledWith('gas')).to.be.true;
+        });
+
+        it('should archive consecutive periods under the year they started', async () => {
+            const julyMeter = { ...meter, config: { contractStart: '01.07.2023' } };
+            states['gas.garage.statistics.lastYearStart'] = new Date(2025, 6, 1, 12, 0, 0).getTime();
+            await billingManager.closeBillingPeriodForMeter('gas', julyMeter);
+
+            states['gas.garage.consumption.yearly'] = 900;
+            states['gas.garage.statistics.lastYearStart'] = new Date(2026, 6, 1, 12, 0, 0).getTime();
+            await billingManager.closeBillingPeriodForMeter('gas', julyMeter);
+
+            expect(states['gas.garage.history.2025.yearly']).to.equal(874);
+            expect(states['gas.garage.history.2026.yearly']).to.equal(900);
+            expect(states).to.not.have.property('gas.garage.history.2023.yearly');
+        });
+
+        it('should archive the reading the period started from', async () => {
+            await billingManager.closeBillingPeriodForMeter('gas', meter);
+
+            states['gas.garage.billing.endReading'] = 260;
+            states['gas.garage.statistics.lastYearStart'] = new Date(2026, 0, 1, 12, 0, 0).getTime();
+            await billingManager.closeBillingPeriodForMeter('gas', meter);
+
+            expect(states['gas.garage.history.2025.startReading']).to.equal(100);
+            expect(states['gas.garage.history.2026.startReading']).to.equal(180);
+            expect(states['gas.garage.history.2026.endReading']).to.equal(260);
+        });
+
+        it('should close the main meter through the same path', async () => {
+            const main = { name: 'main', config: { contractStart: '01.01.2025', initialReading: 50 } };
+            adapterMock.multiMeterManager.getMetersForType.returns([main]);
+            adapterMock.stockManager = { handlePeriodReset: sinon.stub().resolves() };
+            states['gas.billing.endReading'] = 120;
+            states['gas.consumption.yearly'] = 760;
+            states['gas.statistics.lastYearStart'] = new Date(2025, 0, 1, 12, 0, 0).getTime();
+
+            await billingManager.closeBillingPeriod('gas');
+
+            expect(states['gas.history.2025.yearly']).to.equal(760);
+            expect(states['gas.history.2025.startReading']).to.equal(50);
+            expect(states['gas.billing.newInitialReading']).to.equal(120);
+            expect(adapterMock.stockManager.handlePeriodReset.calledWith('gas', 'yearly')).to.be.true;
+            expect(adapterMock.multiMeterManager.updateTotalCosts.called).to.be.false;
+        });
+
+        it('should archive the gas factors the period was billed with', async () => {
+            sinon.useFakeTimers(new Date(2026, 6, 1, 10, 0).getTime());
+            Object.assign(adapterMock.config, {
+                gasBrennwert: '11,5',
+                gasZahl: '0,95',
+                gasFactorHistory: [{ validFrom: '01.07.2026', brennwert: '11,0' }],
+            });
+            adapterMock.tariffManager = new TariffManager(adapterMock);
+            states['gas.garage.statistics.lastYearStart'] = new Date(2025, 6, 1, 12, 0).getTime();
+
+            await billingManager.closeBillingPeriodForMeter('gas', {
+                ...meter,
+                config: { contractStart: '01.07.2024' },
+            });
+
+            // The new Brennwert is valid from the closing day on, the closed period used the old one
+            expect(states['gas.garage.history.2025.brennwert']).to.equal(11.5);
+            expect(states['gas.garage.history.2025.zZahl']).to.equal(0.95);
+        });
+
+        it('should not archive anything without a valid end reading', async () => {
+            states['gas.garage.billing.endReading'] = 0;
+
+            await billingManager.closeBillingPeriodForMeter('gas', meter);
+
+            expect(states).to.not.have.property('gas.garage.history.2025.yearly');
+            expect(states['gas.garage.consumption.yearly']).to.equal(874);
+        });
+    });
+
+    describe('history series', () => {
+        const meter = { name: 'main', config: { zones: [{ zone: 'HT' }, { zone: 'NT' }] } };
+
+        beforeEach(() => {
+            adapterMock.multiMeterManager.getMetersForType.returns([meter]);
+            states['electricity.statistics.lastDayStart'] = '2025-03-10 00:00:05';
+            states['electricity.consumption.daily'] = 12.345;
+            states['electricity.consumption.dailyHT'] = 8;
+            states['electricity.consumption.dailyNT'] = 4.345;
+            states['electricity.costs.daily'] = 3.5;
+        });
+
+        it('should append the finished day to history.days before resetting', async () => {
+            await billingManager.resetDailyCounters('electricity');
+
+            const days = JSON.parse(states['electricity.history.days']);
+            expect(days).to.deep.equal([
+                {
+                    date: '2025-03-10',
+                    consumption: 12.35,
+                    costs: 3.5,
+                    consumptionHT: 8,
+                    costsHT: 0,
+                    consumptionNT: 4.35,
+                    costsNT: 0,
+                },
+            ]);
+            expect(states['electricity.consumption.daily']).to.equal(0);
+        });
+
+        it('should keep only the last 31 days and replace an entry of the same day', async () => {
+            const old = Array.from({ length: 31 }, (_, i) => ({ date: `2025-01-${String(i + 1).padStart(2, '0')}` }));
+            old[30].date = '2025-03-10';
+            states['electricity.history.days'] = JSON.stringify(old);
+
+            await billingManager.appendHistoryEntry('electricity', 'electricity', meter, 'daily');
+
+            const days = JSON.parse(states['electricity.history.days']);
+            expect(days).to.have.length(31);
+            expect(days[0].date).to.equal('2025-01-01');
+            expect(days[30].consumption).to.equal(12.35);
+        });
+
+        it('should reset the zone revenue of PV meters', async () => {
+            states['pv.consumption.dailyHT'] = 6;
+            states['pv.revenue.dailyHT'] = 0.48;
+            states['pv.revenue.dailyNT'] = 0.2;
+
+            await billingManager.resetDailyCounters('pv');
+
+            expect(states['pv.consumption.dailyHT']).to.equal(0);
+            expect(states['pv.revenue.dailyHT']).to.equal(0);
+            expect(states['pv.revenue.dailyNT']).to.equal(0);
+            expect(states).to.not.have.property('pv.costs.dailyHT');
+        });
+    });
+});
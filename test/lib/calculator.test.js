@@ -148,6 +148,198 @@ describe('Calculator Module', () => {
         });
     });
 
+    describe('getTariffForDate()', () => {
+        const baseTariff = { preis: 0.3, grundgebuehr: 10, jahresgebuehr: 20, htPrice: 0, ntPrice: 0 };
+        const priceHistory = [
+            { validFrom: new Date(2025, 0, 1), preis: 0.32, grundgebuehr: null, jahresgebuehr: null },
+            { validFrom: new Date(2025, 6, 1), preis: 0.35, grundgebuehr: 12, jahresgebuehr: null },
+        ];
+
+        it('should return the base tariff before the first entry', () => {
+            const tariff = calculator.getTariffForDate(baseTariff, priceHistory, new Date(2024, 11, 31));
+            expect(tariff.preis).to.equal(0.3);
+            expect(tariff.validFrom).to.be.null;
+        });
+
+        it('should return the entry valid at the given date', () => {
+            expect(calculator.getTariffForDate(baseTariff, priceHistory, new Date(2025, 5, 30)).preis).to.equal(0.32);
+            expect(calculator.getTariffForDate(baseTariff, priceHistory, new Date(2025, 6, 1)).preis).to.equal(0.35);
+        });
+
+        it('should keep previously valid values for empty fields', () => {
+            const tariff = calculator.getTariffForDate(baseTariff, priceHistory, new Date(2025, 3, 1));
+            expect(tariff.grundgebuehr).to.equal(10);
+            expect(tariff.jahresgebuehr).to.equal(20);
+        });
+
+        it('should return the base tariff without a price table', () => {
+            expect(calculator.getTariffForDate(baseTariff, undefined, new Date()).preis).to.equal(0.3);
+        });
+    });
+
+    describe('parsePriceCurve()', () => {
+        it('should parse a Tibber curve with today and tomorrow', () => {
+            const curve = calculator.parsePriceCurve(
+                JSON.stringify({
+                    today: [
+                        { startsAt: '2025-03-01T00:00:00.000+01:00', total: 0.28 },
+                        { startsAt: '2025-03-01T01:00:00.000+01:00', total: 0.25 },
+                    ],
+                    tomorrow: [{ startsAt: '2025-03-02T00:00:00.000+01:00', total: 0.3 }],
+                }),
+            );
+            expect(curve).to.have.length(3);
+            expect(curve[0].price).to.equal(0.28);
+            expect(curve[0].end).to.equal(curve[1].start);
+        });
+
+        it('should convert aWATTar market prices from €/MWh to €/kWh', () => {
+            const curve = calculator.parsePriceCurve({
+                data: [{ start_timestamp: 1740783600000, end_timestamp: 1740787200000, marketprice: 95.5 }],
+            });
+            expect(curve[0].price).to.be.closeTo(0.0955, 0.00001);
+            expect(curve[0].end - curve[0].start).to.equal(3600000);
+        });
+
+        it('should derive the slot length of 15-minute slots without end', () => {
+            const start = new Date(2025, 2, 1, 12, 0).getTime();
+            const curve = calculator.parsePriceCurve([
+                { start: start + 900000, price: 0.2 },
+                { start, price: 0.1 },
+            ]);
+            expect(curve[0].price).to.equal(0.1);
+            expect(curve[1].end - curve[1].start).to.equal(900000);
+        });
+
+        it('should return an empty curve for invalid input', () => {
+            expect(calculator.parsePriceCurve('not json')).to.deep.equal([]);
+            expect(calculator.parsePriceCurve(null)).to.deep.equal([]);
+        });
+    });
+
+    describe('getPriceSlot()', () => {
+        const start = new Date(2025, 2, 1, 12, 0).getTime();
+        const curve = calculator.parsePriceCurve([
+            { start, price: 0.1 },
+            { start: start + 900000, price: 0.2 },
+        ]);
+
+        it('should return the slot the date falls into', () => {
+            expect(calculator.getPriceSlot(curve, new Date(start + 60000))?.price).to.equal(0.1);
+            expect(calculator.getPriceSlot(curve, new Date(start + 900000))?.price).to.equal(0.2);
+        });
+
+        it('should return null outside of the curve', () => {
+            expect(calculator.getPriceSlot(curve, new Date(start - 1))).to.be.null;
+            expect(calculator.getPriceSlot(curve, new Date(start + 1800000))).to.be.null;
+        });
+    });
+
+    describe('isGermanHoliday()', () => {
+        it('should detect fixed and movable nationwide holidays', () => {
+            expect(calculator.isGermanHoliday(new Date(2025, 0, 1))).to.be.true;
+            expect(calculator.isGermanHoliday(new Date(2025, 3, 18))).to.be.true; // Karfreitag
+            expect(calculator.isGermanHoliday(new Date(2025, 3, 21))).to.be.true; // Ostermontag
+            expect(calculator.isGermanHoliday(new Date(2025, 4, 29))).to.be.true; // Christi Himmelfahrt
+            expect(calculator.isGermanHoliday(new Date(2025, 5, 9))).to.be.true; // Pfingstmontag
+            expect(calculator.isGermanHoliday(new Date(2025, 11, 26))).to.be.true;
+        });
+
+        it('should not detect regular days', () => {
+            expect(calculator.isGermanHoliday(new Date(2025, 3, 20, 12, 0))).to.be.false; // Ostersonntag is a Sunday anyway
+            expect(calculator.isGermanHoliday(new Date(2025, 6, 15))).to.be.false;
+        });
+    });
+
+    describe('parseWeekdays()', () => {
+        it('should parse ranges and lists', () => {
+            expect(calculator.parseWeekdays('Mo-Fr')).to.deep.equal([1, 2, 3, 4, 5]);
+            expect(calculator.parseWeekdays('Sa, So')).to.deep.equal([0, 6]);
+            expect(calculator.parseWeekdays('Fri - Mon')).to.deep.equal([0, 1, 5, 6]);
+        });
+
+        it('should return every day for an empty value', () => {
+            expect(calculator.parseWeekdays('')).to.have.length(7);
+        });
+    });
+
+    describe('getActiveZone()', () => {
+        const schedule = [
+            { zone: 'NT', days: [0, 1, 2, 3, 4, 5, 6], from: 22 * 60, to: 6 * 60 },
+            { zone: 'HT', days: [0, 1, 2, 3, 4, 5, 6], from: null, to: null },
+        ];
+
+        it('should match windows spanning midnight', () => {
+            expect(calculator.getActiveZone(schedule, new Date(2025, 2, 4, 23, 0))?.zone).to.equal('NT');
+            expect(calculator.getActiveZone(schedule, new Date(2025, 2, 4, 5, 59))?.zone).to.equal('NT');
+            expect(calculator.getActiveZone(schedule, new Date(2025, 2, 4, 6, 0))?.zone).to.equal('HT');
+        });
+
+        it('should return null without schedule', () => {
+            expect(calculator.getActiveZone([], new Date())).to.be.null;
+        });
+    });
+
+    describe('calculatePvBalance()', () => {
+        it('should derive self-consumption, self-consumption rate and autarky', () => {
+            expect(calculator.calculatePvBalance(20, 12, 8)).to.deep.equal({
+                selfConsumption: 8,
+                selfConsumptionRate: 40,
+                autarky: 50,
+            });
+        });
+
+        it('should not report negative self-consumption when feed-in exceeds production', () => {
+            const balance = calculator.calculatePvBalance(5, 6, 10);
+            expect(balance.selfConsumption).to.equal(0);
+            expect(balance.autarky).to.equal(0);
+        });
+    });
+
+    describe('calculateDegreeDays()', () => {
+        it('should count the difference to the room temperature below the heating limit', () => {
+            expect(calculator.calculateDegreeDays(4.5)).to.equal(15.5);
+            expect(calculator.calculateDegreeDays(-3, 21, 15)).to.equal(24);
+        });
+
+        it('should not count days at or above the heating limit', () => {
+            expect(calculator.calculateDegreeDays(15)).to.equal(0);
+            expect(calculator.calculateDegreeDays(12, 20, 12)).to.equal(0);
+        });
+    });
+
+    describe('getSeasonalShare()', () => {
+        const weights = [3, 2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+
+        it('should sum the weights of whole months', () => {
+            expect(calculator.getSeasonalShare(weights, new Date(2025, 0, 1), new Date(2025, 3, 1))).to.equal(6);
+        });
+
+        it('should count partial months proportionally', () => {
+            // Half of February (14 of 28 days) plus all of March
+            expect(calculator.getSeasonalShare(weights, new Date(2025, 1, 15), new Date(2025, 3, 1))).to.be.closeTo(
+                2,
+                0.01,
+            );
+        });
+
+        it('should return 0 for an empty span', () => {
+            expect(calculator.getSeasonalShare(weights, new Date(2025, 1, 1), new Date(2025, 1, 1))).to.equal(0);
+        });
+    });
+
+    describe('getRolloverDelta()', () => {
+        it('should count the consumption across the maximum', () => {
+            expect(calculator.getRolloverDelta(99998.5, 1.25, 100000)).to.be.closeTo(2.75, 0.0001);
+        });
+
+        it('should not treat large decreases or meters without maximum as rollover', () => {
+            expect(calculator.getRolloverDelta(50000, 10, 100000)).to.be.null;
+            expect(calculator.getRolloverDelta(99998.5, 1.25, 0)).to.be.null;
+            expect(calculator.getRolloverDelta(10, 20, 100000)).to.be.null;
+        });
+    });
+
     describe('Integration Tests', () => {
         it('should calculate complete gas cost correctly', () => {
             // Real-world scenario:
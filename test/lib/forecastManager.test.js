@@ -0,0 +1,109 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const ForecastManager = require('../../lib/forecastManager');
+const TariffManager = require('../../lib/tariffManager');
+
+describe('ForecastManager', () => {
+    let forecastManager;
+    let adapterMock;
+    let states;
+    let clock;
+
+    beforeEach(() => {
+        states = {};
+        adapterMock = {
+            config: {},
+            multiMeterManager: {
+                getMetersForType: sinon.stub().returns([{ name: 'main' }, { name: 'garten' }]),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+        };
+        Object.assign(adapterMock, { tariffManager: new TariffManager(adapterMock) });
+
+        forecastManager = new ForecastManager(adapterMock);
+        clock = sinon.useFakeTimers(new Date(2025, 6, 1).getTime());
+    });
+
+    afterEach(() => {
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should extrapolate consumption, costs and balance to the end of the period', async () => {
+        states['water.statistics.lastYearStart'] = new Date(2025, 0, 1).getTime();
+        states['water.consumption.yearly'] = 50;
+        states['water.costs.yearly'] = 100;
+
+        await forecastManager.updateForecast('water', 'main', { preis: 2, grundgebuehr: 5, abschlag: 20 });
+
+        // Flat profile: half of the year is over, the remaining 50 m³ cost the average price of 2 €/m³
+        expect(states['water.forecast.consumption']).to.equal(100);
+        expect(states['water.forecast.totalYearly']).to.equal(260);
+        expect(states['water.forecast.balance']).to.equal(-20);
+        expect(states['water.forecast.abschlag']).to.equal(22);
+        expect(states['water.forecast.method']).to.equal('profile');
+    });
+
+    it('should weight the remaining period with the monthly history of the last year', async () => {
+        states['gas.statistics.lastYearStart'] = new Date(2025, 0, 1).getTime();
+        states['gas.consumption.yearly'] = 600;
+        states['gas.costs.yearly'] = 60;
+        // July to December of last year: 100 kWh, January to June: 300 kWh
+        const months = [];
+        for (let i = 0; i < 12; i++) {
+            const date = new Date(2024, 6 + i, 1);
+            months.push({
+                date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+                consumption: i < 6 ? 100 / 6 : 50,
+            });
+        }
+        states['gas.history.months'] = JSON.stringify(months);
+
+        await forecastManager.updateForecast('gas', 'main', { preis: 0.1 });
+
+        expect(states['gas.forecast.method']).to.equal('history');
+        expect(states['gas.forecast.consumption']).to.equal(800);
+        expect(states['gas.forecast.totalYearly']).to.equal(80);
+    });
+
+    it('should use the remaining days of the billing countdown', async () => {
+        states['electricity.statistics.lastYearStart'] = new Date(2025, 0, 1).getTime();
+        states['electricity.billing.daysRemaining'] = 0;
+        const periodEnd = await forecastManager.getPeriodEnd('electricity', new Date(2025, 0, 1), new Date());
+        expect(periodEnd.getTime()).to.equal(new Date(2026, 0, 1).getTime());
+
+        states['electricity.billing.daysRemaining'] = 31;
+        const contractEnd = await forecastManager.getPeriodEnd('electricity', new Date(2025, 0, 1), new Date());
+        expect(contractEnd.getTime()).to.equal(new Date(2025, 7, 1).getTime());
+    });
+
+    it('should sum the forecasts of all meters in the totals', async () => {
+        Object.assign(states, {
+            'water.forecast.consumption': 100,
+            'water.forecast.totalYearly': 260,
+            'water.forecast.balance': 20,
+            'water.forecast.abschlag': 22,
+            'water.garten.forecast.consumption': 30,
+            'water.garten.forecast.totalYearly': 90,
+            'water.garten.forecast.balance': -10,
+            'water.garten.forecast.abschlag': 8,
+        });
+
+        await forecastManager.updateTotalForecast('water');
+
+        expect(states['water.totals.forecast.consumption']).to.equal(130);
+        expect(states['water.totals.forecast.totalYearly']).to.equal(350);
+        expect(states['water.totals.forecast.balance']).to.equal(10);
+        expect(states['water.totals.forecast.abschlag']).to.equal(30);
+    });
+});
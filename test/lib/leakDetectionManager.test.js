@@ -0,0 +1,127 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const LeakDetectionManager = require('../../lib/leakDetectionManager');
+
+describe('LeakDetectionManager', () => {
+    let leakDetectionManager;
+    let adapterMock;
+    let states;
+    let clock;
+
+    const MINUTE = 60 * 1000;
+    const start = new Date(2025, 2, 11, 12, 0).getTime();
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers(start);
+        states = {};
+        adapterMock = {
+            namespace: 'nebenkosten-monitor.0',
+            config: {
+                wasserAktiv: true,
+                wasserLeakEnabled: true,
+                wasserLeakIdleMinutes: '30',
+                wasserLeakWindowHours: '24',
+                wasserLeakMaxHourly: '0,5',
+                notificationEnabled: true,
+                notificationInstance: 'telegram.0',
+                notificationLeakEnabled: true,
+            },
+            messagingHandler: {
+                sendNotification: sinon.stub().resolves(),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id], ts: start } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+            setObjectNotExistsAsync: sinon.stub().resolves(),
+        };
+
+        leakDetectionManager = new LeakDetectionManager(adapterMock);
+        await leakDetectionManager.initialize();
+    });
+
+    afterEach(() => {
+        clock.restore();
+        sinon.restore();
+    });
+
+    /**
+     * Simulates a dripping tap: a small consumption every few minutes
+     *
+     * @param {number} hours - Duration
+     * @param {number} [intervalMinutes] - Minutes between two readings
+     */
+    async function drip(hours, intervalMinutes = 10) {
+        for (let minutes = intervalMinutes; minutes <= hours * 60; minutes += intervalMinutes) {
+            clock.tick(intervalMinutes * MINUTE);
+            await leakDetectionManager.handleConsumption(0.001);
+        }
+    }
+
+    it('should raise the continuous flow alarm when the consumption never pauses', async () => {
+        await drip(23);
+        expect(states['water.alarm.continuousFlow']).to.be.undefined;
+
+        await drip(2);
+        expect(states['water.alarm.continuousFlow']).to.be.true;
+        expect(states['water.alarm.leak']).to.be.true;
+        expect(states['water.alarm.reason']).to.include('24 Stunden');
+        expect(adapterMock.messagingHandler.sendNotification.calledOnce).to.be.true;
+        expect(adapterMock.messagingHandler.sendNotification.firstCall.args[2]).to.equal('leak');
+    });
+
+    it('should clear the continuous flow alarm after an idle period', async () => {
+        await drip(25);
+        expect(states['water.alarm.leak']).to.be.true;
+
+        clock.tick(30 * MINUTE);
+        await leakDetectionManager.check();
+
+        expect(states['water.alarm.continuousFlow']).to.be.false;
+        expect(states['water.alarm.leak']).to.be.false;
+        expect(states['water.alarm.lastIdle']).to.equal(Date.now());
+        expect(adapterMock.messagingHandler.sendNotification.secondCall.args[1]).to.include('aufgehoben');
+    });
+
+    it('should not raise an alarm for consumption with pauses', async () => {
+        for (let i = 0; i < 30; i++) {
+            await drip(1);
+            clock.tick(45 * MINUTE);
+            await leakDetectionManager.check();
+        }
+        expect(states['water.alarm.continuousFlow']).to.be.undefined;
+    });
+
+    it('should raise the high flow alarm above the hourly maximum', async () => {
+        clock.tick(5 * MINUTE);
+        await leakDetectionManager.handleConsumption(0.3);
+        clock.tick(20 * MINUTE);
+        await leakDetectionManager.handleConsumption(0.3);
+
+        expect(states['water.alarm.hourlyFlow']).to.equal(0.6);
+        expect(states['water.alarm.highFlow']).to.be.true;
+
+        // The first consumption leaves the hour
+        clock.tick(41 * MINUTE);
+        await leakDetectionManager.check();
+        expect(states['water.alarm.hourlyFlow']).to.equal(0.3);
+        expect(states['water.alarm.highFlow']).to.be.false;
+    });
+
+    it('should stay inactive without the option', async () => {
+        adapterMock.config.wasserLeakEnabled = false;
+        const disabled = new LeakDetectionManager(adapterMock);
+        await disabled.initialize();
+        await disabled.handleConsumption(10);
+
+        expect(disabled.enabled).to.be.false;
+        expect(states['water.alarm.hourlyFlow']).to.be.undefined;
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const ManualReadingManager = require('../../lib/manualReadingManager');
+const BackfillManager = require('../../lib/backfillManager');
+
+describe('ManualReadingManager', () => {
+    let manualReadingManager;
+    let adapterMock;
+    let states;
+    let meter;
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(new Date(2025, 2, 11, 12, 0).getTime());
+        states = { 'water.statistics.lastYearStart': '2025-01-01 12:00:00' };
+        meter = { name: 'main', config: { sensorDP: '', offset: 0, initialReading: 0, zones: [] } };
+        adapterMock = {
+            namespace: 'nebenkosten-monitor.0',
+            config: {},
+            multiMeterManager: {
+                getMetersForType: sinon.stub().callsFake(() => [meter]),
+                updateCosts: sinon.stub().resolves(),
+                updateTotalCosts: sinon.stub().resolves(),
+            },
+            billingManager: {
+                getAmountChannel: sinon.stub().returns('costs'),
+            },
+            tariffManager: {
+                getActivePrice: sinon.stub().returns({ price: 2, name: 'Standard', zone: null }),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+        };
+        Object.assign(adapterMock, { backfillManager: new BackfillManager(adapterMock) });
+
+        manualReadingManager = new ManualReadingManager(adapterMock);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should interpolate the consumption between two readings into the period counters', async () => {
+        await manualReadingManager.addReading({ type: 'water', value: 100, date: '01.03.2025' });
+        const result = await manualReadingManager.addReading({ type: 'water', value: '110,5' });
+
+        expect(result.result).to.be.a('string');
+        // 10.5 m³ in 10 days, half a day of it today
+        expect(states['water.consumption.daily']).to.equal(0.53);
+        expect(states['water.consumption.monthly']).to.equal(10.5);
+        expect(states['water.consumption.yearly']).to.equal(10.5);
+        expect(states['water.costs.yearly']).to.equal(21);
+        expect(states['water.info.meterReading']).to.equal(110.5);
+        expect(JSON.parse(states['water.info.manualReadings'])).to.have.lengthOf(2);
+    });
+
+    it('should use the initial reading as reading at the start of the billing year', async () => {
+        meter.config.initialReading = 90;
+
+        await manualReadingManager.addReading({ type: 'water', value: 100, date: '01.03.2025' });
+
+        expect(states['water.consumption.yearly']).to.equal(10);
+        expect(states['water.consumption.monthly']).to.equal(0.08);
+    });
+
+    it('should only count the share of an interval after the start of the billing year', async () => {
+        await manualReadingManager.addReading({ type: 'water', value: 100, date: '22.12.2024' });
+        await manualReadingManager.addReading({ type: 'water', value: 120, date: '11.01.2025' });
+
+        expect(states['water.consumption.yearly']).to.equal(10);
+    });
+
+    it('should reject readings that do not fit the meter', async () => {
+        await manualReadingManager.addReading({ type: 'water', value: 100, date: '01.03.2025' });
+
+        expect((await manualReadingManager.addReading({ type: 'water', value: 90 })).error).to.be.a('string');
+        expect((await manualReadingManager.addReading({ type: 'water', value: 'abc' })).error).to.be.a('string');
+        expect((await manualReadingManager.addReading({ type: 'water', meter: 'garten', value: 1 })).error).to.be.a(
+            'string',
+        );
+
+        meter.config.sensorDP = 'zigbee.0.water';
+        expect((await manualReadingManager.addReading({ type: 'water', value: 120 })).error).to.include('Sensor');
+    });
+
+    it('should map the reading state to its meter', () => {
+        expect(
+            manualReadingManager.parseReadingStateId('nebenkosten-monitor.0.water.info.manualReading'),
+        ).to.deep.equal({ type: 'water', meter: 'main' });
+        expect(
+            manualReadingManager.parseReadingStateId('nebenkosten-monitor.0.water.garten.info.manualReading'),
+        ).to.deep.equal({ type: 'water', meter: 'garten' });
+    });
+});
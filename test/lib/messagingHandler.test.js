@@ -81,6 +81,8 @@ describe('MessagingHandler', () => {
             expect(message).to.contain('Verbrauch (Jahr): 5000 kWh');
             expect(message).to.contain('✅ Guthaben');
 
+            expect(message).to.not.contain('\\n');
+
             const todayStr = new Date().toISOString().split('T')[0];
             expect(adapterMock.setStateAsync.calledWith('info.lastMonthlyReport', todayStr, true)).to.be.true;
         });
@@ -98,6 +100,13 @@ describe('MessagingHandler', () => {
             expect(adapterMock.sendToAsync.called).to.be.false;
         });
 
+        it('should NOT send a report if a monthly report is configured in the report table', async () => {
+            adapterMock.config.notificationReports = [{ schedule: 'monthly', day: '15' }];
+            await messagingHandler.checkMonthlyReport();
+            expect(adapterMock.sendToAsync.called).to.be.false;
+            expect(adapterMock.getStateAsync.calledWith('info.lastMonthlyReport')).to.be.false;
+        });
+
         it('should NOT send a report if already sent today', async () => {
             const todayStr = new Date().toISOString().split('T')[0];
             adapterMock.getStateAsync.withArgs('info.lastMonthlyReport').resolves({ val: todayStr });
@@ -105,4 +114,199 @@ describe('MessagingHandler', () => {
             expect(adapterMock.sendToAsync.called).to.be.false;
         });
     });
+
+    describe('checkAlerts', () => {
+        let states;
+
+        beforeEach(() => {
+            states = {
+                'water.consumption.daily': 0.8,
+                'water.statistics.averageDaily': 0.2,
+                'electricity.costs.monthly': 80,
+            };
+            adapterMock.getStateAsync.callsFake(async id => (id in states ? { val: states[id] } : null));
+            adapterMock.setStateAsync.callsFake(async (id, val) => {
+                states[id] = val;
+            });
+        });
+
+        it('should send an alert once per period', async () => {
+            adapterMock.config.notificationAlerts = [
+                { enabled: true, utility: 'water', metric: 'dailyConsumption', threshold: '0,5', mode: 'period' },
+            ];
+
+            await messagingHandler.checkAlerts();
+            await messagingHandler.checkAlerts();
+
+            expect(adapterMock.sendToAsync.calledOnce).to.be.true;
+            expect(adapterMock.sendToAsync.firstCall.args[2].text).to.equal(
+                '⚠️ *💧 Wasser:* Tagesverbrauch 0.8 m³ liegt über 0.5 m³',
+            );
+        });
+
+        it('should send a hysteresis alert again after the value fell below the threshold', async () => {
+            adapterMock.config.notificationAlerts = [
+                {
+                    utility: 'strom',
+                    metric: 'monthlyCosts',
+                    threshold: 75,
+                    mode: 'hysteresis',
+                    template: 'Budget {value} €',
+                },
+            ];
+
+            await messagingHandler.checkAlerts();
+            // Still within the hysteresis band - no new alert
+            states['electricity.costs.monthly'] = 70;
+            await messagingHandler.checkAlerts();
+            states['electricity.costs.monthly'] = 80;
+            await messagingHandler.checkAlerts();
+            expect(adapterMock.sendToAsync.calledOnce).to.be.true;
+            expect(adapterMock.sendToAsync.firstCall.args[2].text).to.equal('Budget 80 €');
+
+            states['electricity.costs.monthly'] = 60;
+            await messagingHandler.checkAlerts();
+            states['electricity.costs.monthly'] = 76;
+            await messagingHandler.checkAlerts();
+            expect(adapterMock.sendToAsync.calledTwice).to.be.true;
+        });
+
+        it('should compare the daily consumption with the average', async () => {
+            adapterMock.config.notificationAlerts = [
+                { utility: 'water', metric: 'dailyVsAverage', threshold: 300, template: '{percent} % von {average}' },
+                { utility: 'water', metric: 'dailyVsAverage', threshold: 500 },
+            ];
+
+            await messagingHandler.checkAlerts();
+
+            expect(adapterMock.sendToAsync.calledOnce).to.be.true;
+            expect(adapterMock.sendToAsync.firstCall.args[2].text).to.equal('400 % von 0.2');
+        });
+
+        it('should alert a projected back payment, not a projected credit', async () => {
+            adapterMock.config.notificationAlerts = [
+                { utility: 'gas', metric: 'balance', threshold: 100, mode: 'hysteresis', template: '{value} €' },
+            ];
+            states['gas.forecast.balance'] = 150;
+            await messagingHandler.checkAlerts();
+            expect(adapterMock.sendToAsync.called).to.be.false;
+
+            states['gas.forecast.balance'] = -120;
+            await messagingHandler.checkAlerts();
+            expect(adapterMock.sendToAsync.calledOnce).to.be.true;
+            expect(adapterMock.sendToAsync.firstCall.args[2].text).to.equal('120 €');
+        });
+
+        it('should skip disabled alerts and inactive utility types', async () => {
+            adapterMock.config.wasserAktiv = false;
+            adapterMock.config.notificationAlerts = [
+                { utility: 'water', metric: 'dailyConsumption', threshold: 0.5 },
+                { enabled: false, utility: 'electricity', metric: 'monthlyCosts', threshold: 10 },
+            ];
+
+            await messagingHandler.checkAlerts();
+
+            expect(adapterMock.sendToAsync.called).to.be.false;
+        });
+    });
+
+    describe('buildPayload', () => {
+        const message = '⚠️ *Gas* & _Wasser_\nZeile 2';
+
+        it('should keep Markdown for Telegram', () => {
+            const payload = messagingHandler.buildPayload('telegram.0', message);
+            expect(payload).to.include({ text: message, parse_mode: 'Markdown' });
+        });
+
+        it('should convert the message to HTML for email', () => {
+            const payload = messagingHandler.buildPayload('email.0', message);
+            expect(payload.html).to.equal('⚠️ <b>Gas</b> &amp; <i>Wasser</i><br>\nZeile 2');
+            expect(payload.text).to.equal('⚠️ Gas & Wasser\nZeile 2');
+            expect(payload.subject).to.equal('Nebenkosten-Monitor');
+        });
+
+        it('should send plain text to Pushover unless a format is configured', () => {
+            expect(messagingHandler.buildPayload('pushover.0', message)).to.deep.equal({
+                text: '⚠️ Gas & Wasser\nZeile 2',
+                message: '⚠️ Gas & Wasser\nZeile 2',
+                title: 'Nebenkosten-Monitor',
+            });
+
+            adapterMock.config.notificationFormat = 'markdown';
+            expect(messagingHandler.buildPayload('pushover.0', message).text).to.equal(message);
+        });
+    });
+
+    describe('sendNotification', () => {
+        beforeEach(() => {
+            adapterMock.config.notificationTargets = [
+                {
+                    enabled: true,
+                    instance: 'email.0',
+                    recipient: 'ich@example.com',
+                    billing: true,
+                    reports: true,
+                    alarms: false,
+                },
+                {
+                    enabled: true,
+                    instance: 'telegram.0',
+                    recipient: '-100123',
+                    billing: false,
+                    reports: true,
+                    alarms: true,
+                },
+                { enabled: true, instance: 'pushover.0', billing: false, reports: false, alarms: true },
+                { enabled: false, instance: 'telegram.1', billing: true, reports: true, alarms: true },
+            ];
+        });
+
+        it('should route each category to the matching targets', async () => {
+            await messagingHandler.sendNotification('gas', 'Zählerstand ablesen', 'billing');
+            await messagingHandler.sendNotification('water', 'Wasser-Alarm', 'leak');
+            await messagingHandler.sendNotification('system', 'Monats-Report', 'report');
+
+            const calls = adapterMock.sendToAsync.getCalls().map(call => [call.args[0], call.args[2].text]);
+            expect(calls).to.deep.equal([
+                ['email.0', 'Zählerstand ablesen'],
+                ['telegram.0', 'Wasser-Alarm'],
+                ['pushover.0', 'Wasser-Alarm'],
+                ['email.0', 'Monats-Report'],
+                ['telegram.0', 'Monats-Report'],
+            ]);
+            expect(adapterMock.sendToAsync.firstCall.args[2].to).to.equal('ich@example.com');
+            expect(adapterMock.sendToAsync.secondCall.args[2].chatId).to.equal('-100123');
+        });
+
+        it('should report errors per target and keep sending to the others', async () => {
+            adapterMock.config.notificationTargets[1].billing = true;
+            adapterMock.sendToAsync.withArgs('email.0').rejects(new Error('SMTP nicht erreichbar'));
+
+            const results = await messagingHandler.sendNotification('gas', 'Zählerstand ablesen', 'billing');
+
+            expect(results).to.deep.equal([
+                { instance: 'email.0', sent: false, error: 'SMTP nicht erreichbar' },
+                { instance: 'telegram.0', sent: true },
+            ]);
+            expect(adapterMock.log.error.calledWithMatch('via email.0: SMTP nicht erreichbar')).to.be.true;
+            expect(adapterMock.setStateAsync.calledWith('gas.billing.notificationSent', true, true)).to.be.true;
+        });
+
+        it('should not mark the reminder as sent if all targets failed', async () => {
+            adapterMock.sendToAsync.resolves({ error: 'Unauthorized' });
+
+            const results = await messagingHandler.sendNotification('gas', 'Tarif-Check', 'change');
+
+            expect(results).to.deep.equal([{ instance: 'email.0', sent: false, error: 'Unauthorized' }]);
+            expect(adapterMock.setStateAsync.called).to.be.false;
+        });
+
+        it('should fall back to the notification instance without targets', async () => {
+            adapterMock.config.notificationTargets = [];
+
+            await messagingHandler.sendNotification('water', 'Wasser-Alarm', 'leak');
+
+            expect(adapterMock.sendToAsync.calledOnceWith('telegram.0', 'send')).to.be.true;
+        });
+    });
 });
@@ -0,0 +1,131 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const MeterExchangeManager = require('../../lib/meterExchangeManager');
+const MultiMeterManager = require('../../lib/multiMeterManager');
+const ConsumptionManager = require('../../lib/consumptionManager');
+
+describe('MeterExchangeManager', () => {
+    let meterExchangeManager;
+    let multiMeterManager;
+    let adapterMock;
+    let states;
+
+    const sensorDP = 'zigbee.0.water';
+
+    beforeEach(async () => {
+        states = {};
+        adapterMock = {
+            namespace: 'nebenkosten-monitor.0',
+            config: {
+                wasserAktiv: true,
+                wasserSensorDP: sensorDP,
+                wasserInitialReading: '900',
+            },
+            tariffManager: {
+                getActivePrice: sinon.stub().returns({ price: 2, name: 'Standard', zone: null }),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            subscribeStates: sinon.stub(),
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+            setObjectNotExistsAsync: sinon.stub().resolves(),
+        };
+
+        multiMeterManager = new MultiMeterManager(adapterMock, {}, { addDeltaCost: sinon.stub().resolves() });
+        sinon.stub(multiMeterManager, 'updateCosts').resolves();
+        sinon.stub(multiMeterManager, 'updateTotalCosts').resolves();
+        meterExchangeManager = new MeterExchangeManager(adapterMock);
+        Object.assign(adapterMock, { multiMeterManager, meterExchangeManager });
+
+        await meterExchangeManager.initializeMeter('water', 'main');
+        await multiMeterManager.handleSensorUpdate('water', 'main', sensorDP, 1000);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should apply a pending exchange when the new meter reports', async () => {
+        const result = await meterExchangeManager.exchangeMeter({ type: 'water', oldReading: '1002', newReading: 0 });
+        expect(result.result).to.include('wird beim ersten Wert');
+        expect(meterExchangeManager.getCorrection('water')).to.equal(0);
+
+        await multiMeterManager.handleSensorUpdate('water', 'main', sensorDP, 0.5);
+
+        // Rest of the old meter (2 m³) and the new meter up to its first value (0.5 m³)
+        expect(states['water.consumption.daily']).to.equal(2.5);
+        expect(states['water.consumption.yearly']).to.equal(102.5);
+        expect(states['water.info.meterReading']).to.equal(0.5);
+        expect(states['water.info.exchangeCorrection']).to.equal(1002);
+        expect(JSON.parse(states['water.info.exchanges'])[0]).to.include({ oldReading: 1002, applied: true });
+    });
+
+    it('should book the consumption lost at the drop when the exchange is entered afterwards', async () => {
+        await multiMeterManager.handleSensorUpdate('water', 'main', sensorDP, 1);
+        expect(states['water.consumption.daily']).to.be.undefined;
+
+        await meterExchangeManager.exchangeMeter({
+            type: 'water',
+            oldReading: 1002,
+            newReading: 0,
+            date: '18.10.2026',
+        });
+        expect(states['water.consumption.daily']).to.equal(3);
+
+        await multiMeterManager.handleSensorUpdate('water', 'main', sensorDP, 2);
+        expect(states['water.consumption.daily']).to.equal(4);
+        expect(states['water.consumption.yearly']).to.equal(104);
+    });
+
+    it('should record a drop of the main meter reported through the consumption manager', async () => {
+        const consumptionManager = new ConsumptionManager(adapterMock);
+        await consumptionManager.handleSensorUpdate('water', sensorDP, 1);
+
+        await meterExchangeManager.exchangeMeter({
+            type: 'water',
+            oldReading: 1002,
+            newReading: 0,
+            date: '18.10.2026',
+        });
+        expect(states['water.consumption.daily']).to.equal(3);
+        expect(meterExchangeManager.getCorrection('water')).to.equal(1002);
+    });
+
+    it('should restore the correction and a pending exchange after a restart', async () => {
+        states['water.info.exchangeCorrection'] = 500;
+        states['water.info.exchanges'] = JSON.stringify([
+            { date: '2026-10-18 12:00:00', oldReading: 800, newReading: 0, correction: 800, applied: false },
+        ]);
+
+        const restarted = new MeterExchangeManager(adapterMock);
+        await restarted.initializeMeter('water', 'main');
+
+        expect(restarted.getCorrection('water')).to.equal(500);
+        expect(restarted.pending.water).to.include({ oldReading: 800 });
+    });
+
+    it('should continue counting after a counter rollover', async () => {
+        adapterMock.config.wasserMaxReading = '1005';
+
+        await multiMeterManager.handleSensorUpdate('water', 'main', sensorDP, 2);
+
+        expect(states['water.consumption.daily']).to.equal(7);
+        expect(states['water.consumption.yearly']).to.equal(107);
+        expect(states['water.info.meterReading']).to.equal(2);
+        expect(states['water.info.exchangeCorrection']).to.equal(1005);
+        expect(JSON.parse(states['water.info.exchanges'])[0]).to.include({ rollover: true, correction: 1005 });
+    });
+
+    it('should reject invalid exchanges', async () => {
+        expect((await meterExchangeManager.exchangeMeter({ type: 'water', oldReading: 0 })).error).to.be.a('string');
+        expect((await meterExchangeManager.exchangeMeter({ type: 'gas', oldReading: 10 })).error).to.be.a('string');
+    });
+});
@@ -0,0 +1,220 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const MultiMeterManager = require('../../lib/multiMeterManager');
+const LeakDetectionManager = require('../../lib/leakDetectionManager');
+const StockManager = require('../../lib/stockManager');
+const utilityTypes = require('../../lib/utilityTypes');
+
+describe('MultiMeterManager', () => {
+    let multiMeterManager;
+    let adapterMock;
+    let billingManagerMock;
+    let states;
+
+    beforeEach(() => {
+        states = {};
+        adapterMock = {
+            config: {
+                stromAktiv: true,
+                stromSensorDP: 'smartmeter.0.1-0:1_8_0',
+                stromExportSensorDP: 'smartmeter.0.1-0:2_8_0',
+                stromExportPreis: '0,082',
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+        };
+        billingManagerMock = {
+            addConsumptionCost: sinon.stub().resolves(),
+        };
+
+        multiMeterManager = new MultiMeterManager(adapterMock, {}, billingManagerMock);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('bidirectional meter', () => {
+        it('should parse the export sensor and feed-in tariff of the main meter', () => {
+            const [main] = multiMeterManager.getMetersForType('electricity');
+            expect(main.config.exportSensorDP).to.equal('smartmeter.0.1-0:2_8_0');
+            expect(main.config.exportPreis).to.equal(0.082);
+        });
+
+        it('should count export deltas and credit them as revenue', async () => {
+            multiMeterManager.meterRegistry['smartmeter.0.1-0:2_8_0'] = {
+                type: 'electricity',
+                meterName: 'main',
+                direction: 'export',
+            };
+
+            await multiMeterManager.handleSensorUpdate('electricity', 'main', 'smartmeter.0.1-0:2_8_0', 500);
+            await multiMeterManager.handleSensorUpdate('electricity', 'main', 'smartmeter.0.1-0:2_8_0', 510);
+
+            expect(states['electricity.export.meterReading']).to.equal(510);
+            expect(states['electricity.export.daily']).to.equal(10);
+            expect(states['electricity.export.yearly']).to.equal(10);
+            expect(states).to.not.have.property('electricity.consumption.daily');
+            expect(billingManagerMock.addConsumptionCost.calledOnce).to.be.true;
+            const [basePath, revenue, , channel] = billingManagerMock.addConsumptionCost.firstCall.args;
+            expect(basePath).to.equal('electricity');
+            expect(revenue).to.be.closeTo(0.82, 0.0001);
+            expect(channel).to.equal('revenue');
+        });
+
+        it('should write the net reading once both readings are known', async () => {
+            multiMeterManager.lastSensorValues['smartmeter.0.1-0:1_8_0'] = 4200;
+
+            await multiMeterManager.handleExportUpdate('electricity', 'main', 'smartmeter.0.1-0:2_8_0', 1700);
+
+            expect(states['electricity.info.netReading']).to.equal(2500);
+        });
+    });
+
+    describe('wastewater', () => {
+        beforeEach(() => {
+            Object.assign(adapterMock.config, {
+                wasserAktiv: true,
+                wasserSensorDP: 'zigbee.0.water',
+                wasserAbwasserPreis: '3,00',
+                wasserAdditionalMeters: [{ name: 'Garten', sensorDP: 'zigbee.0.garden', gartenwasser: true }],
+            });
+            Object.assign(states, {
+                'water.consumption.daily': 1,
+                'water.consumption.monthly': 10,
+                'water.consumption.yearly': 100,
+                'water.garten.consumption.daily': 0.5,
+                'water.garten.consumption.monthly': 5,
+                'water.garten.consumption.yearly': 30,
+            });
+        });
+
+        it('should inherit the wastewater price of the main meter', () => {
+            const [main, garden] = multiMeterManager.getMetersForType('water');
+            expect(main.config.abwasserPreis).to.equal(3);
+            expect(garden.config.abwasserPreis).to.equal(3);
+            expect(garden.config.gartenwasser).to.be.true;
+        });
+
+        it('should deduct the Gartenwasser from the wastewater of the main meter', async () => {
+            const [main, garden] = multiMeterManager.getMetersForType('water');
+
+            const mainCosts = await multiMeterManager.updateWastewaterCosts('water', 'main', main.config);
+            const gardenCosts = await multiMeterManager.updateWastewaterCosts('water.garten', 'garten', garden.config);
+
+            expect(mainCosts).to.equal(210);
+            expect(gardenCosts).to.equal(0);
+            expect(states['water.consumption.wastewaterYearly']).to.equal(70);
+            expect(states['water.costs.wastewaterDaily']).to.equal(1.5);
+            expect(states['water.costs.wastewaterMonthly']).to.equal(15);
+            expect(states['water.garten.costs.wastewaterYearly']).to.equal(0);
+
+            await multiMeterManager.updateTotalCosts('water');
+
+            expect(states['water.totals.consumption.wastewaterYearly']).to.equal(70);
+            expect(states['water.totals.costs.wastewaterYearly']).to.equal(210);
+        });
+    });
+
+    describe('unit factor', () => {
+        beforeEach(() => {
+            adapterMock.config.customUtilities = [{ id: 'fernwaerme', name: 'Fernwärme', unit: 'MWh', factor: 0.001 }];
+            utilityTypes.applyCustomUtilityConfig(adapterMock.config, 'nebenkosten-monitor.0');
+            Object.assign(adapterMock.config, {
+                fernwaermeSensorDP: 'mbus.0.heat',
+                fernwaermeAdditionalMeters: [{ name: 'Anbau', sensorDP: 'mbus.0.annex' }],
+            });
+            adapterMock.tariffManager = {
+                getActivePrice: sinon.stub().returns({ price: 90, name: 'Standard', zone: null }),
+            };
+        });
+
+        it('should convert the consumption of additional meters of custom types', async () => {
+            const [main, annex] = multiMeterManager.getMetersForType('fernwaerme');
+            expect(main.config.factor).to.equal(0.001);
+            expect(annex.config.factor).to.equal(0.001);
+
+            multiMeterManager.updateCosts = sinon.stub().resolves();
+            multiMeterManager.updateTotalCosts = sinon.stub().resolves();
+            billingManagerMock.addDeltaCost = sinon.stub().resolves();
+            await multiMeterManager.handleSensorUpdate('fernwaerme', 'anbau', 'mbus.0.annex', 12000);
+            await multiMeterManager.handleSensorUpdate('fernwaerme', 'anbau', 'mbus.0.annex', 14500);
+
+            expect(states['fernwaerme.anbau.consumption.daily']).to.equal(2.5);
+            expect(states['fernwaerme.anbau.consumption.yearly']).to.equal(2.5);
+            expect(billingManagerMock.addDeltaCost.firstCall.args[3]).to.equal(2.5);
+        });
+    });
+
+    describe('cleanupRemovedMeters', () => {
+        /** @type {Record<string, object>} */
+        let objects;
+
+        beforeEach(() => {
+            objects = {};
+            Object.assign(adapterMock, {
+                namespace: 'nebenkosten-monitor.0',
+                setObjectNotExistsAsync: sinon.stub().callsFake(async (id, obj) => {
+                    objects[id] = objects[id] || obj;
+                }),
+                getObjectAsync: sinon.stub().callsFake(async id => objects[id] || null),
+                getObjectListAsync: sinon.stub().callsFake(async () => ({
+                    rows: Object.keys(objects).map(id => ({ id: `nebenkosten-monitor.0.${id}` })),
+                })),
+                delObjectAsync: sinon.stub().callsFake(async id => {
+                    for (const key of Object.keys(objects)) {
+                        if (key === id || key.startsWith(`${id}.`)) {
+                            delete objects[key];
+                        }
+                    }
+                }),
+            });
+            objects.water = { type: 'channel' };
+            objects['water.consumption'] = { type: 'channel' };
+            objects['water.keller'] = { type: 'channel' };
+            objects['water.keller.consumption.daily'] = { type: 'state' };
+        });
+
+        it('should keep the leak alarm states created before the meters', async () => {
+            Object.assign(adapterMock.config, { wasserAktiv: true, wasserLeakEnabled: true });
+            await new LeakDetectionManager(adapterMock).initialize();
+            expect(objects).to.have.property('water.alarm.leak');
+
+            await multiMeterManager.cleanupRemovedMeters('water', [{ name: 'main' }]);
+
+            expect(objects).to.have.property('water.alarm');
+            expect(objects).to.have.property('water.alarm.leak');
+            expect(objects).to.have.property('water.consumption');
+            expect(objects).to.not.have.property('water.keller');
+            expect(objects).to.not.have.property('water.keller.consumption.daily');
+        });
+
+        it('should keep the stock states of stock utilities', async () => {
+            Object.assign(adapterMock, {
+                subscribeStates: sinon.stub(),
+                subscribeForeignStates: sinon.stub(),
+                getForeignStateAsync: sinon.stub().resolves(null),
+            });
+            adapterMock.config.customUtilities = [{ id: 'heizoel', name: 'Heizöl', unit: 'L', mode: 'stock' }];
+            utilityTypes.applyCustomUtilityConfig(adapterMock.config, adapterMock.namespace);
+            objects.heizoel = { type: 'channel' };
+            await new StockManager(adapterMock).initialize();
+            expect(objects).to.have.property('heizoel.stock.deliveries');
+
+            await multiMeterManager.cleanupRemovedMeters('heizoel', [{ name: 'main' }]);
+
+            expect(objects).to.have.property('heizoel.stock.deliveries');
+            expect(objects).to.have.property('heizoel.stock.consumedTotal');
+            expect(objects).to.have.property('heizoel.stock.level');
+        });
+    });
+});
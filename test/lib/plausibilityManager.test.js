@@ -0,0 +1,150 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const PlausibilityManager = require('../../lib/plausibilityManager');
+const MultiMeterManager = require('../../lib/multiMeterManager');
+const ConsumptionManager = require('../../lib/consumptionManager');
+
+describe('PlausibilityManager', () => {
+    let plausibilityManager;
+    let multiMeterManager;
+    let adapterMock;
+    let states;
+    let clock;
+
+    const sensorDP = 'zigbee.0.water';
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers(new Date(2025, 2, 11, 12, 0).getTime());
+        states = {};
+        adapterMock = {
+            namespace: 'nebenkosten-monitor.0',
+            config: {
+                wasserAktiv: true,
+                wasserSensorDP: sensorDP,
+                wasserMaxDelta: '5',
+                wasserMaxFlowRate: '2',
+            },
+            tariffManager: {
+                getActivePrice: sinon.stub().returns({ price: 2, name: 'Standard', zone: null }),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+            setObjectNotExistsAsync: sinon.stub().resolves(),
+        };
+
+        multiMeterManager = new MultiMeterManager(adapterMock, {}, { addDeltaCost: sinon.stub().resolves() });
+        sinon.stub(multiMeterManager, 'updateCosts').resolves();
+        sinon.stub(multiMeterManager, 'updateTotalCosts').resolves();
+        plausibilityManager = new PlausibilityManager(adapterMock);
+        Object.assign(adapterMock, { multiMeterManager, plausibilityManager });
+
+        const config = multiMeterManager.getMetersForType('water')[0].config;
+        await plausibilityManager.initializeMeter('water', 'main', config);
+        await multiMeterManager.handleSensorUpdate('water', 'main', sensorDP, 1000);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        sinon.restore();
+    });
+
+    /**
+     * Sends a sensor value some minutes after the previous one
+     *
+     * @param {number} value - Sensor value
+     * @param {number} [minutes] - Minutes since the previous value
+     */
+    async function update(value, minutes = 60) {
+        clock.tick(minutes * 60 * 1000);
+        await multiMeterManager.handleSensorUpdate('water', 'main', sensorDP, value);
+    }
+
+    it('should discard a spike when the next value continues from the last reading', async () => {
+        await update(10000);
+        expect(states['water.info.meterReading']).to.equal(1000);
+        expect(states['water.consumption.daily']).to.be.undefined;
+
+        await update(1000.5);
+        expect(states['water.consumption.daily']).to.equal(0.5);
+        expect(states['water.info.rejectedValues']).to.equal(1);
+        expect(JSON.parse(states['water.info.rejectedLog'])[0]).to.include({ value: 10000 });
+    });
+
+    it('should discard a reading that glitches to 0', async () => {
+        await update(0);
+        await update(1001);
+
+        expect(states['water.consumption.daily']).to.equal(1);
+        expect(states['water.info.meterReading']).to.equal(1001);
+        expect(states['water.info.rejectedValues']).to.equal(1);
+    });
+
+    it('should accept a jump confirmed by the next value', async () => {
+        await update(1008);
+        await update(1008.1, 5);
+
+        expect(states['water.consumption.daily']).to.equal(8.1);
+        expect(states['water.info.rejectedValues']).to.be.undefined;
+    });
+
+    it('should hold back values above the maximum flow rate', async () => {
+        await update(1001, 30);
+        expect(states['water.consumption.daily']).to.equal(1);
+
+        // 1.5 m³ in 10 minutes = 9 m³/h
+        await update(1002.5, 10);
+        expect(states['water.consumption.daily']).to.equal(1);
+
+        await update(1001.2, 10);
+        expect(states['water.consumption.daily']).to.equal(1.2);
+        expect(states['water.info.rejectedValues']).to.equal(1);
+    });
+
+    it('should keep holding back a value after a restart', async () => {
+        adapterMock.config.wasserInitialReading = '900';
+        await update(10000);
+
+        // Restart: new managers, the sensor still reports the spike
+        Object.assign(adapterMock, {
+            subscribeForeignStates: sinon.stub(),
+            getForeignStateAsync: sinon.stub().resolves({ val: 10000, ts: Date.now() }),
+            getObjectAsync: sinon.stub().resolves(null),
+            tariffManager: { ...adapterMock.tariffManager, getMeterConfig: sinon.stub().returns(null) },
+        });
+        const billingManager = {
+            addDeltaCost: sinon.stub().resolves(),
+            addConsumptionCost: sinon.stub().resolves(),
+            getAmountChannel: () => 'costs',
+        };
+        multiMeterManager = new MultiMeterManager(adapterMock, {}, billingManager);
+        sinon.stub(multiMeterManager, 'updateCosts').resolves();
+        sinon.stub(multiMeterManager, 'updateTotalCosts').resolves();
+        plausibilityManager = new PlausibilityManager(adapterMock);
+        Object.assign(adapterMock, { multiMeterManager, plausibilityManager });
+        await new ConsumptionManager(adapterMock).initializeUtility('water', true);
+
+        expect(states['water.info.meterReading']).to.equal(1000);
+        expect(states['water.consumption.daily']).to.be.undefined;
+        expect(states['water.consumption.yearly']).to.equal(100);
+        expect(billingManager.addConsumptionCost.firstCall.args[1]).to.equal(200);
+
+        await update(1000.5);
+        expect(states['water.consumption.daily']).to.equal(0.5);
+        expect(states['water.info.rejectedValues']).to.equal(1);
+    });
+
+    it('should not filter meters without limits', async () => {
+        const config = { maxDelta: 0, maxFlowRate: 0 };
+        expect(await plausibilityManager.checkReading('gas', config, 100, 5000)).to.be.true;
+        expect(await plausibilityManager.checkReading('gas', config, 100, 0)).to.be.true;
+    });
+});
@@ -0,0 +1,88 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const PvManager = require('../../lib/pvManager');
+
+describe('PvManager', () => {
+    let pvManager;
+    let adapterMock;
+    let states;
+
+    beforeEach(() => {
+        states = {};
+        adapterMock = {
+            config: {
+                pvAktiv: true,
+                stromAktiv: true,
+                pvProductionSensorDP: 'modbus.0.inverter.totalYield',
+            },
+            multiMeterManager: {
+                getMetersForType: sinon.stub().returns([{ name: 'main' }]),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            subscribeForeignStates: sinon.stub(),
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+            setObjectNotExistsAsync: sinon.stub().resolves(),
+        };
+
+        pvManager = new PvManager(adapterMock);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should subscribe the production sensor and restore the last reading', async () => {
+        states['pv.production.meterReading'] = 1200;
+
+        await pvManager.initialize();
+
+        expect(adapterMock.subscribeForeignStates.calledWith('modbus.0.inverter.totalYield')).to.be.true;
+        expect(pvManager.isProductionDP('modbus.0.inverter.totalYield')).to.be.true;
+        expect(pvManager.lastProductionValue).to.equal(1200);
+    });
+
+    it('should add production deltas and derive self-consumption and autarky', async () => {
+        await pvManager.initialize();
+        states['pv.consumption.daily'] = 4;
+        states['electricity.consumption.daily'] = 6;
+
+        await pvManager.handleProductionUpdate(1000);
+        await pvManager.handleProductionUpdate(1010);
+
+        expect(states['pv.production.daily']).to.equal(10);
+        expect(states['pv.selfConsumption.daily']).to.equal(6);
+        expect(states['pv.selfConsumption.rateDaily']).to.equal(60);
+        expect(states['pv.selfConsumption.autarkyDaily']).to.equal(50);
+    });
+
+    it('should calculate the net electricity balance from grid costs and feed-in revenue', async () => {
+        states['electricity.costs.monthly'] = 45.5;
+        states['pv.revenue.monthly'] = 12.3;
+        states['electricity.costs.totalYearly'] = 800;
+        states['pv.revenue.netYearly'] = 150;
+
+        await pvManager.updateBalances();
+
+        expect(states['electricity.net.monthly']).to.equal(33.2);
+        expect(states['electricity.net.yearly']).to.equal(650);
+    });
+
+    it('should use the totals of multiple meters', async () => {
+        adapterMock.multiMeterManager.getMetersForType.returns([{ name: 'main' }, { name: 'carport' }]);
+        states['electricity.totals.costs.daily'] = 5;
+        states['pv.totals.revenue.daily'] = 2;
+
+        await pvManager.updateBalances();
+
+        expect(states['electricity.net.daily']).to.equal(3);
+    });
+});
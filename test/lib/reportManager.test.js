@@ -0,0 +1,129 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const ReportManager = require('../../lib/reportManager');
+
+describe('ReportManager', () => {
+    let reportManager;
+    let adapterMock;
+    let states;
+
+    // Tuesday, 11.03.2025
+    const tuesday = new Date(2025, 2, 11, 9, 0);
+
+    beforeEach(() => {
+        states = {
+            'electricity.consumption.monthly': 123.456,
+            'gas.forecast.balance': -42.5,
+        };
+        adapterMock = {
+            config: {
+                notificationEnabled: true,
+                notificationInstance: 'telegram.0',
+                notificationReports: [],
+            },
+            messagingHandler: {
+                sendNotification: sinon.stub().resolves(),
+                buildSummary: sinon.stub().resolves('*⚡ Strom*\nVerbrauch (Jahr): 1000 kWh'),
+                renderTemplate: (template, values) =>
+                    template.replace(/\{([\w.]+)\}/g, (match, key) => (key in values ? String(values[key]) : match)),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+        };
+
+        reportManager = new ReportManager(adapterMock);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should send a weekly report once per week', async () => {
+        adapterMock.config.notificationReports = [{ enabled: true, schedule: 'weekly', day: '2', time: '08:00' }];
+
+        await reportManager.checkReports(tuesday);
+        await reportManager.checkReports(new Date(2025, 2, 11, 18, 0));
+
+        expect(adapterMock.messagingHandler.sendNotification.calledOnce).to.be.true;
+        const [type, message, reminderType] = adapterMock.messagingHandler.sendNotification.firstCall.args;
+        expect(type).to.equal('system');
+        expect(reminderType).to.equal('report');
+        expect(message).to.equal('📊 *Wochen-Report* (KW 11/2025)\n\n*⚡ Strom*\nVerbrauch (Jahr): 1000 kWh');
+        expect(JSON.parse(states['info.reportStates'])).to.deep.equal({ weekly: '2025-W11' });
+
+        // Next week
+        await reportManager.checkReports(new Date(2025, 2, 18, 9, 0));
+        expect(adapterMock.messagingHandler.sendNotification.calledTwice).to.be.true;
+    });
+
+    it('should fill state placeholders of the template', async () => {
+        adapterMock.config.notificationReports = [
+            {
+                schedule: 'daily',
+                title: 'Kurzbericht',
+                template:
+                    '*{title}* {date}\\nStrom: {electricity.consumption.monthly} kWh, Gas: {gas.forecast.balance} €, PV: {pv.consumption.daily}',
+            },
+        ];
+
+        await reportManager.checkReports(tuesday);
+
+        expect(adapterMock.messagingHandler.sendNotification.firstCall.args[1]).to.equal(
+            '*Kurzbericht* 11.3.2025\nStrom: 123.46 kWh, Gas: -42.5 €, PV: -',
+        );
+        expect(adapterMock.messagingHandler.buildSummary.called).to.be.false;
+    });
+
+    it('should wait for the configured day and time', async () => {
+        adapterMock.config.notificationReports = [
+            { schedule: 'daily', time: '20:00' },
+            { schedule: 'weekly', day: '1' },
+            { schedule: 'monthly', day: '1' },
+            { schedule: 'yearly', day: '31.12' },
+        ];
+
+        await reportManager.checkReports(tuesday);
+
+        expect(adapterMock.messagingHandler.sendNotification.called).to.be.false;
+        expect(states['info.reportStates']).to.be.undefined;
+    });
+
+    it('should send monthly and yearly reports on their day', async () => {
+        adapterMock.config.notificationReports = [
+            { schedule: 'monthly', day: '11' },
+            { schedule: 'yearly', day: '11.03', template: '{title} {period}' },
+            { enabled: false, schedule: 'daily' },
+        ];
+
+        await reportManager.checkReports(tuesday);
+
+        expect(adapterMock.messagingHandler.sendNotification.calledTwice).to.be.true;
+        expect(adapterMock.messagingHandler.sendNotification.firstCall.args[1]).to.contain('Monats-Report');
+        expect(adapterMock.messagingHandler.sendNotification.secondCall.args[1]).to.equal('Jahres-Report 2025');
+        expect(JSON.parse(states['info.reportStates'])).to.deep.equal({ monthly: '2025-03', yearly: '2025' });
+    });
+
+    it('should not resend a report when the rows are reordered', async () => {
+        const weekly = { schedule: 'weekly', day: '2', title: 'Woche' };
+        const daily = { schedule: 'daily', title: 'Tag' };
+        adapterMock.config.notificationReports = [weekly, daily];
+        await reportManager.checkReports(tuesday);
+
+        adapterMock.config.notificationReports = [daily, weekly];
+        await reportManager.checkReports(new Date(2025, 2, 11, 18, 0));
+
+        expect(adapterMock.messagingHandler.sendNotification.calledTwice).to.be.true;
+        expect(JSON.parse(states['info.reportStates'])).to.deep.equal({
+            'weekly.Woche': '2025-W11',
+            'daily.Tag': '2025-03-11',
+        });
+    });
+});
@@ -0,0 +1,106 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const StockManager = require('../../lib/stockManager');
+const utilityTypes = require('../../lib/utilityTypes');
+
+describe('StockManager', () => {
+    let stockManager;
+    let adapterMock;
+    let states;
+
+    beforeEach(async () => {
+        states = {};
+        adapterMock = {
+            namespace: 'nebenkosten-monitor.0',
+            config: {
+                customUtilities: [
+                    { id: 'heizoel', name: 'Heizöl', unit: 'L', mode: 'stock', sensorDP: 'tank.0.level' },
+                    { id: 'pellets', unit: 'kg', mode: 'stock' },
+                    { id: 'fernwaerme', unit: 'MWh' },
+                ],
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            subscribeStates: sinon.stub(),
+            subscribeForeignStates: sinon.stub(),
+            getForeignStateAsync: sinon.stub().resolves(null),
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+            setObjectNotExistsAsync: sinon.stub().resolves(),
+        };
+        utilityTypes.applyCustomUtilityConfig(adapterMock.config, adapterMock.namespace);
+
+        stockManager = new StockManager(adapterMock);
+        await stockManager.initialize();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should use the virtual meter reading as sensor and subscribe the level sensor', () => {
+        expect(adapterMock.config.heizoelSensorDP).to.equal('nebenkosten-monitor.0.heizoel.stock.consumedTotal');
+        expect(adapterMock.config.heizoelLevelDP).to.equal('tank.0.level');
+        expect(adapterMock.config.fernwaermeLevelDP).to.be.undefined;
+        expect(adapterMock.subscribeForeignStates.calledWith('tank.0.level')).to.be.true;
+        expect(stockManager.findTypeByLevelDP('tank.0.level')).to.equal('heizoel');
+    });
+
+    it('should count level decreases as consumption and ignore small increases of the sensor', async () => {
+        await stockManager.handleLevelUpdate('heizoel', 2000, true);
+        await stockManager.handleLevelUpdate('heizoel', 1950, true);
+        await stockManager.handleLevelUpdate('heizoel', 1960, true);
+        await stockManager.handleLevelUpdate('heizoel', '1940,5', true);
+
+        expect(states['heizoel.stock.consumedTotal']).to.equal(59.5);
+        expect(states['heizoel.stock.level']).to.equal(1940.5);
+
+        // Refill: the level rises without consumption
+        await stockManager.handleLevelUpdate('heizoel', 3000, true);
+        expect(states['heizoel.stock.level']).to.equal(3000);
+        expect(states['heizoel.stock.consumedTotal']).to.equal(59.5);
+    });
+
+    it('should book deliveries and add them to the level without sensor', async () => {
+        const result = await stockManager.bookDelivery('pellets', { amount: '2000', price: '700', date: '01.09.2025' });
+
+        expect(result.result).to.include('2000 kg');
+        expect(states['pellets.stock.level']).to.equal(2000);
+        expect(states['pellets.stock.value']).to.equal(700);
+        expect(states['pellets.stock.currentPrice']).to.equal(0.35);
+
+        expect((await stockManager.bookDelivery('pellets', { amount: 0, price: 10 })).error).to.be.a('string');
+        expect((await stockManager.bookDelivery('fernwaerme', { amount: 1, price: 1 })).error).to.be.a('string');
+    });
+
+    it('should price the consumption FIFO across deliveries', async () => {
+        await stockManager.bookDelivery('pellets', { amount: 1000, price: 400, date: '01.10.2025' });
+        await stockManager.bookDelivery('pellets', { amount: 1000, price: 300, date: '01.04.2025' });
+
+        // 800 kg of the older delivery at 0.30 €/kg, 400 kg at 0.40 €/kg
+        expect(await stockManager.consumeStock('pellets', 800, 1)).to.be.closeTo(240, 0.001);
+        expect(await stockManager.consumeStock('pellets', 600, 1)).to.be.closeTo(60 + 160, 0.001);
+        expect(states['pellets.stock.currentPrice']).to.equal(0.4);
+        expect(states['pellets.stock.value']).to.equal(240);
+
+        // Consumption without booked stock uses the fallback price
+        expect(await stockManager.consumeStock('pellets', 700, 0.5)).to.be.closeTo(240 + 50, 0.001);
+        expect(await stockManager.consumeStock('fernwaerme', 10, 1)).to.be.null;
+    });
+
+    it('should estimate the days until the stock is empty', async () => {
+        states['pellets.history.days'] = JSON.stringify(
+            new Array(10).fill(0).map((_, i) => ({ date: `2025-01-${10 + i}`, consumption: 20 })),
+        );
+        await stockManager.bookDelivery('pellets', { amount: 1000, price: 350 });
+
+        expect(states['pellets.stock.daysUntilEmpty']).to.equal(50);
+    });
+});
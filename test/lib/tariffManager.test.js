@@ -0,0 +1,174 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const TariffManager = require('../../lib/tariffManager');
+const { buildHtNtZones, parseTariffZones } = require('../../lib/configParser');
+
+describe('TariffManager', () => {
+    let tariffManager;
+    let adapterMock;
+    let clock;
+
+    beforeEach(() => {
+        adapterMock = {
+            config: {
+                stromHtStart: '08:00',
+                stromHtEnd: '20:00',
+            },
+            consumptionManager: {
+                getConfigType: sinon.stub().callsFake(type => {
+                    const map = { electricity: 'strom', water: 'wasser', gas: 'gas', pv: 'pv' };
+                    return map[type] || type;
+                }),
+                updateCurrentPrice: sinon.stub().resolves(),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+        };
+
+        tariffManager = new TariffManager(adapterMock);
+    });
+
+    afterEach(() => {
+        if (clock) {
+            clock.restore();
+            clock = null;
+        }
+        tariffManager.clearTimers();
+        sinon.restore();
+    });
+
+    describe('getActivePrice', () => {
+        const heatPump = {
+            preis: 0.3,
+            htNtEnabled: true,
+            htPrice: 0.28,
+            ntPrice: 0.21,
+            zones: buildHtNtZones('06:00', '22:00'),
+        };
+
+        it('should use the HT price inside the HT window of the meter', () => {
+            clock = sinon.useFakeTimers(new Date(2025, 2, 1, 7, 0).getTime());
+            expect(tariffManager.getActivePrice('electricity', heatPump)).to.deep.equal({
+                price: 0.28,
+                name: 'Haupttarif (HT)',
+                zone: 'HT',
+            });
+        });
+
+        it('should use the NT price outside the HT window of the meter', () => {
+            clock = sinon.useFakeTimers(new Date(2025, 2, 1, 23, 0).getTime());
+            expect(tariffManager.getActivePrice('electricity', heatPump).zone).to.equal('NT');
+        });
+
+        describe('zone schedule', () => {
+            const config = {
+                preis: 0.3,
+                zoneHolidays: true,
+                zones: parseTariffZones([
+                    { zone: 'HT', price: '0,35', days: 'Mo-Fr', from: '17:00', to: '20:00' },
+                    { zone: 'NT', price: '0,12', days: 'Mo-Fr', from: '00:00', to: '06:00' },
+                    { zone: 'NT', days: 'Sa,So' },
+                    { zone: 'ST', price: '0,28' },
+                ]),
+            };
+
+            it('should pick the first zone matching weekday and time window', () => {
+                clock = sinon.useFakeTimers(new Date(2025, 2, 4, 18, 30).getTime()); // Tuesday
+                expect(tariffManager.getActivePrice('electricity', config)).to.deep.equal({
+                    price: 0.35,
+                    name: 'Haupttarif (HT)',
+                    zone: 'HT',
+                });
+            });
+
+            it('should fall back to the zone without time window', () => {
+                clock = sinon.useFakeTimers(new Date(2025, 2, 4, 12, 0).getTime());
+                expect(tariffManager.getActivePrice('electricity', config).zone).to.equal('ST');
+            });
+
+            it('should use the zone price of another row of the same zone on weekends', () => {
+                clock = sinon.useFakeTimers(new Date(2025, 2, 8, 18, 30).getTime()); // Saturday
+                expect(tariffManager.getActivePrice('electricity', config).price).to.equal(0.12);
+            });
+
+            it('should treat public holidays like Sundays', () => {
+                clock = sinon.useFakeTimers(new Date(2025, 9, 3, 18, 30).getTime()); // Friday, Tag der Deutschen Einheit
+                expect(tariffManager.getActivePrice('electricity', config).zone).to.equal('NT');
+            });
+
+            it('should list all zones of a meter', () => {
+                expect(tariffManager.getZoneNames(config)).to.deep.equal(['HT', 'NT', 'ST']);
+            });
+        });
+
+        it('should use the dynamic price when a price datapoint is configured', async () => {
+            adapterMock.config.stromPriceSource = 'state';
+            adapterMock.config.stromPriceDP = 'tibberlink.0.currentPrice';
+            adapterMock.subscribeForeignStates = sinon.stub();
+            adapterMock.getForeignStateAsync = sinon.stub().resolves({ val: '0,315' });
+
+            await tariffManager.initDynamicPrice('electricity');
+
+            expect(tariffManager.isPriceDP('tibberlink.0.currentPrice')).to.be.true;
+            expect(tariffManager.getActivePrice('electricity', { preis: 0.3, priceSource: 'state' }).price).to.equal(
+                0.315,
+            );
+        });
+    });
+
+    describe('price curve', () => {
+        it('should log a failed price update at the slot change and keep scheduling', async () => {
+            clock = sinon.useFakeTimers(new Date(2025, 2, 1, 12, 0).getTime());
+            const start = Date.now();
+            tariffManager.dynamicPrices.electricity = {
+                source: 'curve',
+                curve: [
+                    { start, end: start + 15 * 60 * 1000, price: 0.3 },
+                    { start: start + 15 * 60 * 1000, end: start + 30 * 60 * 1000, price: 0.25 },
+                ],
+            };
+            adapterMock.consumptionManager.updateCurrentPrice.rejects(new Error('State write failed'));
+
+            tariffManager.scheduleSlotUpdate('electricity');
+            await clock.tickAsync(15 * 60 * 1000 + 100);
+
+            expect(adapterMock.log.error.calledWithMatch('State write failed')).to.be.true;
+            expect(tariffManager.slotTimers).to.have.property('electricity');
+        });
+    });
+
+    describe('gas factors', () => {
+        beforeEach(() => {
+            Object.assign(adapterMock.config, {
+                gasBrennwert: '11,5',
+                gasZahl: '0,95',
+                gasFactorHistory: [
+                    { validFrom: '01.07.2025', brennwert: '11,2', zZahl: '' },
+                    { validFrom: '01.01.2025', brennwert: '', zZahl: '0,96' },
+                ],
+            });
+        });
+
+        it('should use the values valid at the given date and inherit empty cells', () => {
+            expect(tariffManager.getGasFactors(new Date(2024, 11, 31))).to.deep.equal({ brennwert: 11.5, zZahl: 0.95 });
+            expect(tariffManager.getGasFactors(new Date(2025, 2, 1))).to.deep.equal({ brennwert: 11.5, zZahl: 0.96 });
+            expect(tariffManager.getGasFactors(new Date(2025, 7, 1))).to.deep.equal({ brennwert: 11.2, zZahl: 0.96 });
+        });
+
+        it('should only convert the volume consumed since the last known value', async () => {
+            clock = sinon.useFakeTimers(new Date(2025, 7, 1).getTime());
+            const states = { 'gas.consumption.yearlyVolume': 100, 'gas.consumption.yearly': 1104 };
+            adapterMock.getStateAsync = sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null));
+
+            // 10 m³ with 11,2 × 0,96 on top of the kWh already converted with the old Brennwert
+            expect(await tariffManager.convertYearlyVolume('gas', 110)).to.be.closeTo(1211.52, 0.001);
+            // Lower volume (new billing period): full conversion
+            expect(await tariffManager.convertYearlyVolume('gas', 50)).to.be.closeTo(537.6, 0.001);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+'use strict';
+const expect = require('chai').expect;
+const utilityTypes = require('../../lib/utilityTypes');
+
+describe('utilityTypes', () => {
+    let config;
+
+    beforeEach(() => {
+        config = {
+            customUtilities: [
+                {
+                    aktiv: true,
+                    id: 'Fernwaerme',
+                    name: 'Fernwärme',
+                    unit: 'MWh',
+                    readingUnit: 'kWh',
+                    factor: '0,001',
+                    sensorDP: 'modbus.0.heat',
+                    preis: '95,50',
+                    notification: true,
+                },
+                { id: 'pellets', unit: 'kg', profile: 'flat' },
+                { id: 'gas', name: 'Noch mehr Gas' },
+                { id: 'pellets', name: 'Doppelt' },
+                { name: 'Ohne ID' },
+            ],
+        };
+    });
+
+    it('should list the built-in types followed by the valid custom types', () => {
+        const ids = utilityTypes.getUtilityTypes(config).map(utility => utility.id);
+        expect(ids).to.deep.equal(['gas', 'water', 'electricity', 'pv', 'fernwaerme', 'pellets']);
+    });
+
+    it('should fill the defaults of a custom type', () => {
+        const heat = utilityTypes.getUtilityType(config, 'fernwaerme');
+        expect(heat).to.include({ name: 'Fernwärme', unit: 'MWh', readingUnit: 'kWh', factor: 0.001 });
+        expect(heat.profile).to.equal('heating');
+
+        const pellets = utilityTypes.getUtilityType(config, 'pellets');
+        expect(pellets).to.include({ name: 'pellets', unit: 'kg', readingUnit: 'kg', factor: 1, profile: 'flat' });
+    });
+
+    it('should map the types to their config prefix', () => {
+        expect(utilityTypes.getConfigType(config, 'water')).to.equal('wasser');
+        expect(utilityTypes.getConfigType(config, 'electricity')).to.equal('strom');
+        expect(utilityTypes.getConfigType(config, 'fernwaerme')).to.equal('fernwaerme');
+    });
+
+    it('should write the custom rows as flat config keys', () => {
+        utilityTypes.applyCustomUtilityConfig(config);
+
+        expect(config.fernwaermeAktiv).to.be.true;
+        expect(config.fernwaermeSensorDP).to.equal('modbus.0.heat');
+        expect(config.fernwaermePreis).to.equal('95,50');
+        expect(config.fernwaermeFactor).to.equal(0.001);
+        expect(config.notificationFernwaermeEnabled).to.be.true;
+        // Rows without the checkbox are active
+        expect(config.pelletsAktiv).to.be.true;
+        expect(config.notificationPelletsEnabled).to.be.false;
+    });
+});
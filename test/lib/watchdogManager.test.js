@@ -0,0 +1,104 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const WatchdogManager = require('../../lib/watchdogManager');
+
+describe('WatchdogManager', () => {
+    let watchdogManager;
+    let adapterMock;
+    let states;
+    let clock;
+
+    const sensorDP = 'zigbee.0.water';
+    const start = new Date(2025, 2, 11, 12, 0).getTime();
+
+    beforeEach(async () => {
+        clock = sinon.useFakeTimers(start);
+        states = {};
+        adapterMock = {
+            namespace: 'nebenkosten-monitor.0',
+            config: {
+                notificationEnabled: true,
+                notificationInstance: 'telegram.0',
+                notificationStaleEnabled: true,
+            },
+            messagingHandler: {
+                sendNotification: sinon.stub().resolves(),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            getForeignStateAsync: sinon.stub().resolves({ val: 1000, ts: start - 10 * 60 * 1000 }),
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+            setObjectNotExistsAsync: sinon.stub().resolves(),
+        };
+
+        watchdogManager = new WatchdogManager(adapterMock);
+        await watchdogManager.initializeMeter('water', 'main', { sensorDP, sensorTimeout: 30 }, 'main');
+    });
+
+    afterEach(() => {
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should flag the sensor as stale after the timeout', async () => {
+        // Last update 10 minutes before the start
+        await watchdogManager.check(start + 15 * 60 * 1000);
+        expect(states['water.info.stale']).to.be.undefined;
+
+        await watchdogManager.check(start + 20 * 60 * 1000);
+        expect(states['water.info.stale']).to.be.true;
+        expect(states['water.info.sensorActive']).to.be.false;
+        expect(adapterMock.messagingHandler.sendNotification.calledOnce).to.be.true;
+        expect(adapterMock.messagingHandler.sendNotification.firstCall.args[1]).to.include('Sensor ausgefallen');
+
+        // Only notified once per outage
+        await watchdogManager.check(start + 60 * 60 * 1000);
+        expect(adapterMock.messagingHandler.sendNotification.calledOnce).to.be.true;
+    });
+
+    it('should log the gap and the consumption when data resumes', async () => {
+        await watchdogManager.check(start + 30 * 60 * 1000);
+        await watchdogManager.handleSensorUpdate(sensorDP, {
+            val: 1002.5,
+            ts: start + 5 * 60 * 60 * 1000 - 10 * 60 * 1000,
+        });
+
+        expect(states['water.info.stale']).to.be.false;
+        expect(states['water.info.sensorActive']).to.be.true;
+        const gaps = JSON.parse(states['water.info.gaps']);
+        expect(gaps).to.have.lengthOf(1);
+        expect(gaps[0]).to.include({ hours: 5, before: 1000, after: 1002.5, consumption: 2.5 });
+        expect(adapterMock.messagingHandler.sendNotification.secondCall.args[1]).to.include('2.5');
+    });
+
+    it('should keep regular updates from triggering the watchdog', async () => {
+        await watchdogManager.handleSensorUpdate(sensorDP, { val: 1000.1, ts: start + 15 * 60 * 1000 });
+        await watchdogManager.check(start + 40 * 60 * 1000);
+
+        expect(states['water.info.stale']).to.be.undefined;
+        expect(states['water.info.gaps']).to.be.undefined;
+    });
+
+    it('should not notify without the watchdog notification option', async () => {
+        adapterMock.config.notificationStaleEnabled = false;
+        await watchdogManager.check(start + 60 * 60 * 1000);
+
+        expect(states['water.info.stale']).to.be.true;
+        expect(adapterMock.messagingHandler.sendNotification.called).to.be.false;
+    });
+
+    it('should only watch meters with sensor and timeout', async () => {
+        await watchdogManager.initializeMeter('gas', 'main', { sensorDP: 'zigbee.0.gas', sensorTimeout: 0 }, 'main');
+        await watchdogManager.initializeMeter('gas', 'keller', { sensorDP: '', sensorTimeout: 30 }, 'Keller');
+
+        expect(Object.keys(watchdogManager.watched)).to.deep.equal([sensorDP]);
+    });
+});
@@ -0,0 +1,97 @@
+'use strict';
+const expect = require('chai').expect;
+const sinon = require('sinon');
+const WeatherManager = require('../../lib/weatherManager');
+
+describe('WeatherManager', () => {
+    let weatherManager;
+    let adapterMock;
+    let states;
+
+    beforeEach(async () => {
+        states = {};
+        adapterMock = {
+            config: {
+                gasAktiv: true,
+                gasOutdoorTempDP: 'netatmo.0.outdoor.Temperature',
+                gasRoomTemp: '20',
+                gasHeatingLimit: '15',
+            },
+            multiMeterManager: {
+                getMetersForType: sinon.stub().returns([{ name: 'main' }]),
+            },
+            log: {
+                info: sinon.stub(),
+                warn: sinon.stub(),
+                error: sinon.stub(),
+                debug: sinon.stub(),
+            },
+            subscribeForeignStates: sinon.stub(),
+            getStateAsync: sinon.stub().callsFake(async id => (id in states ? { val: states[id] } : null)),
+            setStateAsync: sinon.stub().callsFake(async (id, val) => {
+                states[id] = val;
+            }),
+            setObjectNotExistsAsync: sinon.stub().resolves(),
+        };
+
+        weatherManager = new WeatherManager(adapterMock);
+        await weatherManager.initialize();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should subscribe the outdoor temperature sensor', () => {
+        expect(adapterMock.subscribeForeignStates.calledWith('netatmo.0.outdoor.Temperature')).to.be.true;
+        expect(weatherManager.isTemperatureDP('netatmo.0.outdoor.Temperature')).to.be.true;
+    });
+
+    it('should average the temperatures of the day and derive the provisional degree days', async () => {
+        await weatherManager.handleTemperatureUpdate(2);
+        await weatherManager.handleTemperatureUpdate('5,0');
+
+        expect(states['gas.weather.temperature']).to.equal(5);
+        expect(states['gas.weather.averageToday']).to.equal(3.5);
+        expect(states['gas.weather.degreeDaysDaily']).to.equal(16.5);
+    });
+
+    it('should ignore invalid temperatures', async () => {
+        await weatherManager.handleTemperatureUpdate('n/a');
+
+        expect(states['gas.weather.samplesToday']).to.be.undefined;
+        expect(adapterMock.log.warn.calledOnce).to.be.true;
+    });
+
+    it('should add the degree days of the finished day to month and year', async () => {
+        Object.assign(states, {
+            'gas.weather.averageToday': 4,
+            'gas.weather.samplesToday': 24,
+            'gas.weather.degreeDaysMonthly': 100,
+            'gas.weather.degreeDaysYearly': 400,
+        });
+
+        await weatherManager.handlePeriodReset('gas', 'daily');
+
+        expect(states['gas.weather.degreeDaysMonthly']).to.equal(116);
+        expect(states['gas.weather.degreeDaysYearly']).to.equal(416);
+        expect(states['gas.weather.samplesToday']).to.equal(0);
+        expect(states['gas.weather.degreeDaysDaily']).to.equal(0);
+    });
+
+    it('should normalize the yearly consumption to the degree days of a normal year', async () => {
+        const clock = sinon.useFakeTimers(new Date(2025, 2, 1, 12, 0).getTime());
+        Object.assign(states, {
+            'gas.statistics.lastYearStart': new Date(2025, 0, 1).getTime(),
+            'gas.consumption.yearly': 11000,
+            // Colder than normal: January and February of a normal year have 1100 Kd
+            'gas.weather.degreeDaysYearly': 1210,
+        });
+
+        await weatherManager.updateValues();
+        clock.restore();
+
+        expect(states['gas.weather.consumptionPerDegreeDay']).to.equal(9.09);
+        expect(states['gas.weather.normalizedYearly']).to.equal(10000);
+    });
+});